@@ -1,22 +1,13 @@
 const TaskNotesAPI = require('../lib/api');
-const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { showSuccess, showInfo } = require('../lib/utils');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(options = {}) {
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to fetch API documentation', async () => {
     if (options.ui) {
       // Show Swagger UI URL
       const config = api.config;
@@ -78,10 +69,7 @@ async function handler(options = {}) {
       console.log(`Or visit: ${chalk.underline(swaggerUrl)}`);
     }
 
-  } catch (error) {
-    showError(`Failed to fetch API documentation: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -1,29 +1,43 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { resolveTaskId } = require('../lib/handles');
+const { handleBulkCommand } = require('../lib/bulk');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
+async function archiveWhere(reference, options) {
+  const api = new TaskNotesAPI();
+  await handleBulkCommand(api, reference, options, {
+    name: 'Toggle archive for',
+    progress: 'Toggling archive for',
+    verb: 'Toggled archive for',
+    apply: async (task, taskId) => {
+      const updatedTask = await api.toggleArchive(taskId);
+      return { status: 'success', message: updatedTask.archived ? 'archived' : 'unarchived' };
+    }
+  });
+}
+
 async function handler(taskId, options = {}) {
+  if (options.where) {
+    return archiveWhere(taskId, options);
+  }
+
   if (!taskId) {
     showError('Task ID is required');
     showInfo('Example: tn archive "TaskNotes/Tasks/Buy groceries.md"');
-    showInfo('Or:      tn archive task-123');
+    showInfo('Or:      tn archive \'#12\'');
+    showInfo('Or:      tn archive "buy groceries"');
+    showInfo('Or:      tn archive --where "status:done AND due:before:-30d"');
     process.exit(1);
   }
 
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to toggle archive status', async () => {
+    taskId = await resolveTaskId(api, taskId);
+
     // Get task info first to show current status
     const taskSpinner = ora('Fetching task details...').start();
     const originalTask = await api.getTask(taskId);
@@ -60,10 +74,7 @@ async function handler(taskId, options = {}) {
       showInfo('Archive status remained the same');
     }
     
-  } catch (error) {
-    showError(`Failed to toggle archive status: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -1,22 +1,16 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { assertOutputFormat, formatRecords } = require('../lib/output');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(action, options = {}) {
-  const api = new TaskNotesAPI();
+  assertOutputFormat(options);
 
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
+  const api = new TaskNotesAPI();
 
-  try {
+  await runCommand('Failed to fetch calendar data', async () => {
     switch (action) {
       case 'list':
       case 'overview':
@@ -45,10 +39,7 @@ async function handler(action, options = {}) {
         console.log('  events           Show calendar events');
         process.exit(1);
     }
-  } catch (error) {
-    showError(`Failed to fetch calendar data: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 async function showCalendarsOverview(api, options) {
@@ -211,6 +202,12 @@ async function showEvents(api, options) {
   const data = await api.getCalendarEvents(filters);
   dataSpinner.succeed('Calendar events retrieved');
 
+  if (options.output) {
+    const output = formatRecords(data.events || [], options.output, { meta: { sources: data.sources, total: data.total } });
+    if (output) console.log(output);
+    return;
+  }
+
   if (options.json) {
     console.log(JSON.stringify(data, null, 2));
     return;
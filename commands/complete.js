@@ -1,56 +1,84 @@
 const TaskNotesAPI = require('../lib/api');
-const { showSuccess, showError, formatTask } = require('../lib/utils');
+const { showSuccess, showError, showErrorHint, formatTaskList, resolveListFormat } = require('../lib/utils');
+const config = require('../lib/config');
+const { resolveTaskId } = require('../lib/handles');
+const { handleBulkCommand } = require('../lib/bulk');
+const { NotFoundError } = require('../lib/errors');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 
-async function handler(taskId) {
+// Statuses that count as completed in the user's TaskNotes settings
+async function completeWhere(reference, options) {
+  const api = new TaskNotesAPI();
+  const completedStatuses = await api.getCompletedStatuses();
+
+  await handleBulkCommand(api, reference, options, {
+    name: 'Complete',
+    progress: 'Completing',
+    verb: 'Completed',
+    apply: async (task, taskId) => {
+      if (completedStatuses.includes(task.status)) {
+        return { status: 'skipped', message: 'already completed' };
+      }
+      const updatedTask = await api.toggleTaskStatus(taskId);
+      return { status: 'success', message: updatedTask.status };
+    }
+  });
+}
+
+async function handler(taskId, options = {}) {
+  if (options.where) {
+    return completeWhere(taskId, options);
+  }
+
   if (!taskId || !taskId.trim()) {
     showError('Please provide a task ID');
-    console.log('Use "tn list --show-id" to see task IDs');
+    console.log('Use "tn list" to see task handles, or "tn search <text>" to find a task');
+    process.exit(1);
+  }
+
+  let listFormat;
+  try {
+    listFormat = resolveListFormat(options, config.get('outputTemplates'));
+  } catch (error) {
+    showError(error.message);
     process.exit(1);
   }
 
   const api = new TaskNotesAPI();
   const spinner = ora('Marking task as complete...').start();
 
-  try {
-    // Test connection
-    const connected = await api.testConnection();
-    if (!connected) {
-      spinner.fail('Cannot connect to TaskNotes API');
-      showError('Make sure TaskNotes is running with API enabled');
-      process.exit(1);
-    }
-
+  await runCommand(null, async () => {
+    // Resolve handles, path suffixes and titles to a task path
+    spinner.stop();
+    taskId = await resolveTaskId(api, taskId);
+    
     // Get the task first to show what we're completing
-    spinner.text = 'Finding task...';
+    spinner.start('Finding task...');
     let task;
     try {
       task = await api.getTask(taskId);
     } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
       spinner.fail('Task not found');
       showError(`Could not find task with ID: ${taskId}`);
-      showError('This may be an API issue with task ID format');
-      showError('Try using "tn list" to see available task IDs');
+      showErrorHint(error);
       process.exit(1);
     }
 
     // Get status configuration to check if task is already completed
-    let isAlreadyCompleted = false;
-    try {
-      const filterOptions = await api.getFilterOptions();
-      const completedStatuses = filterOptions.statuses
-        .filter(s => s.isCompleted)
-        .map(s => s.value);
-      isAlreadyCompleted = completedStatuses.includes(task.status);
-    } catch (error) {
-      // Fallback to simple check if API call fails
-      isAlreadyCompleted = task.status === 'completed' || task.status === 'done';
-    }
+    const completedStatuses = await api.getCompletedStatuses();
 
-    if (isAlreadyCompleted) {
+    if (completedStatuses.includes(task.status)) {
       spinner.warn('Task is already completed');
+      if (listFormat.format === 'template') {
+        console.log(formatTaskList([task], listFormat));
+        return;
+      }
       console.log('\nTask:');
-      console.log(formatTask(task));
+      console.log(formatTaskList([task], listFormat));
       return;
     }
 
@@ -58,34 +86,21 @@ async function handler(taskId) {
     spinner.text = 'Updating task status...';
     const updatedTask = await api.toggleTaskStatus(taskId);
     
-    // Check if the updated status is now completed
-    let isNowCompleted = false;
-    try {
-      const filterOptions = await api.getFilterOptions();
-      const completedStatuses = filterOptions.statuses
-        .filter(s => s.isCompleted)
-        .map(s => s.value);
-      isNowCompleted = completedStatuses.includes(updatedTask.status);
-    } catch (error) {
-      // Fallback to simple check if API call fails
-      isNowCompleted = updatedTask.status === 'completed' || updatedTask.status === 'done';
-    }
-    
-    if (isNowCompleted) {
+    if (completedStatuses.includes(updatedTask.status)) {
       spinner.succeed('Task marked as complete!');
     } else {
       spinner.succeed(`Task status changed to: ${updatedTask.status}`);
     }
 
     // Show the updated task
+    if (listFormat.format === 'template') {
+      console.log(formatTaskList([updatedTask], listFormat));
+      return;
+    }
     console.log('\nUpdated task:');
-    console.log(formatTask(updatedTask));
+    console.log(formatTaskList([updatedTask], listFormat));
 
-  } catch (error) {
-    spinner.fail('Failed to complete task');
-    showError(error.message);
-    process.exit(1);
-  }
+  }, { spinner, spinnerText: 'Failed to complete task' });
 }
 
 module.exports = { handler };
\ No newline at end of file
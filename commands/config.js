@@ -1,39 +1,70 @@
 const config = require('../lib/config');
 const TaskNotesAPI = require('../lib/api');
-const { showSuccess, showError, showInfo, parseKeyValue, colors } = require('../lib/utils');
+const { CONFIG_SCHEMA, describeType, resolveKey, parseValue } = require('../lib/config-schema');
+const { readVaultSettings, findVaults } = require('../lib/vault');
+const { showSuccess, showError, showInfo, showWarning, parseKeyValue, colors } = require('../lib/utils');
 const ora = require('ora');
+const chalk = require('chalk');
 
-async function handler(options = {}) {
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Hide secret settings; secret maps (profiles) only show their names
+function displayValue(key, value) {
+  const entry = CONFIG_SCHEMA[key] || {};
+  if (entry.secret && entry.type === 'map') {
+    return Object.keys(value || {}).join(', ') || '(none)';
+  }
+  if (entry.secret && value) {
+    return '***hidden***';
+  }
+  return formatValue(value);
+}
+
+async function handler(section, action, name, options = {}, command) {
   try {
-    if (options.set) {
-      // Set a configuration value
-      const { key, value } = parseKeyValue(options.set);
-      
-      // Validate known keys
-      const validKeys = ['host', 'port', 'authToken', 'maxResults'];
-      if (!validKeys.includes(key)) {
-        showError(`Unknown configuration key: ${key}`);
-        showInfo(`Valid keys: ${validKeys.join(', ')}`);
+    if (section) {
+      // --host, --port and --token are global options
+      if (command) {
+        options = command.optsWithGlobals();
+      }
+      if (section !== 'profile') {
+        showError(`Unknown config command: ${section}`);
+        showInfo('Usage: tn config profile add|use|list|remove [name]');
         process.exit(1);
       }
-      
-      // Type conversion for specific keys
-      let processedValue = value;
-      if (key === 'port' || key === 'maxResults') {
-        processedValue = parseInt(value);
-        if (isNaN(processedValue)) {
-          showError(`${key} must be a number`);
-          process.exit(1);
-        }
+      await handleProfile(action, name, options);
+      return;
+    }
+
+    if (options.fromVault) {
+      await configureFromVault(options.fromVault, options);
+      return;
+    }
+
+    if (options.set) {
+      // Set a configuration value, parsed and validated by the config schema
+      const { key, value } = parseKeyValue(options.set);
+      const { entry } = resolveKey(key);
+      const topEntry = CONFIG_SCHEMA[key.split('.')[0]];
+      const result = config.setValue(key, value);
+
+      if (result.value === undefined) {
+        showSuccess(`Removed ${key}`);
+        return;
       }
-      
-      config.set({ [key]: processedValue });
-      showSuccess(`Set ${key} = ${processedValue}`);
+
+      const shownValue = (topEntry.secret || entry.secret) && result.value ? '***hidden***' : formatValue(result.value);
+      const profileName = config.getProfileName();
+      showSuccess(`Set ${key} = ${shownValue}${config.PROFILE_KEYS.includes(key) && profileName ? ` (profile ${profileName})` : ''}`);
       
       // Test connection if setting host/port
       if (key === 'host' || key === 'port') {
         const spinner = ora('Testing connection...').start();
-        const api = new TaskNotesAPI();
+        const api = new TaskNotesAPI({ backend: 'api' });
         try {
           await api.health();
           spinner.succeed('Connection successful!');
@@ -43,11 +74,16 @@ async function handler(options = {}) {
         }
       }
       
+    } else if (options.describe) {
+      describeSettings();
+      
     } else if (options.get) {
-      // Get a configuration value
-      const value = config.get(options.get);
+      // Get a configuration value (dotted keys read one entry of a map or object)
+      const [key, subKey] = options.get.split(/\.(.+)/);
+      const topValue = config.get(key);
+      const value = subKey && topValue ? topValue[subKey] : topValue;
       if (value !== undefined) {
-        console.log(`${options.get} = ${value}`);
+        console.log(`${options.get} = ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
       } else {
         showError(`Configuration key not found: ${options.get}`);
         process.exit(1);
@@ -56,15 +92,23 @@ async function handler(options = {}) {
     } else if (options.list) {
       // List all configuration
       const allConfig = config.getAll();
+      const sources = config.getSources();
       console.log('Current configuration:');
       console.log('─'.repeat(30));
       
       Object.entries(allConfig).forEach(([key, value]) => {
-        const displayValue = key === 'authToken' && value ? '***hidden***' : value;
-        console.log(`${colors.highlight(key.padEnd(15))} ${displayValue}`);
+        console.log(`${colors.highlight(key.padEnd(15))} ${displayValue(key, value)} ${colors.dim(`(${sources[key]})`)}`);
       });
       
+      const profileName = config.getProfileName();
+      if (profileName) {
+        const connection = config.getConnection();
+        console.log(`\nUsing profile ${colors.highlight(profileName)}: ${connection.host}:${connection.port}`);
+      }
       console.log(`\nConfig file: ${colors.dim(config.getPath())}`);
+      if (config.getProjectPath()) {
+        console.log(`Project file: ${colors.dim(config.getProjectPath())}`);
+      }
       
     } else {
       // Interactive configuration setup
@@ -77,51 +121,146 @@ async function handler(options = {}) {
   }
 }
 
+async function chooseVault(vaults) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`Found ${vaults.length} vaults:\n${vaults.map(vault => `  ${vault}`).join('\n')}\nPass one with --from-vault <path>`);
+  }
+
+  const inquirer = require('inquirer');
+  const { vaultPath } = await inquirer.prompt([{
+    type: 'list',
+    name: 'vaultPath',
+    message: 'Which vault?',
+    choices: vaults
+  }]);
+  return vaultPath;
+}
+
+/**
+ * Read the API port and token from a vault's TaskNotes plugin settings.
+ * Without a path, search the usual places for vaults.
+ */
+async function configureFromVault(vaultPath, options) {
+  let target = typeof vaultPath === 'string' ? vaultPath : null;
+
+  if (!target) {
+    const spinner = ora('Searching for Obsidian vaults...').start();
+    const vaults = findVaults();
+    if (vaults.length === 0) {
+      spinner.fail('No vaults with the TaskNotes plugin found');
+      showInfo('Pass the vault folder instead: tn config --from-vault ~/path/to/vault');
+      process.exit(1);
+    }
+    spinner.succeed(`Found ${vaults.length} vault${vaults.length === 1 ? '' : 's'} with TaskNotes`);
+    target = vaults.length === 1 ? vaults[0] : await chooseVault(vaults);
+  }
+
+  const settings = readVaultSettings(target);
+
+  console.log('\n' + chalk.bold('TaskNotes plugin settings:'));
+  console.log('─'.repeat(30));
+  console.log(`${chalk.cyan('Vault:')} ${settings.vaultPath}`);
+  console.log(`${chalk.cyan('HTTP API:')} ${settings.enabled ? 'enabled' : 'disabled'}`);
+  console.log(`${chalk.cyan('Port:')} ${settings.port}`);
+  console.log(`${chalk.cyan('Auth token:')} ${settings.authToken ? 'set' : 'none'}`);
+  console.log('');
+
+  config.setConnection({ port: settings.port, authToken: settings.authToken, ...(options.saveVault ? { vaultPath: settings.vaultPath } : {}) });
+
+  const profileName = config.getProfileName();
+  showSuccess(`Saved port${settings.authToken ? ' and auth token' : ''}${profileName ? ` to profile ${profileName}` : ''}`);
+  if (options.saveVault) {
+    showSuccess(`Saved vault path ${settings.vaultPath}${profileName ? ` to profile ${profileName}` : ''}`);
+  }
+
+  if (!settings.enabled) {
+    showWarning('The HTTP API is disabled. Enable it in Obsidian under Settings → TaskNotes → HTTP API');
+    return;
+  }
+
+  const spinner = ora('Testing connection...').start();
+  const api = new TaskNotesAPI({ backend: 'api' });
+  try {
+    await api.health();
+    spinner.succeed('Connection successful!');
+  } catch (error) {
+    spinner.fail('Connection failed');
+    showError(error.message);
+    showInfo('Make sure Obsidian is running with this vault open');
+  }
+}
+
+function describeSettings() {
+  console.log('Configuration settings:');
+  console.log('─'.repeat(30));
+
+  const describe = (name, entry) => {
+    const details = [describeType(entry)];
+    if (entry.default !== undefined) details.push(`default: ${formatValue(entry.default)}`);
+    if (entry.allowed) details.push(`one of: ${entry.allowed.join(', ')}`);
+    if (entry.secret) details.push('secret');
+    if (entry.settable === false) details.push('read-only');
+
+    console.log(`${colors.highlight(name.padEnd(22))} ${colors.dim(details.join(', '))}`);
+    if (entry.description) {
+      console.log(`  ${entry.description}`);
+    }
+  };
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, entry]) => {
+    describe(key, entry);
+    Object.entries(entry.properties || {}).forEach(([subKey, subEntry]) => {
+      describe(`${key}.${subKey}`, subEntry);
+    });
+  });
+
+  console.log(`\nSet values with: ${colors.dim('tn config --set <key>=<value>')}`);
+}
+
 async function interactiveSetup() {
   const inquirer = require('inquirer');
-  const currentConfig = config.getAll();
+  // Defaults from the saved settings, so overrides for this run are not written back
+  const currentConfig = config.getSavedConfig();
+  const profileName = config.getProfileName();
   
-  console.log('TaskNotes CLI Configuration Setup');
+  console.log(`TaskNotes CLI Configuration Setup${profileName ? ` (profile ${profileName})` : ''}`);
   console.log('─'.repeat(35));
   
-  const answers = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'host',
-      message: 'TaskNotes API host:',
-      default: currentConfig.host
-    },
-    {
-      type: 'number',
-      name: 'port',
-      message: 'TaskNotes API port:',
-      default: currentConfig.port
-    },
-    {
-      type: 'password',
-      name: 'authToken',
-      message: 'API authentication token (optional):',
-      default: currentConfig.authToken
-    },
-    {
-      type: 'number',
-      name: 'maxResults',
-      message: 'Maximum results to show:',
-      default: currentConfig.maxResults
+  // One prompt per schema entry that has prompt text
+  const prompted = Object.entries(CONFIG_SCHEMA).filter(([, entry]) => entry.prompt);
+  const answers = await inquirer.prompt(prompted.map(([key, entry]) => ({
+    type: entry.secret ? 'password' : 'input',
+    name: key,
+    message: entry.prompt,
+    default: currentConfig[key] === null ? undefined : currentConfig[key],
+    validate: (input) => {
+      try {
+        parseValue(entry, input, key);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
     }
-  ]);
+  })));
   
-  // Filter out empty auth token
-  if (!answers.authToken || answers.authToken.trim() === '') {
-    answers.authToken = null;
-  }
-  
-  config.set(answers);
+  // Connection settings go to the active profile, if there is one
+  const connection = {};
+  const settings = {};
+  prompted.forEach(([key, entry]) => {
+    const value = parseValue(entry, answers[key] === undefined ? '' : answers[key], key);
+    if (config.PROFILE_KEYS.includes(key)) {
+      connection[key] = value;
+    } else {
+      settings[key] = value;
+    }
+  });
+  config.setConnection(connection);
+  config.set(settings);
   showSuccess('Configuration saved!');
   
   // Test the connection
   const spinner = ora('Testing connection to TaskNotes API...').start();
-  const api = new TaskNotesAPI();
+  const api = new TaskNotesAPI({ backend: 'api' });
   
   try {
     await api.health();
@@ -134,4 +273,97 @@ async function interactiveSetup() {
   }
 }
 
+async function handleProfile(action, name, options) {
+  switch (action) {
+    case 'add': {
+      if (!name) {
+        showError('Profile name is required');
+        showInfo('Example: tn config profile add work --port 8081 --token <token>');
+        process.exit(1);
+      }
+
+      const existing = config.getProfiles()[name];
+      const settings = {};
+      if (options.host) settings.host = options.host;
+      if (options.port) {
+        try {
+          settings.port = parseValue(CONFIG_SCHEMA.port, options.port, 'port');
+        } catch (error) {
+          showError(error.message);
+          process.exit(1);
+        }
+      }
+      if (options.token) settings.authToken = options.token;
+      if (options.vault) settings.vaultPath = options.vault;
+
+      if (!existing && Object.keys(settings).length === 0) {
+        showError('Specify at least one of --host, --port, --token or --vault');
+        process.exit(1);
+      }
+
+      config.addProfile(name, settings);
+      showSuccess(`${existing ? 'Updated' : 'Added'} profile ${name}`);
+      showInfo(`Use it with "tn --profile ${name} ..." or make it the default with "tn config profile use ${name}"`);
+      break;
+    }
+
+    case 'use': {
+      if (!name) {
+        showError('Profile name is required');
+        showInfo(`Example: tn config profile use work (or "${config.DEFAULT_PROFILE}" for the top-level settings)`);
+        process.exit(1);
+      }
+      config.useProfile(name);
+      showSuccess(`Now using profile ${name}`);
+
+      const spinner = ora('Testing connection...').start();
+      const api = new TaskNotesAPI({ backend: 'api' });
+      try {
+        await api.health();
+        spinner.succeed('Connection successful!');
+      } catch (error) {
+        spinner.fail('Connection failed');
+        showError(error.message);
+      }
+      break;
+    }
+
+    case 'remove': {
+      if (!name) {
+        showError('Profile name is required');
+        process.exit(1);
+      }
+      config.removeProfile(name);
+      showSuccess(`Removed profile ${name}`);
+      break;
+    }
+
+    case 'list':
+    case undefined: {
+      const profiles = config.getProfiles();
+      const current = config.getProfileName();
+      const defaults = config.getUserConfig();
+
+      console.log('Connection profiles:');
+      console.log('─'.repeat(30));
+
+      const rows = [[config.DEFAULT_PROFILE, defaults], ...Object.entries(profiles)];
+      rows.forEach(([profileName, settings]) => {
+        const isCurrent = profileName === config.DEFAULT_PROFILE ? !current : profileName === current;
+        const host = settings.host || defaults.host;
+        const port = settings.port || defaults.port;
+        const marker = isCurrent ? chalk.green('*') : ' ';
+        const vault = settings.vaultPath ? colors.dim(` ${settings.vaultPath}`) : '';
+        console.log(`${marker} ${colors.highlight(profileName.padEnd(15))} ${host}:${port}${settings.authToken ? colors.dim(' (token)') : ''}${vault}`);
+      });
+      break;
+    }
+
+    default:
+      showError(`Unknown profile action: ${action}`);
+      showInfo('Usage: tn config profile add|use|list|remove [name]');
+      process.exit(1);
+  }
+}
+
 module.exports = { handler };
\ No newline at end of file
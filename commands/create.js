@@ -1,41 +1,103 @@
 const TaskNotesAPI = require('../lib/api');
-const { showSuccess, showError, formatPreview } = require('../lib/utils');
+const { showSuccess, showError, showInfo, formatTask, formatPreview, applyTaskDefaults, applyTaskDefaultFields } = require('../lib/utils');
+const config = require('../lib/config');
+const { ConnectionError, isUnreachable } = require('../lib/errors');
+const { runCommand } = require('../lib/runner');
+const { parseTaskLines, readTaskSource, createTasksFromLines, printBatchResults } = require('../lib/batch-create');
+const { TemplateStore, parseVariables, fillTemplate } = require('../lib/templates');
+const { taskDataFromOptions, mergeParsed, createTaskWithFields } = require('../lib/task-fields');
 const ora = require('ora');
 
-async function handler(text) {
+// Task text with --append and the configured taskDefaults added
+function taskTextFor(text, options) {
+  return applyTaskDefaults(options.append ? `${text} ${options.append}` : text, config.get('taskDefaults'));
+}
+
+async function handler(text, options = {}) {
+  // Explicit field flags (--due, --priority, ...) win over the parsed text
+  try {
+    options = { ...options, fields: taskDataFromOptions(options), preview: options.preview || options.dryRun };
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+
+  if (options.template) {
+    if (text || options.fromFile) {
+      showError('Give either task text, --from-file or --template');
+      process.exit(1);
+    }
+    return createFromTemplate(options.template, options);
+  }
+  if (options.fromFile && text) {
+    showError('Give either task text or --from-file, not both');
+    process.exit(1);
+  }
+  if (options.fromFile || text === '-') {
+    return createFromLines(options.fromFile || '-', options);
+  }
+
   if (!text || !text.trim()) {
     showError('Please provide task text');
     process.exit(1);
   }
 
   const api = new TaskNotesAPI();
+  const taskText = taskTextFor(text, options);
+
+  if (options.preview) {
+    const spinner = ora('Parsing task...').start();
+    await runCommand(null, async () => {
+      const result = await api.parseText(taskText);
+      const parsed = mergeParsed(result.parsed, options.fields);
+      spinner.succeed('Parsed task (nothing created)');
+      console.log(options.json ? JSON.stringify(parsed, null, 2) : formatPreview(parsed));
+    }, { spinner, spinnerText: 'Failed to parse task' });
+    return;
+  }
+
+  // Without field flags the text goes to the NLP endpoint as it is (and can be queued offline)
+  const withFields = Object.keys(options.fields).length > 0;
+  const create = () => (withFields ? createTaskWithFields(api, taskText, options.fields) : api.createTask(taskText));
+
   const spinner = ora('Creating task...').start();
 
-  try {
-    // Test connection first
-    const connected = await api.testConnection();
-    if (!connected) {
-      spinner.fail('Cannot connect to TaskNotes API');
-      showError('Make sure TaskNotes is running with API enabled');
-      
-      // Try to auto-discover
+  await runCommand(null, async () => {
+    let result;
+    try {
+      result = await create();
+    } catch (error) {
+      // After a timeout the task may exist already, so sending it again could create it twice
+      if (error instanceof ConnectionError && !isUnreachable(error)) {
+        error.hint = ['TaskNotes may have created the task already; check with "tn search" before trying again', error.hint].filter(Boolean).join('. ');
+      }
+      if (!isUnreachable(error)) {
+        throw error;
+      }
+
+      // Not queued and never sent, so TaskNotes may be running somewhere else; try to auto-discover it
+      spinner.fail(error.message);
       spinner.start('Searching for TaskNotes API...');
       try {
         const discovered = await api.autoDiscover();
         spinner.succeed(`Found TaskNotes API at ${discovered.host}:${discovered.port}`);
         showSuccess('Configuration updated automatically');
-      } catch (error) {
+      } catch (discoveryError) {
         spinner.fail('Could not find TaskNotes API');
         showError('Please check your configuration with: tn config');
         process.exit(1);
       }
-    }
 
-    // Create the task
-    spinner.text = 'Parsing and creating task...';
-    const result = await api.createTask(text);
+      spinner.start('Creating task...');
+      result = await create();
+    }
     
     spinner.succeed('Task created successfully!');
+
+    if (options.json) {
+      console.log(JSON.stringify(result.task, null, 2));
+      return;
+    }
     
     // Show what was created
     console.log('\nCreated task:');
@@ -46,12 +108,101 @@ async function handler(text) {
       console.log('\nParsed fields:');
       console.log(formatPreview(result.parsed));
     }
+  }, { spinner, spinnerText: 'Failed to create task' });
+}
+
+// The fields of a template, filled in with --var, with the taskDefaults added and
+// overridden by the field flags, sent to createTaskFromData
+async function createFromTemplate(name, options) {
+  let taskData;
+  try {
+    const template = new TemplateStore().get(name);
+    if (!template) {
+      throw new Error(`No template named ${name}. Use "tn template list" to see the templates`);
+    }
+    taskData = { ...applyTaskDefaultFields(fillTemplate(name, template, parseVariables(options.var)), config.get('taskDefaults')), ...options.fields };
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+
+  if (options.preview) {
+    if (!options.json) {
+      showInfo(`Task from template ${name} (nothing created):`);
+    }
+    console.log(JSON.stringify(taskData, null, 2));
+    return;
+  }
 
+  const api = new TaskNotesAPI();
+  const spinner = ora(`Creating task from template ${name}...`).start();
+
+  await runCommand('Failed to create task', async () => {
+    const task = await api.createTaskFromData(taskData);
+    spinner.succeed('Task created successfully!');
+    if (options.json) {
+      console.log(JSON.stringify(task, null, 2));
+      return;
+    }
+    console.log('');
+    console.log(formatTask(task, { showId: true }));
+  }, { spinner, spinnerText: 'Failed to create task' });
+}
+
+// One task per line of a file, or of stdin for "-"
+async function createFromLines(source, options) {
+  let lines;
+  try {
+    if (source === '-' && process.stdin.isTTY) {
+      showInfo('Type one task per line, then press Ctrl-D');
+    }
+    lines = parseTaskLines(readTaskSource(source));
   } catch (error) {
-    spinner.fail('Failed to create task');
     showError(error.message);
     process.exit(1);
   }
+
+  if (lines.length === 0) {
+    showError(`No tasks found in ${source === '-' ? 'stdin' : source}`);
+    process.exit(1);
+  }
+
+  const api = new TaskNotesAPI();
+  const progress = options.preview ? 'Parsing' : 'Creating';
+  const spinner = ora(`${progress} ${lines.length} task${lines.length === 1 ? '' : 's'}...`).start();
+
+  await runCommand(null, async () => {
+    const results = await createTasksFromLines(api, lines, {
+      dryRun: options.preview,
+      fields: options.fields,
+      toText: line => taskTextFor(line, options),
+      onProgress: (done, total) => {
+        spinner.text = `${progress} tasks... ${done}/${total}`;
+      }
+    });
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const message = options.preview
+      ? `Parsed ${count('parsed')} of ${results.length} tasks (nothing created)`
+      : `Created ${count('created')}${count('queued') > 0 ? `, queued ${count('queued')}` : ''} of ${results.length} tasks`;
+    if (count('failed') + count('skipped') > 0) {
+      spinner.warn(message);
+    } else {
+      spinner.succeed(message);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      printBatchResults(results);
+    }
+    if (count('queued') > 0 && !options.json) {
+      showInfo('Queued tasks are created the next time TaskNotes is reachable. See "tn queue list"');
+    }
+    if (count('failed') > 0) {
+      process.exit(1);
+    }
+  }, { spinner, spinnerText: 'Failed to create tasks' });
 }
 
-module.exports = { handler };
\ No newline at end of file
+module.exports = { handler };
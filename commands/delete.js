@@ -1,29 +1,46 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { resolveTaskId } = require('../lib/handles');
+const { handleBulkCommand } = require('../lib/bulk');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
+async function deleteWhere(reference, options) {
+  const api = new TaskNotesAPI();
+  console.log(chalk.yellow('Deleted tasks can be restored with "tn undo <count>" (see "tn history")'));
+
+  // --force means the same as --yes here
+  await handleBulkCommand(api, reference, { ...options, yes: options.yes || options.force }, {
+    name: 'Delete',
+    progress: 'Deleting',
+    verb: 'Deleted',
+    apply: async (task, taskId) => {
+      await api.deleteTask(taskId);
+      return { status: 'success' };
+    }
+  });
+}
+
 async function handler(taskId, options = {}) {
+  if (options.where) {
+    return deleteWhere(taskId, options);
+  }
+
   if (!taskId) {
     showError('Task ID is required');
     showInfo('Example: tn delete "TaskNotes/Tasks/Buy groceries.md"');
-    showInfo('Or:      tn delete task-123');
+    showInfo('Or:      tn delete \'#12\'');
+    showInfo('Or:      tn delete "buy groceries"');
+    showInfo('Or:      tn delete --where "tag:scratch AND status:done"');
     process.exit(1);
   }
 
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to delete task', async () => {
+    taskId = await resolveTaskId(api, taskId);
+
     // Get task info first to show what we're deleting
     const taskSpinner = ora('Fetching task details...').start();
     const task = await api.getTask(taskId);
@@ -41,7 +58,7 @@ async function handler(taskId, options = {}) {
         console.log(`${chalk.cyan('Due:')} ${task.due}`);
       }
       console.log(`${chalk.cyan('File:')} ${task.path || task.id}`);
-      console.log('\n' + chalk.yellow('This action cannot be undone!'));
+      console.log('\n' + chalk.yellow('Restore a deleted task with "tn undo" (see "tn history")'));
       console.log(chalk.dim('Use --force flag to skip confirmation'));
       
       // In a real implementation, you'd want to add confirmation prompt here
@@ -56,10 +73,7 @@ async function handler(taskId, options = {}) {
 
     showSuccess(`Task "${task.title}" has been deleted`);
     
-  } catch (error) {
-    showError(`Failed to delete task: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { showInfo } = require('../lib/utils');
+const { Journal, diffTasks } = require('../lib/journal');
+const chalk = require('chalk');
+const { format } = require('date-fns');
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// One-line summary of what an entry changed
+function describeEntry(entry) {
+  if (entry.operation === 'delete') {
+    return 'deleted';
+  }
+  if (entry.operation === 'archive') {
+    return entry.after && entry.after.archived ? 'archived' : 'unarchived';
+  }
+
+  const changes = Object.entries(diffTasks(entry.before, entry.after))
+    .map(([field, [from, to]]) => `${field}: ${formatValue(from)} → ${formatValue(to)}`);
+
+  if (entry.operation === 'complete-instance' && entry.details) {
+    changes.unshift(`completed ${entry.details.instanceDate}`);
+  }
+  return changes.length > 0 ? changes.join('; ') : 'no changes';
+}
+
+async function handler(options = {}) {
+  const journal = new Journal();
+  const limit = options.limit ? parseInt(options.limit) : 20;
+  const entries = journal.list().slice(0, limit);
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    showInfo('No changes recorded yet');
+    return;
+  }
+
+  console.log(chalk.bold('\nRecent changes (newest first):'));
+  console.log('─'.repeat(60));
+
+  entries.forEach(entry => {
+    const time = format(new Date(entry.timestamp), 'yyyy-MM-dd HH:mm');
+    const line = `${chalk.gray(time)} ${chalk.cyan(entry.operation.padEnd(17))} ${entry.title}`;
+    const summary = `  ${describeEntry(entry)}`;
+
+    if (entry.undoneAt) {
+      console.log(chalk.dim(`${line} (undone)`));
+      console.log(chalk.dim(summary));
+    } else {
+      console.log(line);
+      console.log(chalk.dim(summary));
+    }
+  });
+
+  const pending = journal.pending(Infinity).length;
+  console.log(`\n${chalk.gray(`${pending} change${pending === 1 ? '' : 's'} can be undone with "tn undo [n]"`)}`);
+}
+
+module.exports = { handler };
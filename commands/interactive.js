@@ -1,6 +1,7 @@
 const readline = require('readline');
 const TaskNotesAPI = require('../lib/api');
-const { showError, showSuccess, formatPreview, colors } = require('../lib/utils');
+const { showError, showErrorHint, showSuccess, formatPreview, colors, applyTaskDefaults } = require('../lib/utils');
+const config = require('../lib/config');
 
 let api;
 let lastInput = '';
@@ -53,7 +54,7 @@ async function handler() {
       console.log(colors.dim('Creating task...'));
       
       try {
-        const result = await api.createTask(trimmedInput);
+        const result = await api.createTask(applyTaskDefaults(trimmedInput, config.get('taskDefaults')));
         
         showSuccess('Task created successfully!');
         console.log(`  Title: ${result.task.title}`);
@@ -79,6 +80,7 @@ async function handler() {
         
       } catch (error) {
         showError(error.message);
+        showErrorHint(error);
         console.log('');
         rl.prompt();
       }
@@ -124,6 +126,7 @@ async function handler() {
 
   } catch (error) {
     showError(`Interactive mode failed: ${error.message}`);
+    showErrorHint(error);
     process.exit(1);
   }
 }
@@ -1,7 +1,14 @@
 const TaskNotesAPI = require('../lib/api');
-const { showError, showInfo, formatTask } = require('../lib/utils');
+const { showError, showInfo, formatTaskList, resolveListFormat } = require('../lib/utils');
 const FilterParser = require('../lib/filter-parser');
+const config = require('../lib/config');
+const { parseSortSpec, createSortContext, sortTasks, groupTasks, GROUP_FIELDS } = require('../lib/sorting');
+const { assertOutputFormat, formatTasks } = require('../lib/output');
+const { assignHandles } = require('../lib/handles');
+const { TaskNotesError } = require('../lib/errors');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
+const chalk = require('chalk');
 
 async function handler(options = {}) {
   const api = new TaskNotesAPI();
@@ -13,20 +20,42 @@ async function handler(options = {}) {
     process.exit(1);
   }
   
-  const spinner = ora('Fetching tasks...').start();
+  let sortKeys = [];
+  try {
+    sortKeys = parseSortSpec(options.sort);
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+  
+  assertOutputFormat(options);
 
+  let listFormat;
   try {
-    // Test connection
-    const connected = await api.testConnection();
-    if (!connected) {
-      spinner.fail('Cannot connect to TaskNotes API');
-      showError('Make sure TaskNotes is running with API enabled');
-      process.exit(1);
-    }
+    listFormat = resolveListFormat(options, config.get('outputTemplates'));
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+  
+  if (options.groupBy && !GROUP_FIELDS.includes(options.groupBy)) {
+    showError(`Unknown group: ${options.groupBy}`);
+    showInfo(`Valid groups: ${GROUP_FIELDS.join(', ')}`);
+    process.exit(1);
+  }
+  
+  // Sorting must see every matching task before the limit is applied
+  const sortClientSide = sortKeys.length > 0;
+  
+  const spinner = ora('Fetching tasks...').start();
 
+  await runCommand(null, async () => {
     let result;
     let tasks;
     let header = 'Tasks';
+    const sortContext = (sortClientSide || options.groupBy)
+      ? await loadSortContext(api, sortKeys, options.groupBy)
+      : null;
     
     if (options.filter) {
       // Use advanced filtering
@@ -43,6 +72,10 @@ async function handler(options = {}) {
         result = await api.queryTasks(filterQuery);
         tasks = result.tasks || [];
         
+        if (sortClientSide) {
+          tasks = sortTasks(tasks, sortKeys, sortContext);
+        }
+        
         // Apply limit if specified (since advanced API doesn't support pagination yet)
         if (options.limit) {
           const limit = parseInt(options.limit);
@@ -54,6 +87,9 @@ async function handler(options = {}) {
         
         header = `Filtered Tasks`;
       } catch (error) {
+        if (error instanceof TaskNotesError) {
+          throw error;
+        }
         spinner.fail('Filter parsing failed');
         showError(error.message);
         showInfo('Use "tn list --help" to see filter syntax examples');
@@ -82,7 +118,9 @@ async function handler(options = {}) {
       filters.completed = 'false';
     }
     
-      if (options.limit) {
+      if (sortClientSide) {
+        filters.limit = 1000;
+      } else if (options.limit) {
         filters.limit = parseInt(options.limit);
       }
 
@@ -90,6 +128,16 @@ async function handler(options = {}) {
       result = await api.listTasks(filters);
       tasks = result.tasks || [];
       
+      if (sortClientSide) {
+        tasks = sortTasks(tasks, sortKeys, sortContext);
+        
+        const limit = parseInt(options.limit);
+        if (limit && tasks.length > limit) {
+          result.filtered = tasks.length;
+          tasks = tasks.slice(0, limit);
+        }
+      }
+      
       // Set header based on basic filter options
       if (options.today) header = "Today's Tasks";
       else if (options.overdue) header = 'Overdue Tasks';
@@ -97,6 +145,22 @@ async function handler(options = {}) {
     }
     
     spinner.succeed(`Found ${tasks.length} tasks`);
+    
+    assignHandles(tasks);
+
+    const groups = options.groupBy
+      ? groupTasks(tasks, options.groupBy, sortContext)
+      : null;
+
+    if (options.output) {
+      const ordered = groups ? groups.reduce((all, group) => all.concat(group.tasks), []) : tasks;
+      const output = formatTasks(ordered, options.output, {
+        columns: listFormat.columns,
+        meta: { filter: options.filter || null, sort: options.sort || null, groupBy: options.groupBy || null }
+      });
+      if (output) console.log(output);
+      return;
+    }
 
     if (options.json) {
       // Output JSON format
@@ -114,14 +178,29 @@ async function handler(options = {}) {
           today: options.today || false,
           overdue: options.overdue || false,
           completed: options.completed || false,
-          limit: options.limit ? parseInt(options.limit) : null
+          limit: options.limit ? parseInt(options.limit) : null,
+          sort: options.sort || null,
+          groupBy: options.groupBy || null
         }
       };
       
+      if (groups) {
+        jsonOutput.data.groups = groups;
+      }
+      
       console.log(JSON.stringify(jsonOutput, null, 2));
       return;
     }
 
+    // Templates print one line per task and nothing else, for scripting
+    if (listFormat.format === 'template') {
+      const ordered = groups ? groups.reduce((all, group) => all.concat(group.tasks), []) : tasks;
+      if (ordered.length > 0) {
+        console.log(formatTaskList(ordered, listFormat));
+      }
+      return;
+    }
+
     if (tasks.length === 0) {
       showInfo('No tasks found matching your criteria');
       return;
@@ -132,11 +211,17 @@ async function handler(options = {}) {
     console.log(`\n${header}:`);
     console.log('─'.repeat(50));
 
-    // Display tasks
-    tasks.forEach((task, index) => {
-      if (index > 0) console.log(''); // Add spacing between tasks
-      console.log(formatTask(task, { showId: true }));
-    });
+    if (groups) {
+      groups.forEach((group) => {
+        console.log(chalk.bold(`${group.label} (${group.count})`));
+        console.log('─'.repeat(30));
+        console.log(formatTaskList(group.tasks, listFormat, { showId: true }));
+        if (listFormat.format === 'table') console.log('');
+      });
+    } else {
+      // Display tasks
+      console.log(formatTaskList(tasks, listFormat, { showId: true }));
+    }
 
     // Show summary
     const relevantTotal = result.filtered || result.total; // Use filtered count if available, otherwise total
@@ -150,11 +235,25 @@ async function handler(options = {}) {
       showInfo(`Use --limit to see more results`);
     }
 
-  } catch (error) {
-    spinner.fail('Failed to fetch tasks');
-    showError(error.message);
-    process.exit(1);
+  }, { spinner, spinnerText: 'Failed to fetch tasks' });
+}
+
+// Priority and status order come from the user's TaskNotes settings.
+// Only fetched when a sort key or group needs them.
+async function loadSortContext(api, sortKeys, groupBy) {
+  const needsOptions = sortKeys.some(key => key.field === 'priority' || key.field === 'status') ||
+    groupBy === 'priority' || groupBy === 'status';
+  
+  let filterOptions = null;
+  if (needsOptions) {
+    try {
+      filterOptions = await api.getFilterOptions();
+    } catch (error) {
+      // Fall back to the default priority order
+    }
   }
+  
+  return createSortContext(filterOptions);
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -1,22 +1,21 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo, formatTask } = require('../lib/utils');
+const { assertOutputFormat, formatRecords } = require('../lib/output');
+const { resolveTaskId } = require('../lib/handles');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(action, options = {}) {
+  assertOutputFormat(options);
+
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Pomodoro operation failed', async () => {
+    if (options.task) {
+      options.task = await resolveTaskId(api, options.task);
+    }
+
     switch (action) {
       case 'start':
         await startPomodoro(api, options);
@@ -43,10 +42,7 @@ async function handler(action, options = {}) {
         showError('Invalid pomodoro action. Use: start, stop, pause, resume, status, stats, or sessions');
         process.exit(1);
     }
-  } catch (error) {
-    showError(`Pomodoro operation failed: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 async function startPomodoro(api, options) {
@@ -260,6 +256,12 @@ async function showPomodoroSessions(api, options) {
     const result = await api.getPomodoroSessions(filters);
     spinner.succeed('Pomodoro sessions retrieved');
     
+    if (options.output) {
+      const output = formatRecords(result.sessions || [], options.output, { meta: { date: options.date || null, total: result.total } });
+      if (output) console.log(output);
+      return;
+    }
+    
     if (options.json) {
       console.log(JSON.stringify(result, null, 2));
       return;
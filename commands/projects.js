@@ -1,22 +1,25 @@
 const TaskNotesAPI = require('../lib/api');
-const { showError, showSuccess, showInfo, formatTask } = require('../lib/utils');
+const { showError, showSuccess, showInfo, formatTaskList, resolveListFormat } = require('../lib/utils');
+const FilterParser = require('../lib/filter-parser');
+const FilterEvaluator = require('../lib/filter-evaluator');
+const config = require('../lib/config');
+const { assertOutputFormat, formatTasks } = require('../lib/output');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(action, projectName, options = {}) {
+  assertOutputFormat(options);
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Projects operation failed', async () => {
+    options.listFormat = resolveListFormat(options, config.get('outputTemplates'));
+
+    if (options.filter) {
+      options.filterQuery = new FilterParser().parse(options.filter);
+      options.completedStatuses = await api.getCompletedStatuses();
+    }
+
     switch (action) {
       case 'list':
         await listProjects(api, options);
@@ -46,10 +49,7 @@ async function handler(action, projectName, options = {}) {
         showError('Invalid projects action. Use: list, show, or stats');
         process.exit(1);
     }
-  } catch (error) {
-    showError(`Projects operation failed: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 async function listProjects(api, options) {
@@ -59,9 +59,11 @@ async function listProjects(api, options) {
   const result = await api.listTasks({ limit: 1000, archived: 'false' }); // Get active tasks
   spinner.succeed('Projects extracted from tasks');
 
+  const tasks = applyFilter(result.tasks, options);
+
   // Extract unique projects from all tasks
   const projectMap = new Map();
-  result.tasks.forEach(task => {
+  tasks.forEach(task => {
     if (task.projects && task.projects.length > 0) {
       task.projects.forEach(project => {
         // Skip null, undefined, or non-string projects
@@ -152,7 +154,7 @@ async function showProject(api, projectName, options) {
     archived: 'false'
   });
   
-  const projectTasks = result.tasks.filter(task => 
+  const projectTasks = applyFilter(result.tasks, options).filter(task => 
     task.projects && task.projects.includes(projectName)
   );
   
@@ -166,6 +168,28 @@ async function showProject(api, projectName, options) {
     return;
   }
 
+  // Show recent tasks
+  const limit = options.limit ? parseInt(options.limit) : 10;
+  const recentTasks = projectTasks
+    .sort((a, b) => new Date(b.dateModified) - new Date(a.dateModified))
+    .slice(0, limit);
+
+  if (options.output) {
+    const output = formatTasks(recentTasks, options.output, {
+      columns: options.listFormat.columns,
+      meta: { project: projectName, taskCount: projectTasks.length }
+    });
+    if (output) console.log(output);
+    return;
+  }
+
+  if (options.listFormat.format === 'template') {
+    if (recentTasks.length > 0) {
+      console.log(formatTaskList(recentTasks, options.listFormat));
+    }
+    return;
+  }
+
   console.log('\n' + chalk.bold(`📁 Project: ${projectName}`));
   console.log('─'.repeat(60));
   
@@ -191,19 +215,10 @@ async function showProject(api, projectName, options) {
   const bar = '█'.repeat(filled) + '░'.repeat(barLength - filled);
   console.log(`${chalk.bold('Progress:')} [${chalk.green(bar)}] ${completion}%`);
 
-  // Show recent tasks
-  const limit = options.limit ? parseInt(options.limit) : 10;
-  const recentTasks = projectTasks
-    .sort((a, b) => new Date(b.dateModified) - new Date(a.dateModified))
-    .slice(0, limit);
-  
   console.log('\n' + chalk.bold('Recent Tasks:'));
   console.log('─'.repeat(50));
   
-  recentTasks.forEach((task, index) => {
-    if (index > 0) console.log('');
-    console.log(formatTask(task, { showId: true, compact: true }));
-  });
+  console.log(formatTaskList(recentTasks, options.listFormat, { showId: true, compact: true }));
 
   if (projectTasks.length > limit) {
     console.log(`\n${chalk.dim(`... and ${projectTasks.length - limit} more tasks`)}`);
@@ -211,6 +226,14 @@ async function showProject(api, projectName, options) {
   }
 }
 
+// Apply --filter to tasks that have already been fetched
+function applyFilter(tasks, options) {
+  if (!options.filterQuery) {
+    return tasks;
+  }
+  return new FilterEvaluator({ completedStatuses: options.completedStatuses }).filter(tasks, options.filterQuery);
+}
+
 async function showProjectStats(api, projectName, options) {
   const spinner = ora(`Calculating stats for project: ${projectName}...`).start();
   
@@ -0,0 +1,128 @@
+const TaskNotesAPI = require('../lib/api');
+const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { WriteQueue, describeEntry, printReplayResults } = require('../lib/queue');
+const chalk = require('chalk');
+const ora = require('ora');
+const { format } = require('date-fns');
+
+function listQueue(queue, options) {
+  const entries = queue.list();
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    showInfo('No queued changes');
+    return;
+  }
+
+  console.log(chalk.bold('\nQueued changes (oldest first):'));
+  console.log('─'.repeat(60));
+
+  entries.forEach(entry => {
+    const time = format(new Date(entry.queuedAt), 'yyyy-MM-dd HH:mm');
+    console.log(`${chalk.cyan(`#${entry.id}`)} ${chalk.gray(time)} ${describeEntry(entry)}`);
+    console.log(chalk.dim(`    for ${entry.target}`));
+    if (entry.error) {
+      console.log(chalk.red(`    ✗ ${entry.error}`));
+    }
+  });
+
+  console.log(`\n${chalk.gray(`${entries.length} change${entries.length === 1 ? '' : 's'} queued. Send with "tn queue replay", remove with "tn queue drop <id>"`)}`);
+}
+
+async function replayQueue(queue) {
+  if (queue.list().length === 0) {
+    showInfo('No queued changes');
+    return;
+  }
+
+  // Replay explicitly below, including entries that failed before
+  const api = new TaskNotesAPI({ backend: 'api', queue, autoReplay: false });
+
+  const spinner = ora('Connecting to TaskNotes...').start();
+  const connected = await api.testConnection();
+  if (!connected) {
+    spinner.fail('Cannot connect to TaskNotes API');
+    showError('Queued changes can only be sent while TaskNotes is running with API enabled');
+    process.exit(1);
+  }
+  spinner.succeed('Connected to TaskNotes');
+
+  let results;
+  try {
+    results = await api.replayQueue({ all: true });
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+  const others = queue.list().filter(entry => entry.target !== api.baseURL).length;
+
+  if (results.length === 0) {
+    showInfo('No queued changes for this connection');
+  } else {
+    printReplayResults(results);
+  }
+  if (others > 0) {
+    showInfo(`${others} queued change${others === 1 ? ' is' : 's are'} for another connection. Replay with the matching --profile or --host/--port`);
+  }
+
+  if (results.some(result => result.status !== 'success')) {
+    process.exit(1);
+  }
+}
+
+function dropEntries(queue, ids, options) {
+  if (options.all) {
+    const count = queue.list().length;
+    queue.clear();
+    showSuccess(`Dropped ${count} queued change${count === 1 ? '' : 's'}`);
+    return;
+  }
+
+  if (ids.length === 0) {
+    showError('Give the IDs of the changes to drop, or --all');
+    showInfo('Example: tn queue drop 3 4');
+    process.exit(1);
+  }
+
+  let failed = false;
+  ids.forEach(value => {
+    const id = parseInt(String(value).replace(/^#/, ''));
+    const entry = isNaN(id) ? null : queue.remove(id);
+    if (entry) {
+      showSuccess(`Dropped #${entry.id} ${describeEntry(entry)}`);
+    } else {
+      showError(`No queued change #${value}`);
+      failed = true;
+    }
+  });
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+async function handler(action = 'list', ids = [], options = {}) {
+  const queue = new WriteQueue();
+
+  switch (action) {
+    case 'list':
+      listQueue(queue, options);
+      break;
+    case 'replay':
+      await replayQueue(queue);
+      break;
+    case 'drop':
+      dropEntries(queue, ids, options);
+      break;
+    default:
+      showError(`Unknown queue action: ${action}`);
+      showInfo('Use: tn queue list | tn queue replay | tn queue drop <id...>');
+      process.exit(1);
+  }
+}
+
+module.exports = { handler };
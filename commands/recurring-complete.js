@@ -1,5 +1,7 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { resolveTaskId } = require('../lib/handles');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
@@ -18,18 +20,10 @@ async function handler(taskId, instanceDate, options = {}) {
   }
 
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to complete recurring task instance', async () => {
+    taskId = await resolveTaskId(api, taskId);
+
     // Get task info first to show what we're completing
     const taskSpinner = ora('Fetching recurring task details...').start();
     const task = await api.getTask(taskId);
@@ -62,10 +56,7 @@ async function handler(taskId, instanceDate, options = {}) {
 
     showSuccess(`Recurring task instance for ${instanceDate} has been completed`);
     
-  } catch (error) {
-    showError(`Failed to complete recurring task instance: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -1,82 +1,168 @@
 const TaskNotesAPI = require('../lib/api');
-const { showError, showInfo, formatTask, colors } = require('../lib/utils');
+const { showError, showInfo, showWarning, formatTask, formatTaskList, resolveListFormat, colors } = require('../lib/utils');
+const FilterParser = require('../lib/filter-parser');
+const FilterEvaluator = require('../lib/filter-evaluator');
+const config = require('../lib/config');
+const { assertOutputFormat, formatTasks } = require('../lib/output');
+const { assignHandles } = require('../lib/handles');
+const { runCommand } = require('../lib/runner');
+const { parseSearchQuery, searchTasks, highlightMatches, matchSnippet, matchingLines } = require('../lib/search');
+const { BodyIndex, bodySource } = require('../lib/body-index');
 const ora = require('ora');
 
-async function handler(query) {
+// Tasks fetched per request while collecting the tasks to search
+const PAGE_SIZE = 1000;
+
+async function fetchAllTasks(api, filters) {
+  const tasks = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await api.listTasks({ ...filters, limit: PAGE_SIZE, offset: offset || undefined });
+    const pageTasks = page.tasks || [];
+    tasks.push(...pageTasks);
+    if (!page.hasMore || pageTasks.length === 0) {
+      return tasks;
+    }
+  }
+}
+
+// Replace each task's details with its full note body from the body index
+async function withBodies(api, tasks, spinner, prune) {
+  const { source, readBody, modifiedOf } = bodySource(api);
+  const searchingText = spinner.text;
+  spinner.text = 'Reading task notes...';
+  const { bodies, failed } = await new BodyIndex().update(source, tasks, readBody, { prune, modifiedOf });
+  if (failed > 0) {
+    spinner.stop();
+    showWarning(`Could not read ${failed} task ${failed === 1 ? 'note' : 'notes'}. Searching the last indexed text instead, where there is one`);
+    spinner.start();
+  }
+  spinner.text = searchingText;
+  return tasks.map(task => (bodies.has(task.path || task.id) ? { ...task, details: bodies.get(task.path || task.id) } : task));
+}
+
+// A task in the list layout with the matched words highlighted, and the matching body lines or details excerpt
+function formatResult(result, options) {
+  const { task, words } = result;
+  const mark = value => highlightMatches(value, words, colors.match);
+  let output = formatTask({
+    ...task,
+    title: mark(task.title),
+    tags: (task.tags || []).map(mark),
+    contexts: (task.contexts || []).map(mark),
+    projects: (task.projects || []).map(mark)
+  }, { showId: true });
+
+  if (result.fields.includes('details') && options.body) {
+    matchingLines(task.details, words, colors.match).forEach(({ line, text }) => {
+      output += `  ${colors.dim(`${line}:`)} ${text}\n`;
+    });
+  } else if (result.fields.includes('details')) {
+    const snippet = matchSnippet(task.details, words, colors.match);
+    if (snippet) {
+      output += `  ${colors.dim('Match:')} ${snippet}\n`;
+    }
+  }
+  return output;
+}
+
+async function handler(query, options = {}) {
   if (!query || !query.trim()) {
     showError('Please provide a search query');
     process.exit(1);
   }
 
-  const api = new TaskNotesAPI();
-  const spinner = ora(`Searching for "${query}"...`).start();
+  assertOutputFormat(options);
 
+  let listFormat;
   try {
-    // Test connection
-    const connected = await api.testConnection();
-    if (!connected) {
-      spinner.fail('Cannot connect to TaskNotes API');
-      showError('Make sure TaskNotes is running with API enabled');
+    listFormat = resolveListFormat(options, config.get('outputTemplates'));
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+
+  try {
+    parseSearchQuery(query);
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+
+  const limit = options.limit !== undefined ? parseInt(options.limit, 10) : config.get('maxResults');
+  if (!Number.isInteger(limit) || limit < 1) {
+    showError('--limit must be a whole number of 1 or more');
+    process.exit(1);
+  }
+
+  let filterQuery = null;
+  if (options.filter) {
+    try {
+      filterQuery = new FilterParser().parse(options.filter);
+    } catch (error) {
+      showError(error.message);
+      showInfo('Use "tn filter-help" to see filter syntax');
       process.exit(1);
     }
+  }
+
+  const api = new TaskNotesAPI();
+  const spinner = ora(`Searching for "${query}"...`).start();
+
+  await runCommand(null, async () => {
+    // Completed and archived tasks are only searched with --all
+    let allTasks = await fetchAllTasks(api, options.all ? {} : { archived: 'false', completed: 'false' });
+    
+    // Narrow the candidates with --filter before matching the query text
+    if (filterQuery) {
+      allTasks = new FilterEvaluator({ completedStatuses: await api.getCompletedStatuses() }).filter(allTasks, filterQuery);
+    }
 
-    // Get all tasks and filter client-side for now
-    // TODO: Update when API supports server-side search
-    const result = await api.listTasks({ limit: 1000, archived: 'false', completed: 'false' });
-    const allTasks = result.tasks || [];
+    // Notes no longer among every task can be dropped from the body index
+    if (options.body) {
+      allTasks = await withBodies(api, allTasks, spinner, options.all && !filterQuery);
+    }
     
-    // Simple text search across task fields
-    const query_lower = query.toLowerCase();
-    const matchingTasks = allTasks.filter(task => {
-      try {
-        return (
-          task.title?.toLowerCase().includes(query_lower) ||
-          task.details?.toLowerCase().includes(query_lower) ||
-          (task.tags?.filter(tag => tag && typeof tag === 'string').some(tag => tag.toLowerCase().includes(query_lower))) ||
-          (task.contexts?.filter(ctx => ctx && typeof ctx === 'string').some(ctx => ctx.toLowerCase().includes(query_lower))) ||
-          (task.projects?.filter(proj => proj && typeof proj === 'string').some(proj => proj.toLowerCase().includes(query_lower))) ||
-          (task.id || task.path)?.toLowerCase().includes(query_lower)
-        );
-      } catch (error) {
-        // Skip problematic tasks
-        return false;
-      }
-    });
+    const results = searchTasks(allTasks, query);
+    const shown = results.slice(0, limit);
+    const matchingTasks = shown.map(result => result.task);
+
+    spinner.succeed(`Found ${results.length} tasks matching "${query}"`);
 
-    spinner.succeed(`Found ${matchingTasks.length} tasks matching "${query}"`);
+    assignHandles(matchingTasks);
+
+    if (options.output) {
+      const output = formatTasks(matchingTasks, options.output, { columns: listFormat.columns, meta: { query, total: results.length } });
+      if (output) console.log(output);
+      return;
+    }
+
+    if (listFormat.format === 'template') {
+      if (matchingTasks.length > 0) console.log(formatTaskList(matchingTasks, listFormat));
+      return;
+    }
 
     if (matchingTasks.length === 0) {
       showInfo('No tasks found matching your search criteria');
-      showInfo('Try different keywords or check spelling');
+      showInfo(options.all ? 'Try different keywords or check spelling' : 'Try different keywords, or --all to include completed and archived tasks');
       return;
     }
 
-    // Sort by relevance (title matches first, then others)
-    matchingTasks.sort((a, b) => {
-      const aTitle = a.title?.toLowerCase().includes(query_lower) ? 1 : 0;
-      const bTitle = b.title?.toLowerCase().includes(query_lower) ? 1 : 0;
-      return bTitle - aTitle;
-    });
-
     console.log(`\nSearch Results for "${colors.highlight(query)}":`);
     console.log('─'.repeat(50));
 
-    // Display matching tasks
-    matchingTasks.forEach((task, index) => {
-      if (index > 0) console.log(''); // Add spacing between tasks
-      console.log(formatTask(task, { showId: true }));
-    });
+    // Display matching tasks, best match first
+    if (listFormat.format === 'table') {
+      console.log(formatTaskList(matchingTasks, listFormat));
+    } else {
+      console.log(shown.map(result => formatResult(result, options)).join('\n\n'));
+    }
 
     // Show summary
-    if (matchingTasks.length >= 20) {
-      showInfo('Showing first 20 results. Refine your search for more specific results.');
+    if (results.length > shown.length) {
+      showInfo(`Showing the best ${shown.length} of ${results.length} results. Use --limit to see more, or refine your search.`);
     }
 
-  } catch (error) {
-    spinner.fail('Search failed');
-    showError(error.message);
-    process.exit(1);
-  }
+  }, { spinner, spinnerText: 'Search failed' });
 }
 
 module.exports = { handler };
\ No newline at end of file
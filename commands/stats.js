@@ -1,27 +1,26 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { assertOutputFormat, formatRecords } = require('../lib/output');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(options = {}) {
+  assertOutputFormat(options);
+
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to fetch statistics', async () => {
     const statsSpinner = ora('Fetching task statistics...').start();
     
     const stats = await api.getStats();
     statsSpinner.succeed('Task statistics retrieved');
     
+    if (options.output) {
+      console.log(formatRecords([stats], options.output));
+      return;
+    }
+    
     if (options.json) {
       console.log(JSON.stringify(stats, null, 2));
       return;
@@ -100,10 +99,7 @@ async function handler(options = {}) {
       }
     }
 
-  } catch (error) {
-    showError(`Failed to fetch statistics: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
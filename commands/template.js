@@ -0,0 +1,163 @@
+const { showError, showSuccess, showInfo, colors } = require('../lib/utils');
+const { TemplateStore, templateVariables, BUILT_IN_VARIABLES } = require('../lib/templates');
+const { taskDataFromOptions } = require('../lib/task-fields');
+const chalk = require('chalk');
+const fs = require('fs');
+
+// --var for add: "owner=me" sets a default, a bare "version" must be given at create time
+function declaredVariables(assignments = []) {
+  const variables = {};
+  assignments.forEach(assignment => {
+    const [name, ...rest] = String(assignment).split('=');
+    variables[name.trim()] = rest.length > 0 ? rest.join('=') : null;
+  });
+  return variables;
+}
+
+function describeVariables(template) {
+  const defaults = template.variables || {};
+  return templateVariables(template).map(variable => {
+    const value = defaults[variable];
+    return value === null || value === undefined ? variable : `${variable}=${value}`;
+  });
+}
+
+function listTemplates(store, options) {
+  // A template that can't be read is listed with its error instead of failing the list
+  const entries = store.entries();
+
+  if (options.json) {
+    console.log(JSON.stringify(entries.map(({ name, template, error }) => (error ? { name, error } : { name, ...template })), null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    showInfo('No templates yet');
+    showInfo('Add one with: tn template add release --title "Release {{version}}" --tags release --estimate 120');
+    return;
+  }
+
+  console.log(chalk.bold('\nTask templates:'));
+  console.log('─'.repeat(50));
+  entries.forEach(({ name, template, error }) => {
+    if (error) {
+      console.log(`${colors.highlight(name.padEnd(15))} ${colors.error('invalid')}`);
+      console.log(colors.dim(`${' '.repeat(16)}${error}`));
+      return;
+    }
+    const variables = describeVariables(template);
+    console.log(`${colors.highlight(name.padEnd(15))} ${template.description || template.task.title}`);
+    if (variables.length > 0) {
+      console.log(colors.dim(`${' '.repeat(16)}variables: ${variables.join(', ')}`));
+    }
+  });
+  console.log(`\n${chalk.gray('Create a task with "tn create --template <name> --var name=value"')}`);
+  if (entries.some(entry => entry.error)) {
+    console.log(chalk.gray('Fix an invalid template with "tn template add <name> ..." or "tn template remove <name>"'));
+  }
+}
+
+function showTemplate(store, name, options) {
+  const template = store.get(name);
+  if (!template) {
+    showError(`No template named ${name}`);
+    showInfo('Use "tn template list" to see the templates');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(template, null, 2));
+    return;
+  }
+
+  console.log(`\n${chalk.bold(name)}${template.description ? ` - ${template.description}` : ''}`);
+  console.log('─'.repeat(50));
+  Object.entries(template.task).forEach(([field, value]) => {
+    const shown = Array.isArray(value) ? value.join(', ') : String(value);
+    console.log(`${colors.dim(`${field}:`.padEnd(14))} ${shown.includes('\n') ? `\n${shown}` : shown}`);
+  });
+
+  const variables = describeVariables(template);
+  if (variables.length > 0) {
+    console.log(`\n${colors.dim('Variables:')} ${variables.join(', ')}`);
+  }
+  console.log(colors.dim(`File: ${store.filePath(name)}`));
+}
+
+function addTemplate(store, name, options) {
+  let template;
+  if (options.file) {
+    try {
+      template = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${options.file}: ${error.message}`);
+    }
+  } else {
+    template = { task: taskDataFromOptions(options, { variables: true }) };
+    if (!template.task.title) {
+      showError('A template needs at least --title (or --file with a template)');
+      showInfo('Example: tn template add release --title "Release {{version}}" --tags release --var version');
+      process.exit(1);
+    }
+    if (options.description) {
+      template = { description: options.description, ...template };
+    }
+    if (options.var.length > 0) {
+      template.variables = declaredVariables(options.var);
+    }
+  }
+
+  // Checked without reading the file, so a broken template can be replaced
+  const existing = store.has(name);
+  const filePath = store.save(name, template);
+  showSuccess(`${existing ? 'Updated' : 'Added'} template ${name} (${filePath})`);
+
+  const defaults = template.variables || {};
+  const required = templateVariables(template).filter(variable => !BUILT_IN_VARIABLES.includes(variable) && (defaults[variable] === null || defaults[variable] === undefined));
+  showInfo(`Use it with "tn create --template ${name}${required.map(variable => ` --var ${variable}=...`).join('')}"`);
+}
+
+async function handler(action, name, options = {}) {
+  const store = new TemplateStore();
+  options = { var: [], ...options };
+
+  try {
+    switch (action) {
+      case 'list':
+      case undefined:
+        listTemplates(store, options);
+        break;
+
+      case 'show':
+      case 'add':
+      case 'remove': {
+        if (!name) {
+          showError('Template name is required');
+          showInfo(`Usage: tn template ${action} <name>`);
+          process.exit(1);
+        }
+        if (action === 'show') {
+          showTemplate(store, name, options);
+        } else if (action === 'add') {
+          addTemplate(store, name, options);
+        } else if (store.remove(name)) {
+          showSuccess(`Removed template ${name}`);
+        } else {
+          showError(`No template named ${name}`);
+          process.exit(1);
+        }
+        break;
+      }
+
+      default:
+        showError(`Unknown template action: ${action}`);
+        showInfo('Usage: tn template list|show|add|remove [name]');
+        process.exit(1);
+    }
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { handler };
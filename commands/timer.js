@@ -1,22 +1,22 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo, formatTask } = require('../lib/utils');
+const { assertOutputFormat, formatRecords } = require('../lib/output');
+const { resolveTaskId } = require('../lib/handles');
+const { QueuedError } = require('../lib/queue');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
 async function handler(action, options = {}) {
+  assertOutputFormat(options);
+
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Timer operation failed', async () => {
+    if (options.task) {
+      options.task = await resolveTaskId(api, options.task);
+    }
+
     switch (action) {
       case 'start':
         await startTimer(api, options);
@@ -34,10 +34,7 @@ async function handler(action, options = {}) {
         showError('Invalid timer action. Use: start, stop, status, or log');
         process.exit(1);
     }
-  } catch (error) {
-    showError(`Timer operation failed: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 async function startTimer(api, options) {
@@ -65,7 +62,11 @@ async function startTimer(api, options) {
       }
     }
   } catch (error) {
-    spinner.fail('Failed to start timer');
+    if (error instanceof QueuedError) {
+      spinner.stop();
+    } else {
+      spinner.fail('Failed to start timer');
+    }
     throw error;
   }
 }
@@ -104,7 +105,11 @@ async function stopTimer(api, options) {
     
     showInfo(`Total time on task: ${totalMinutes} minutes (${result.timeEntries.length} sessions)`);
   } catch (error) {
-    spinner.fail('Failed to stop timer');
+    if (error instanceof QueuedError) {
+      spinner.stop();
+    } else {
+      spinner.fail('Failed to stop timer');
+    }
     throw error;
   }
 }
@@ -160,6 +165,13 @@ async function showTimeLog(api, options) {
       const taskTimeData = await api.getTaskTimeData(options.task);
       spinner.succeed(`Found ${taskTimeData.timeEntries.length} time entries for task`);
       
+      if (options.output) {
+        const entries = taskTimeData.timeEntries.map(entry => ({ task: taskTimeData.task.title, ...entry }));
+        const output = formatRecords(entries, options.output, { meta: { task: taskTimeData.task, summary: taskTimeData.summary } });
+        if (output) console.log(output);
+        return;
+      }
+      
       if (taskTimeData.timeEntries.length === 0) {
         showInfo('No time entries found for this task');
         return;
@@ -198,6 +210,14 @@ async function showTimeLog(api, options) {
     const summary = await api.getTimeLog(filters);
     spinner.succeed(`Time summary for ${summary.period}`);
     
+    // Exports list the tasks with tracked time; the totals go in the json metadata
+    if (options.output) {
+      const rows = (summary.topTasks || []).map(task => ({ period: summary.period, ...task }));
+      const output = formatRecords(rows, options.output, { meta: { period: summary.period, summary: summary.summary } });
+      if (output) console.log(output);
+      return;
+    }
+    
     console.log('\n' + chalk.bold(`Time Summary - ${summary.period.charAt(0).toUpperCase() + summary.period.slice(1)}`));
     console.log('─'.repeat(60));
     console.log(`${chalk.cyan('Total time:')} ${summary.summary.totalMinutes} minutes (${summary.summary.totalHours} hours)`);
@@ -1,32 +1,59 @@
 const TaskNotesAPI = require('../lib/api');
 const { showError, showSuccess, showInfo } = require('../lib/utils');
+const { resolveTaskId } = require('../lib/handles');
+const { handleBulkCommand } = require('../lib/bulk');
+const { runCommand } = require('../lib/runner');
+const { QueuedError, reportQueued } = require('../lib/queue');
 const ora = require('ora');
 const chalk = require('chalk');
 
+async function toggleWhere(reference, options) {
+  const api = new TaskNotesAPI();
+  await handleBulkCommand(api, reference, options, {
+    name: 'Toggle',
+    progress: 'Toggling',
+    verb: 'Toggled',
+    apply: async (task, taskId) => {
+      const updatedTask = await api.toggleTaskStatus(taskId);
+      return { status: 'success', message: `${task.status || 'none'} → ${updatedTask.status || 'none'}` };
+    }
+  });
+}
+
 async function handler(taskId, options = {}) {
+  if (options.where) {
+    return toggleWhere(taskId, options);
+  }
+
   if (!taskId) {
     showError('Task ID is required');
     showInfo('Example: tn toggle "TaskNotes/Tasks/Buy groceries.md"');
-    showInfo('Or:      tn toggle task-123');
+    showInfo('Or:      tn toggle \'#12\'');
+    showInfo('Or:      tn toggle "buy groceries"');
+    showInfo('Or:      tn toggle --where "status:in-progress AND tag:waiting"');
     process.exit(1);
   }
 
   const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
-    process.exit(1);
-  }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
+  await runCommand('Failed to toggle task status', async () => {
+    taskId = await resolveTaskId(api, taskId);
+
     // Get task info first to show current status
     const taskSpinner = ora('Fetching task details...').start();
-    const originalTask = await api.getTask(taskId);
+    let originalTask;
+    try {
+      originalTask = await api.getTask(taskId);
+    } catch (error) {
+      taskSpinner.stop();
+      // TaskNotes is not running, so there is no task to show; queue the toggle for later
+      const entry = api.offline ? api.queueChange({ operation: 'toggle-status', taskId }) : null;
+      if (!entry) {
+        throw error;
+      }
+      reportQueued(new QueuedError(entry));
+      return;
+    }
     taskSpinner.succeed('Task found');
 
     console.log('\n' + chalk.bold('Current task:'));
@@ -57,10 +84,7 @@ async function handler(taskId, options = {}) {
       showInfo('Task status remained the same');
     }
     
-  } catch (error) {
-    showError(`Failed to toggle task status: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const TaskNotesAPI = require('../lib/api');
+const { showError, showErrorHint, showSuccess, showInfo } = require('../lib/utils');
+const { Journal, undoEntry } = require('../lib/journal');
+const ora = require('ora');
+
+const OPERATION_LABELS = {
+  'update': 'update of',
+  'toggle-status': 'status toggle of',
+  'archive': 'archive toggle of',
+  'delete': 'deletion of',
+  'complete-instance': 'instance completion of'
+};
+
+async function handler(count, options = {}) {
+  const total = count === undefined ? 1 : parseInt(count);
+  if (isNaN(total) || total < 1) {
+    showError('Number of changes to undo must be a positive number');
+    showInfo('Example: tn undo 3');
+    process.exit(1);
+  }
+
+  const journal = new Journal();
+  const entries = journal.pending(total);
+  if (entries.length === 0) {
+    showInfo('Nothing to undo');
+    return;
+  }
+
+  // Undo must not record its own changes, or "tn undo" twice would redo.
+  // Nor may it queue them: the entry would stay pending and be undone twice
+  const api = new TaskNotesAPI({ journal: false, queue: false });
+
+  // Newest first, stopping at the first failure so older changes are never
+  // reverted on top of a newer one that is still in place
+  for (const entry of entries) {
+    const label = `${OPERATION_LABELS[entry.operation] || entry.operation} "${entry.title}"`;
+    const undoSpinner = ora(`Undoing ${label}...`).start();
+    try {
+      await undoEntry(api, entry, { force: options.force });
+      journal.markUndone(entry.id);
+      undoSpinner.succeed(`Undid ${label}`);
+    } catch (error) {
+      undoSpinner.fail(`Could not undo ${label}`);
+      showError(error.message);
+      showErrorHint(error);
+      process.exit(1);
+    }
+  }
+
+  if (entries.length < total) {
+    showInfo(`Only ${entries.length} change${entries.length === 1 ? '' : 's'} left to undo`);
+  }
+  showSuccess(`Undid ${entries.length} change${entries.length === 1 ? '' : 's'}`);
+}
+
+module.exports = { handler };
@@ -1,78 +1,113 @@
 const TaskNotesAPI = require('../lib/api');
-const { showError, showSuccess, showInfo, formatTask } = require('../lib/utils');
+const { showError, showSuccess, showInfo, formatTaskList, resolveListFormat } = require('../lib/utils');
+const config = require('../lib/config');
+const { resolveTaskId } = require('../lib/handles');
+const { handleBulkCommand } = require('../lib/bulk');
+const { runCommand } = require('../lib/runner');
 const ora = require('ora');
 const chalk = require('chalk');
 
+// Build the update object from command options
+function buildUpdates(options) {
+  const updates = {};
+  
+  if (options.status) {
+    updates.status = options.status;
+  }
+  
+  if (options.priority) {
+    updates.priority = options.priority;
+  }
+  
+  if (options.due) {
+    updates.due = options.due;
+  }
+  
+  if (options.scheduled) {
+    updates.scheduled = options.scheduled;
+  }
+  
+  if (options.title) {
+    updates.title = options.title;
+  }
+  
+  if (options.estimate) {
+    updates.estimate = parseInt(options.estimate);
+  }
+  
+  if (options.addTags) {
+    updates.addTags = options.addTags.split(',').map(tag => tag.trim());
+  }
+  
+  if (options.removeTags) {
+    updates.removeTags = options.removeTags.split(',').map(tag => tag.trim());
+  }
+  
+  if (options.addContexts) {
+    updates.addContexts = options.addContexts.split(',').map(ctx => ctx.trim());
+  }
+  
+  if (options.removeContexts) {
+    updates.removeContexts = options.removeContexts.split(',').map(ctx => ctx.trim());
+  }
+  
+  if (options.addProjects) {
+    updates.addProjects = options.addProjects.split(',').map(proj => proj.trim());
+  }
+  
+  if (options.removeProjects) {
+    updates.removeProjects = options.removeProjects.split(',').map(proj => proj.trim());
+  }
+
+  return updates;
+}
+
+async function updateWhere(reference, options) {
+  const updates = buildUpdates(options);
+  if (Object.keys(updates).length === 0) {
+    showError('No updates specified');
+    showInfo('Use --status, --priority, --due, --scheduled, --title, --estimate, --add-tags, --remove-tags, etc.');
+    process.exit(1);
+  }
+
+  const api = new TaskNotesAPI();
+  await handleBulkCommand(api, reference, options, {
+    name: 'Update',
+    progress: 'Updating',
+    verb: 'Updated',
+    apply: async (task, taskId) => {
+      await api.updateTask(taskId, updates);
+      return { status: 'success' };
+    }
+  });
+}
+
 async function handler(taskId, options = {}) {
+  if (options.where) {
+    return updateWhere(taskId, options);
+  }
+
   if (!taskId) {
     showError('Task ID or path is required');
     showInfo('Usage: tn update <task-id> [options]');
+    showInfo('   or: tn update --where "<filter>" [options]');
     process.exit(1);
   }
 
-  const api = new TaskNotesAPI();
-  
-  // Test connection
-  const spinner = ora('Connecting to TaskNotes...').start();
-  const connected = await api.testConnection();
-  if (!connected) {
-    spinner.fail('Cannot connect to TaskNotes API');
-    showError('Make sure TaskNotes is running with API enabled');
+  let listFormat;
+  try {
+    listFormat = resolveListFormat(options, config.get('outputTemplates'));
+  } catch (error) {
+    showError(error.message);
     process.exit(1);
   }
-  spinner.succeed('Connected to TaskNotes');
 
-  try {
-    // Build update object from options
-    const updates = {};
-    
-    if (options.status) {
-      updates.status = options.status;
-    }
-    
-    if (options.priority) {
-      updates.priority = options.priority;
-    }
-    
-    if (options.due) {
-      updates.due = options.due;
-    }
-    
-    if (options.scheduled) {
-      updates.scheduled = options.scheduled;
-    }
-    
-    if (options.title) {
-      updates.title = options.title;
-    }
-    
-    if (options.estimate) {
-      updates.estimate = parseInt(options.estimate);
-    }
-    
-    if (options.addTags) {
-      updates.addTags = options.addTags.split(',').map(tag => tag.trim());
-    }
-    
-    if (options.removeTags) {
-      updates.removeTags = options.removeTags.split(',').map(tag => tag.trim());
-    }
-    
-    if (options.addContexts) {
-      updates.addContexts = options.addContexts.split(',').map(ctx => ctx.trim());
-    }
-    
-    if (options.removeContexts) {
-      updates.removeContexts = options.removeContexts.split(',').map(ctx => ctx.trim());
-    }
-    
-    if (options.addProjects) {
-      updates.addProjects = options.addProjects.split(',').map(proj => proj.trim());
-    }
+  const api = new TaskNotesAPI();
+
+  await runCommand('Failed to update task', async () => {
+    taskId = await resolveTaskId(api, taskId);
     
-    if (options.removeProjects) {
-      updates.removeProjects = options.removeProjects.split(',').map(proj => proj.trim());
-    }
+    const updates = buildUpdates(options);
 
     if (Object.keys(updates).length === 0) {
       showError('No updates specified');
@@ -82,19 +117,27 @@ async function handler(taskId, options = {}) {
 
     const updateSpinner = ora('Updating task...').start();
     
-    const updatedTask = await api.updateTask(taskId, updates);
+    let updatedTask;
+    try {
+      updatedTask = await api.updateTask(taskId, updates);
+    } catch (error) {
+      updateSpinner.stop();
+      throw error;
+    }
     updateSpinner.succeed('Task updated successfully');
     
+    if (listFormat.format === 'template') {
+      console.log(formatTaskList([updatedTask], listFormat));
+      return;
+    }
+    
     console.log('\n' + chalk.bold('Updated Task:'));
     console.log('─'.repeat(50));
-    console.log(formatTask(updatedTask, { showId: true }));
+    console.log(formatTaskList([updatedTask], listFormat, { showId: true }));
     
     showSuccess('Task properties updated successfully');
     
-  } catch (error) {
-    showError(`Failed to update task: ${error.message}`);
-    process.exit(1);
-  }
+  });
 }
 
 module.exports = { handler };
\ No newline at end of file
@@ -1,9 +1,302 @@
 const fetch = require('node-fetch');
+const { format, formatDistanceToNow } = require('date-fns');
 const config = require('./config');
+const { Journal } = require('./journal');
+const { ReadCache, cacheKey } = require('./cache');
+const { QueuedError, WriteQueue, replayEntries, printReplayResults } = require('./queue');
+const { findVaults, readVaultSettings, expandPath } = require('./vault');
+const { FilesBackend, resolveVaultPath } = require('./files-backend');
+const { TaskNotesError, ConnectionError, ServerError, errorFromResponse, isUnreachable } = require('./errors');
+const { Tracer } = require('./trace');
+const { showWarning } = require('./utils');
+
+// Network errors that mean the API is not reachable at all
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'ETIMEDOUT'];
+
+// Requests retried after a timeout, a dropped connection or a gateway error
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const RETRY_DELAY = 250;
+
+// getFilterOptions results by API URL or vault folder, shared by every instance
+const filterOptions = new Map();
+
+/**
+ * Failures worth another attempt: timeouts, dropped connections and
+ * gateway errors. A refused connection means TaskNotes is not running and
+ * an unknown host will not resolve on a retry, so those fail at once.
+ */
+function isRetryable(error) {
+  if (error instanceof ConnectionError) {
+    return !isUnreachable(error);
+  }
+  return error instanceof ServerError && [502, 503, 504].includes(error.status);
+}
 
 class TaskNotesAPI {
-  constructor() {
-    this.config = config.get();
+  /**
+   * options.journal - Journal to record mutations in, or false to skip recording
+   * options.cache - ReadCache for task lists, filter options and stats, or false
+   * options.queue - WriteQueue for changes made while TaskNotes is not running, or false
+   * options.autoReplay - false to leave the queue alone on successful health checks
+   * options.backend - 'api', 'files' or 'auto'; defaults to the backend setting
+   * options.tracer - Tracer for requests; defaults to one for the debug and traceFile settings
+   */
+  constructor(options = {}) {
+    // Connection settings come from the active profile, if any
+    this.config = { ...config.get(), ...config.getConnection() };
+    this.journal = options.journal;
+    this.cache = this.config.cache === false ? false : options.cache;
+    this.queue = options.queue;
+    this.autoReplay = options.autoReplay !== false;
+    this.tracer = options.tracer;
+
+    // Set once TaskNotes refused a connection; reads come from the cache
+    // and changes go to the write queue
+    this.offline = false;
+    this.replaying = false;
+    this.replayChecked = false;
+    this.staleWarningShown = false;
+
+    // Task methods go to the vault files instead of HTTP while this is set
+    this.backend = null;
+    this.backendMode = options.backend || this.config.backend || 'auto';
+    if (this.backendMode === 'files') {
+      this.useFiles();
+    }
+  }
+
+  useFiles() {
+    this.backend = new FilesBackend(resolveVaultPath(this.config.vaultPath, config.getProfileName()));
+    return this.backend;
+  }
+
+  getJournal() {
+    if (this.journal === undefined) {
+      this.journal = new Journal();
+    }
+    return this.journal;
+  }
+
+  getQueue() {
+    if (this.queue === undefined) {
+      this.queue = new WriteQueue();
+    }
+    return this.queue;
+  }
+
+  /**
+   * Send a change, or queue it when TaskNotes is not running (connection
+   * refused). Queued changes reject with a QueuedError holding the entry.
+   */
+  async sendOrQueue(change, send) {
+    const queue = this.backend || this.replaying ? null : this.getQueue();
+    if (queue && this.offline) {
+      throw new QueuedError(this.queueChange(change));
+    }
+
+    try {
+      return await send();
+    } catch (error) {
+      if (!queue || error.code !== 'ECONNREFUSED' || this.switchToFiles(error)) {
+        throw error;
+      }
+      throw new QueuedError(this.queueChange(change));
+    }
+  }
+
+  /**
+   * Queue a change without trying to send it, for commands that already
+   * found TaskNotes not running. Returns the queue entry, or null when
+   * changes are not queued (files backend, queue turned off).
+   */
+  queueChange(change) {
+    const queue = this.backend || this.replaying ? null : this.getQueue();
+    return queue ? queue.add({ ...change, target: this.baseURL }) : null;
+  }
+
+  /**
+   * Send the changes queued for this API before the first request, so the
+   * command sees them applied. With changes waiting, a health check goes
+   * first so nothing is locked or resent while TaskNotes is down. Results
+   * go to stderr.
+   */
+  async replayPending() {
+    if (this.replayChecked || !this.autoReplay || this.replaying) {
+      return;
+    }
+    this.replayChecked = true;
+
+    try {
+      if (this.pendingEntries().length === 0) {
+        return;
+      }
+      await this.send('/api/health', {});
+
+      const results = await this.replayQueue();
+      if (results.length > 0) {
+        printReplayResults(results, console.error);
+      }
+    } catch (error) {
+      // The queue is replayed again by the next command
+    }
+  }
+
+  /**
+   * The queued changes for this API, oldest first.
+   * options.all - include entries that failed before (automatic replays skip them)
+   */
+  pendingEntries(options = {}) {
+    const queue = this.backend || this.replaying ? null : this.getQueue();
+    if (!queue) {
+      return [];
+    }
+    return queue.list().filter(entry => entry.target === this.baseURL && (options.all || !entry.error));
+  }
+
+  /**
+   * Send the changes queued for this API, holding the queue's replay lock.
+   * Throws if another tn process is replaying it.
+   * options.all - as for pendingEntries
+   */
+  async replayQueue(options = {}) {
+    if (this.pendingEntries(options).length === 0) {
+      return [];
+    }
+
+    const queue = this.getQueue();
+    const release = queue.lock();
+    if (!release) {
+      throw new Error('Another tn process is replaying the queue. Try again in a moment');
+    }
+
+    try {
+      // Reloaded under the lock, in case another process replayed some
+      const entries = this.pendingEntries(options);
+      this.replaying = true;
+      return entries.length > 0 ? await replayEntries(this, queue, entries) : [];
+    } finally {
+      this.replaying = false;
+      release();
+    }
+  }
+
+  // Set up from the debug and traceFile settings; null when neither is on
+  getTracer() {
+    if (this.tracer === undefined) {
+      const { debug, traceFile } = this.config;
+      this.tracer = debug || traceFile ? new Tracer({ debug, traceFile }) : null;
+    }
+    return this.tracer;
+  }
+
+  getCache() {
+    if (this.cache === undefined) {
+      this.cache = new ReadCache();
+    }
+    return this.cache;
+  }
+
+  // Task changes make every cached read out of date, but it is still better than nothing offline
+  invalidateCache() {
+    try {
+      const cache = this.getCache();
+      if (cache) cache.markStale();
+    } catch (error) {
+      // Ignore cache write errors
+    }
+  }
+
+  /**
+   * Fetch a read and cache it. When the API cannot be reached, serve the
+   * cached copy however old, with a warning saying how stale it is. With a
+   * cacheTtl set, younger entries are served without a request unless
+   * options.fresh is set (reads that pick the targets of a change).
+   */
+  async cachedRead(name, fetchData, options = {}) {
+    const cache = this.backend ? null : this.getCache();
+    if (!cache) {
+      return fetchData();
+    }
+
+    // Each profile or host has its own snapshot
+    const key = `${this.baseURL} ${name}`;
+    const entry = cache.get(key);
+    if (!this.offline) {
+      if (entry && !options.fresh && cache.isFresh(entry, this.config.cacheTtl)) {
+        return entry.data;
+      }
+
+      try {
+        const data = await fetchData();
+        try {
+          cache.set(key, data);
+        } catch (error) {
+          // Ignore cache write errors
+        }
+        return data;
+      } catch (error) {
+        if (!entry || !CONNECTION_ERRORS.includes(error.code) || this.switchToFiles(error)) {
+          throw error;
+        }
+      }
+    }
+
+    if (!entry) {
+      throw new ConnectionError(`Cannot connect to TaskNotes API at ${this.baseURL}, and this data has not been cached yet`, { code: 'ECONNREFUSED' });
+    }
+    this.warnStale(entry.savedAt);
+    return entry.data;
+  }
+
+  warnStale(savedAt) {
+    if (this.staleWarningShown) return;
+    this.staleWarningShown = true;
+
+    const date = new Date(savedAt);
+    showWarning(`TaskNotes API unavailable, showing cached data (stale as of ${format(date, 'yyyy-MM-dd HH:mm')}, ${formatDistanceToNow(date)} ago)`);
+  }
+
+  // Whether any reads from this API are cached to fall back on
+  hasCachedData() {
+    try {
+      const cache = this.backend ? null : this.getCache();
+      return Boolean(cache) && Object.keys(cache.data.entries).some(key => key.startsWith(`${this.baseURL} `));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run a mutation and record the task before and after it in the undo
+   * journal. Journal failures never stop the mutation itself.
+   */
+  async recordMutation(operation, taskId, mutate, details) {
+    const journal = this.getJournal();
+    if (!journal) {
+      const result = await mutate();
+      this.invalidateCache();
+      return result;
+    }
+
+    let before = null;
+    try {
+      before = await this.getTask(taskId);
+    } catch (error) {
+      // Without a snapshot there is nothing to undo to; let the mutation report the error
+    }
+
+    const result = await mutate();
+    this.invalidateCache();
+
+    if (before) {
+      try {
+        const after = operation === 'delete' ? null : result;
+        journal.record({ operation, taskId, before, after, details });
+      } catch (error) {
+        // Ignore journal write errors
+      }
+    }
+    return result;
   }
 
   get baseURL() {
@@ -24,63 +317,154 @@ class TaskNotesAPI {
   }
 
   async request(endpoint, options = {}) {
+    if (this.backend) {
+      throw new Error(`This command needs the TaskNotes HTTP API and is not available with the ${this.backend.name} backend. Open Obsidian with the TaskNotes API enabled`);
+    }
+
+    await this.replayPending();
+
+    // Only requests that can safely be sent twice are retried
+    const method = (options.method || 'GET').toUpperCase();
+    const attempts = IDEMPOTENT_METHODS.includes(method) ? (this.config.retries || 0) + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(endpoint, options);
+      } catch (error) {
+        if (attempt >= attempts || !isRetryable(error)) {
+          if (error.code === 'ECONNREFUSED' && !this.replaying) {
+            this.offline = true;
+          }
+          throw error;
+        }
+        await this.backoff(attempt);
+      }
+    }
+  }
+
+  /**
+   * Run a task method on the files backend when it is in use, otherwise
+   * over HTTP. With the auto backend the first connection failure switches
+   * to the files for the rest of the command.
+   */
+  async route(method, args, viaHttp) {
+    if (!this.backend) {
+      try {
+        return await viaHttp();
+      } catch (error) {
+        if (!this.switchToFiles(error)) {
+          throw error;
+        }
+      }
+    }
+    return this.backend[method](...args);
+  }
+
+  async send(endpoint, options) {
     const url = `${this.baseURL}${endpoint}`;
-    
+    const timeout = (this.config.timeout || 0) * 1000;
+    const headers = {
+      ...this.headers,
+      ...options.headers
+    };
+
+    const exchange = {
+      method: (options.method || 'GET').toUpperCase(),
+      url,
+      requestHeaders: headers,
+      requestBody: options.body || null,
+      startedAt: new Date()
+    };
+
     try {
       const response = await fetch(url, {
         ...options,
-        headers: {
-          ...this.headers,
-          ...options.headers
-        }
+        timeout,
+        headers
+      });
+      const text = await response.text();
+      Object.assign(exchange, {
+        status: response.status,
+        statusText: response.statusText,
+        responseHeaders: response.headers ? Object.fromEntries(response.headers.entries()) : {},
+        responseBody: text
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        throw errorFromResponse(response.status, text);
       }
 
-      const data = await response.json();
+      const data = JSON.parse(text);
       
       if (!data.success) {
-        throw new Error(data.error || 'API request failed');
+        throw new TaskNotesError(data.error || 'API request failed', { status: response.status, body: data });
       }
 
       return data.data;
     } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to TaskNotes API at ${this.baseURL}. Make sure TaskNotes is running with API enabled.`);
+      exchange.error = error;
+      if (error.type === 'request-timeout' || error.type === 'body-timeout') {
+        throw new ConnectionError(`TaskNotes API at ${this.baseURL} did not respond within ${this.config.timeout} seconds`, {
+          code: 'ETIMEDOUT',
+          hint: 'Raise the limit with "tn config --set timeout=<seconds>" or --timeout <seconds>'
+        });
+      }
+      if (CONNECTION_ERRORS.includes(error.code)) {
+        throw new ConnectionError(`Cannot connect to TaskNotes API at ${this.baseURL}. Make sure TaskNotes is running with API enabled.`, {
+          code: error.code,
+          hint: 'Check that Obsidian is open, the TaskNotes HTTP API is enabled, and host and port match its settings ("tn config --list")'
+        });
       }
       throw error;
+    } finally {
+      const tracer = this.getTracer();
+      if (tracer) {
+        exchange.time = Date.now() - exchange.startedAt.getTime();
+        tracer.record(exchange);
+      }
     }
   }
 
+  // Exponential backoff between retries: 250ms, 500ms, 1s, ...
+  backoff(attempt) {
+    return new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** (attempt - 1)));
+  }
+
   async health() {
+    if (this.backend) return this.backend.health();
     return this.request('/api/health');
   }
 
   async parseText(text) {
-    return this.request('/api/nlp/parse', {
+    return this.route('parseText', [text], () => this.request('/api/nlp/parse', {
       method: 'POST',
       body: JSON.stringify({ text })
-    });
+    }));
   }
 
   async createTask(text) {
-    return this.request('/api/nlp/create', {
+    const result = await this.route('createTask', [text], () => this.sendOrQueue({ operation: 'create', text }, () => this.request('/api/nlp/create', {
       method: 'POST',
       body: JSON.stringify({ text })
-    });
+    })));
+    this.invalidateCache();
+    return result;
   }
 
   async createTaskFromData(taskData) {
-    return this.request('/api/tasks', {
+    const result = await this.route('createTaskFromData', [taskData], () => this.request('/api/tasks', {
       method: 'POST',
       body: JSON.stringify(taskData)
-    });
+    }));
+    this.invalidateCache();
+    return result;
   }
 
-  async listTasks(filters = {}) {
+  /**
+   * options.fresh - skip cached reads younger than cacheTtl, for reads that
+   * choose which tasks a change applies to
+   */
+  async listTasks(filters = {}, options = {}) {
     const params = new URLSearchParams();
     
     Object.entries(filters).forEach(([key, value]) => {
@@ -92,50 +476,51 @@ class TaskNotesAPI {
     const queryString = params.toString();
     const endpoint = `/api/tasks${queryString ? `?${queryString}` : ''}`;
     
-    return this.request(endpoint);
+    return this.route('listTasks', [filters], () => this.cachedRead(cacheKey('tasks', filters), () => this.request(endpoint), options));
   }
 
-  async queryTasks(filterQuery) {
-    return this.request('/api/tasks/query', {
+  // options.fresh as for listTasks
+  async queryTasks(filterQuery, options = {}) {
+    return this.route('queryTasks', [filterQuery], () => this.cachedRead(cacheKey('query', filterQuery), () => this.request('/api/tasks/query', {
       method: 'POST',
       body: JSON.stringify(filterQuery)
-    });
+    }), options));
   }
 
   async getTask(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}`);
+    return this.route('getTask', [taskId], () => this.request(`/api/tasks/${encodeURIComponent(taskId)}`));
   }
 
   async updateTask(taskId, updates) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}`, {
+    return this.recordMutation('update', taskId, () => this.route('updateTask', [taskId, updates], () => this.sendOrQueue({ operation: 'update', taskId, updates }, () => this.request(`/api/tasks/${encodeURIComponent(taskId)}`, {
       method: 'PUT',
       body: JSON.stringify(updates)
-    });
+    }))));
   }
 
   async deleteTask(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}`, {
+    return this.recordMutation('delete', taskId, () => this.route('deleteTask', [taskId], () => this.request(`/api/tasks/${encodeURIComponent(taskId)}`, {
       method: 'DELETE'
-    });
+    })));
   }
 
   async toggleTaskStatus(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}/toggle-status`, {
+    return this.recordMutation('toggle-status', taskId, () => this.route('toggleTaskStatus', [taskId], () => this.sendOrQueue({ operation: 'toggle-status', taskId }, () => this.request(`/api/tasks/${encodeURIComponent(taskId)}/toggle-status`, {
       method: 'POST'
-    });
+    }))));
   }
 
   async toggleArchive(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}/archive`, {
+    return this.recordMutation('archive', taskId, () => this.route('toggleArchive', [taskId], () => this.request(`/api/tasks/${encodeURIComponent(taskId)}/archive`, {
       method: 'POST'
-    });
+    })));
   }
 
   async completeRecurringInstance(taskId, instanceDate) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}/complete-instance`, {
+    return this.recordMutation('complete-instance', taskId, () => this.route('completeRecurringInstance', [taskId, instanceDate], () => this.request(`/api/tasks/${encodeURIComponent(taskId)}/complete-instance`, {
       method: 'POST',
       body: JSON.stringify({ instanceDate })
-    });
+    })), { instanceDate });
   }
 
   async searchTasks(query) {
@@ -145,25 +530,45 @@ class TaskNotesAPI {
     });
   }
 
+  // Statuses and priorities don't change while a command runs, so they are fetched once per process
   async getFilterOptions() {
-    return this.request('/api/filter-options');
+    const key = this.backend ? this.backend.vaultPath : this.baseURL;
+    if (!filterOptions.has(key)) {
+      const pending = this.route('getFilterOptions', [], () => this.cachedRead(cacheKey('filter-options'), () => this.request('/api/filter-options')));
+      filterOptions.set(key, pending);
+      pending.catch(() => filterOptions.delete(key));
+    }
+    return filterOptions.get(key);
+  }
+
+  // Status values TaskNotes counts as completed, for filtering tasks locally
+  async getCompletedStatuses() {
+    try {
+      const filterOptions = await this.getFilterOptions();
+      return filterOptions.statuses
+        .filter(s => s.isCompleted)
+        .map(s => s.value);
+    } catch (error) {
+      // Fall back to the default completed statuses
+      return ['completed', 'done'];
+    }
   }
 
   async getStats() {
-    return this.request('/api/stats');
+    return this.route('getStats', [], () => this.cachedRead(cacheKey('stats'), () => this.request('/api/stats')));
   }
 
   // Time tracking methods
   async startTimer(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}/time/start`, {
+    return this.sendOrQueue({ operation: 'timer-start', taskId }, () => this.request(`/api/tasks/${encodeURIComponent(taskId)}/time/start`, {
       method: 'POST'
-    });
+    }));
   }
 
   async stopTimer(taskId) {
-    return this.request(`/api/tasks/${encodeURIComponent(taskId)}/time/stop`, {
+    return this.sendOrQueue({ operation: 'timer-stop', taskId }, () => this.request(`/api/tasks/${encodeURIComponent(taskId)}/time/stop`, {
       method: 'POST'
-    });
+    }));
   }
 
   async getTimerStatus() {
@@ -282,36 +687,97 @@ class TaskNotesAPI {
     return this.request(endpoint);
   }
 
-  // Test connection and auto-configure if needed
-  async testConnection() {
+  /**
+   * Test connection; with the auto backend, fall back to the vault files
+   * when the API cannot be reached. allowStale carries on with cached data
+   * after that, and allowQueue carries on while TaskNotes is not running.
+   * Commands don't need this: their first request tells the same (see
+   * lib/runner.js). It is for checking a connection explicitly.
+   */
+  async testConnection(options = {}) {
     try {
       await this.health();
       return true;
+    } catch (error) {
+      if (this.backendMode === 'auto' && this.fallBackToFiles()) {
+        return true;
+      }
+      if ((options.allowStale && this.hasCachedData()) || (options.allowQueue && error.code === 'ECONNREFUSED' && this.getQueue())) {
+        this.offline = true;
+        return true;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * With the auto backend, switch to the vault files after a connection
+   * failure. Returns whether the files backend is now in use.
+   */
+  switchToFiles(error) {
+    if (this.backend) {
+      return true;
+    }
+    if (this.backendMode !== 'auto' || this.replaying || !CONNECTION_ERRORS.includes(error.code)) {
+      return false;
+    }
+    return this.fallBackToFiles();
+  }
+
+  fallBackToFiles() {
+    try {
+      this.useFiles();
     } catch (error) {
       return false;
     }
+    showWarning(`TaskNotes API unavailable, using the task files in ${this.backend.vaultPath}`);
+    return true;
   }
 
-  // Auto-discover TaskNotes API on local network
+  // Auto-discover TaskNotes API: first from the plugin settings of local
+  // vaults (which also know the auth token), then on common ports. A named
+  // profile only looks at its own vault, since any other API found would
+  // be saved to the profile and serve another vault's tasks.
   async autoDiscover() {
+    const candidates = [];
+    const profileName = config.getProfileName();
+    if (profileName && !this.config.vaultPath) {
+      throw new Error(`Profile ${profileName} has no vault folder to discover the API from`);
+    }
+    const vaults = profileName ? [expandPath(this.config.vaultPath)] : findVaults();
+
+    vaults.forEach(vaultPath => {
+      try {
+        const settings = readVaultSettings(vaultPath);
+        if (settings.enabled) {
+          candidates.push({ host: 'localhost', port: settings.port, authToken: settings.authToken });
+        }
+      } catch (error) {
+        // Skip vaults with unreadable plugin settings
+      }
+    });
+
     const commonPorts = [8080, 3000, 8000, 8081];
     const commonHosts = ['localhost', '127.0.0.1'];
-    
-    for (const host of commonHosts) {
-      for (const port of commonPorts) {
-        try {
-          const tempAPI = new TaskNotesAPI();
-          tempAPI.config = { ...this.config, host, port };
-          
-          await tempAPI.health();
-          
-          // Found working configuration
-          config.set({ host, port });
-          this.config = config.get();
-          return { host, port };
-        } catch (error) {
-          // Continue trying
-        }
+    if (!profileName) {
+      commonHosts.forEach(host => {
+        commonPorts.forEach(port => candidates.push({ host, port }));
+      });
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const tempAPI = new TaskNotesAPI({ journal: false, queue: false, backend: 'api' });
+        tempAPI.config = { ...this.config, ...candidate };
+        
+        await tempAPI.health();
+        
+        // Found working configuration
+        config.setConnection(candidate);
+        this.config = { ...config.get(), ...config.getConnection() };
+        return candidate;
+      } catch (error) {
+        // Continue trying
       }
     }
     
@@ -0,0 +1,138 @@
+/**
+ * Creating several tasks at once (`tn create --from-file notes.txt`, `tn create -`)
+ *
+ * Every non-empty line becomes one task, read as natural language. Markdown
+ * list markers and checkboxes are stripped, so meeting notes can be piped
+ * in as they are:
+ *   - [ ] Send the slides to Anna tomorrow #followup
+ *   2. Book the room for Friday
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const { QueuedError } = require('./queue');
+const { ConnectionError } = require('./errors');
+const { formatPreview } = require('./utils');
+const { mergeParsed, createTaskWithFields } = require('./task-fields');
+
+const LIST_MARKER = /^(?:[-*+]|\d+[.)])(?:\s+|$)/;
+const CHECKBOX = /^\[[ xX-]\]\s*/;
+const HEADING = /^#{1,6}\s/;
+
+/**
+ * The task lines in text as { line, text } with 1-based line numbers.
+ * Blank lines, markdown headings and list markers without text are skipped.
+ */
+function parseTaskLines(content) {
+  const lines = [];
+  String(content).split(/\r?\n/).forEach((raw, index) => {
+    let text = raw.trim();
+    if (!text || HEADING.test(text)) return;
+
+    text = text.replace(LIST_MARKER, '').replace(CHECKBOX, '').trim();
+    if (text) {
+      lines.push({ line: index + 1, text });
+    }
+  });
+  return lines;
+}
+
+// The contents of a file, or of stdin for "-"
+function readTaskSource(source) {
+  if (source === '-') {
+    return fs.readFileSync(0, 'utf8');
+  }
+  try {
+    return fs.readFileSync(source, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a task from each line, in order. toText(text) gives the text
+ * actually sent (with --append and the taskDefaults), and fields are task
+ * fields that win over the parsed ones. With dryRun the lines are only
+ * parsed. After a connection failure that could not be queued, the
+ * remaining lines are skipped.
+ *
+ * Returns { line, text, status, task, parsed, message } for every line;
+ * status is 'created', 'queued', 'parsed', 'failed' or 'skipped'.
+ */
+async function createTasksFromLines(api, lines, options = {}) {
+  const toText = options.toText || (text => text);
+  const fields = options.fields || {};
+  const withFields = Object.keys(fields).length > 0;
+  const results = [];
+  let stopped = null;
+
+  for (const { line, text } of lines) {
+    const taskText = toText(text);
+    if (stopped) {
+      results.push({ line, text: taskText, status: 'skipped', message: stopped });
+      continue;
+    }
+
+    try {
+      if (options.dryRun) {
+        const result = await api.parseText(taskText);
+        results.push({ line, text: taskText, status: 'parsed', parsed: mergeParsed(result.parsed, fields) });
+      } else {
+        const result = withFields ? await createTaskWithFields(api, taskText, fields) : await api.createTask(taskText);
+        results.push({ line, text: taskText, status: 'created', task: result.task, parsed: result.parsed });
+      }
+    } catch (error) {
+      if (error instanceof QueuedError) {
+        results.push({ line, text: taskText, status: 'queued', message: `queued as #${error.entry.id}` });
+      } else {
+        results.push({ line, text: taskText, status: 'failed', message: error.message });
+        if (error instanceof ConnectionError) {
+          stopped = `not sent after line ${line} failed to connect`;
+        }
+      }
+    }
+
+    if (options.onProgress) {
+      options.onProgress(results.length, lines.length);
+    }
+  }
+  return results;
+}
+
+function printBatchResults(results) {
+  console.log('\n' + chalk.bold('Results:'));
+  console.log('─'.repeat(40));
+
+  results.forEach(({ line, text, status, task, parsed, message }) => {
+    const prefix = chalk.dim(`${String(line).padStart(3)}:`);
+    if (status === 'created') {
+      console.log(`${prefix} ${chalk.green('✓')} ${task.title}${chalk.dim(` (${task.filePath || task.id || task.path})`)}`);
+    } else if (status === 'parsed') {
+      console.log(`${prefix} ${chalk.blue('○')} ${text}`);
+      console.log(formatPreview(parsed).split('\n').map(previewLine => `       ${previewLine}`).join('\n'));
+    } else if (status === 'queued') {
+      console.log(`${prefix} ${chalk.yellow('⧗')} ${text}${chalk.dim(` (${message})`)}`);
+    } else if (status === 'skipped') {
+      console.log(`${prefix} ${chalk.gray('-')} ${text}${chalk.dim(` (skipped: ${message})`)}`);
+    } else {
+      console.log(`${prefix} ${chalk.red('✗')} ${text}${chalk.red(`: ${message}`)}`);
+    }
+  });
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const totals = [
+    count('parsed') > 0 && chalk.blue(`${count('parsed')} parsed`),
+    count('created') > 0 && chalk.green(`${count('created')} created`),
+    count('queued') > 0 && chalk.yellow(`${count('queued')} queued`),
+    chalk.red(`${count('failed')} failed`),
+    count('skipped') > 0 && chalk.gray(`${count('skipped')} skipped`)
+  ].filter(Boolean);
+  console.log(`\n${totals.join(', ')}`);
+}
+
+module.exports = {
+  parseTaskLines,
+  readTaskSource,
+  createTasksFromLines,
+  printBatchResults
+};
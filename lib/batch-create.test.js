@@ -0,0 +1,145 @@
+/**
+ * Tests for creating tasks from the lines of a file or stdin
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTaskLines, readTaskSource, createTasksFromLines, printBatchResults } = require('./batch-create');
+const { QueuedError } = require('./queue');
+const { ConnectionError, ValidationError } = require('./errors');
+
+describe('batch create', () => {
+  describe('parseTaskLines', () => {
+    it('should strip list markers and checkboxes and skip blank lines and headings', () => {
+      const notes = [
+        '# Action items',
+        '',
+        '- [ ] Send the slides to Anna tomorrow #followup',
+        '* [x] Book the room',
+        '+ Order lunch',
+        '2. Review budget +Finance',
+        '3) Call IT @office',
+        '  - [-] Draft agenda  ',
+        '+ProjectX kickoff',
+        '#urgent Fix the projector',
+        '-',
+        '- [ ]'
+      ].join('\n');
+
+      expect(parseTaskLines(notes)).toEqual([
+        { line: 3, text: 'Send the slides to Anna tomorrow #followup' },
+        { line: 4, text: 'Book the room' },
+        { line: 5, text: 'Order lunch' },
+        { line: 6, text: 'Review budget +Finance' },
+        { line: 7, text: 'Call IT @office' },
+        { line: 8, text: 'Draft agenda' },
+        { line: 9, text: '+ProjectX kickoff' },
+        { line: 10, text: '#urgent Fix the projector' }
+      ]);
+    });
+
+    it('should handle Windows line endings', () => {
+      expect(parseTaskLines('One\r\nTwo\r\n')).toEqual([{ line: 1, text: 'One' }, { line: 2, text: 'Two' }]);
+    });
+  });
+
+  describe('readTaskSource', () => {
+    it('should read files and name the file when it cannot', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-batch-'));
+      const file = path.join(tempDir, 'notes.txt');
+      fs.writeFileSync(file, 'Buy milk\n');
+
+      expect(readTaskSource(file)).toBe('Buy milk\n');
+      expect(() => readTaskSource(path.join(tempDir, 'missing.txt'))).toThrow(`Could not read ${path.join(tempDir, 'missing.txt')}`);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('createTasksFromLines', () => {
+    const lines = [
+      { line: 1, text: 'Buy milk' },
+      { line: 2, text: 'Bad date due:never' },
+      { line: 3, text: 'Call Anna' }
+    ];
+
+    it('should create each line in order and report failures per line', async () => {
+      const api = {
+        createTask: jest.fn(async text => {
+          if (text.startsWith('Bad')) throw new ValidationError('HTTP 400: Invalid date');
+          return { task: { title: text.replace(' +Work', ''), id: `Tasks/${text}.md` }, parsed: { title: text } };
+        })
+      };
+      const onProgress = jest.fn();
+
+      const results = await createTasksFromLines(api, lines, { toText: text => `${text} +Work`, onProgress });
+
+      expect(api.createTask.mock.calls.map(call => call[0])).toEqual(['Buy milk +Work', 'Bad date due:never +Work', 'Call Anna +Work']);
+      expect(results.map(result => result.status)).toEqual(['created', 'failed', 'created']);
+      expect(results[0].task.title).toBe('Buy milk');
+      expect(results[1]).toMatchObject({ line: 2, message: 'HTTP 400: Invalid date' });
+      expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+    });
+
+    it('should only parse with dryRun', async () => {
+      const api = { createTask: jest.fn(), parseText: jest.fn(async text => ({ parsed: { title: text } })) };
+
+      const results = await createTasksFromLines(api, lines.slice(0, 1), { dryRun: true });
+
+      expect(api.createTask).not.toHaveBeenCalled();
+      expect(results).toEqual([{ line: 1, text: 'Buy milk', status: 'parsed', parsed: { title: 'Buy milk' } }]);
+    });
+
+    it('should lay the field flags over each parsed line', async () => {
+      const api = {
+        createTask: jest.fn(),
+        parseText: jest.fn(async text => ({ parsed: { title: text, priority: 'low', dueDate: '2026-03-10', dueTime: '09:00' } })),
+        createTaskFromData: jest.fn(async taskData => ({ ...taskData, id: `Tasks/${taskData.title}.md` }))
+      };
+
+      const results = await createTasksFromLines(api, lines.slice(0, 1), { fields: { priority: 'high', due: '2026-03-12' } });
+
+      expect(api.createTask).not.toHaveBeenCalled();
+      expect(api.createTaskFromData).toHaveBeenCalledWith({ title: 'Buy milk', priority: 'high', due: '2026-03-12' });
+      expect(results[0]).toMatchObject({ status: 'created', task: { id: 'Tasks/Buy milk.md' } });
+    });
+
+    it('should report queued lines and skip the rest after a connection failure', async () => {
+      const api = {
+        createTask: jest.fn()
+          .mockRejectedValueOnce(new QueuedError({ id: 7, operation: 'create', text: 'Buy milk' }))
+          .mockRejectedValueOnce(new ConnectionError('TaskNotes API did not respond', { code: 'ETIMEDOUT' }))
+      };
+
+      const results = await createTasksFromLines(api, lines);
+
+      expect(api.createTask).toHaveBeenCalledTimes(2);
+      expect(results.map(result => result.status)).toEqual(['queued', 'failed', 'skipped']);
+      expect(results[0].message).toBe('queued as #7');
+      expect(results[2].message).toContain('line 2 failed to connect');
+    });
+  });
+
+  describe('printBatchResults', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should print a line per result and the totals', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      printBatchResults([
+        { line: 1, text: 'Buy milk', status: 'created', task: { title: 'Buy milk', id: 'Tasks/Buy milk.md' } },
+        { line: 4, text: 'Call Anna', status: 'queued', message: 'queued as #2' },
+        { line: 5, text: 'Bad', status: 'failed', message: 'HTTP 400: Invalid date' }
+      ]);
+
+      const output = log.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('Buy milk (Tasks/Buy milk.md)');
+      expect(output).toContain('  4:');
+      expect(output).toContain('Call Anna (queued as #2)');
+      expect(output).toContain('Bad: HTTP 400: Invalid date');
+      expect(output).toContain('1 created, 1 queued, 1 failed');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Local index of task note bodies for `tn search --body`
+ *
+ * Task lists don't include the text written below the frontmatter, so
+ * the bodies are read one task at a time and kept in
+ * ~/.tasknotes-cli/body-index.json with the task's dateModified, or the
+ * file's mtime for vault notes without one. Later searches only read the
+ * notes that changed since.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { parseNote, resolveVaultPath } = require('./files-backend');
+const { mapWithConcurrency } = require('./bulk');
+
+// Notes read at once while updating the index
+const READ_CONCURRENCY = 4;
+
+class BodyIndex {
+  constructor(filePath = path.join(config.getDir(), 'body-index.json')) {
+    this.filePath = filePath;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return { sources: data.sources || {} };
+      }
+    } catch (error) {
+      // A corrupt index is rebuilt by the next search
+    }
+    return { sources: {} };
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data));
+  }
+
+  /**
+   * Bring the bodies of tasks up to date and return them as a Map of task
+   * path to body. source keeps vaults apart (the vault folder or API URL);
+   * readBody(task) resolves to the note body. Notes whose dateModified
+   * matches the index are not read again. A note that can't be read keeps
+   * its indexed body, if any, and is counted in failed.
+   *
+   * options.prune - drop indexed notes that are not among tasks
+   * options.modifiedOf - when a task last changed, task.dateModified by default
+   */
+  async update(source, tasks, readBody, options = {}) {
+    const entries = this.data.sources[source] || {};
+    const modifiedOf = options.modifiedOf || (task => task.dateModified);
+    const bodies = new Map();
+    let read = 0;
+    let failed = 0;
+
+    await mapWithConcurrency(tasks, READ_CONCURRENCY, async (task) => {
+      const taskPath = task.path || task.id;
+      if (!taskPath) return;
+
+      const entry = entries[taskPath];
+      const modified = modifiedOf(task) || null;
+      if (entry && modified && entry.modified === modified) {
+        bodies.set(taskPath, entry.body);
+        return;
+      }
+
+      try {
+        const body = await readBody(task);
+        entries[taskPath] = { modified, body };
+        bodies.set(taskPath, body);
+        read++;
+      } catch (error) {
+        failed++;
+        if (entry) {
+          bodies.set(taskPath, entry.body);
+        }
+      }
+    });
+
+    if (options.prune) {
+      Object.keys(entries).filter(taskPath => !bodies.has(taskPath)).forEach(taskPath => delete entries[taskPath]);
+    }
+
+    this.data.sources[source] = entries;
+    if (read > 0 || options.prune) {
+      this.save();
+    }
+    return { bodies, read, failed };
+  }
+
+  clear() {
+    this.data = { sources: {} };
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+/**
+ * Where task bodies come from for an API client: the vault folder when
+ * the files backend is in use or vaultPath is set, otherwise the API's
+ * single-task endpoint. Notes missing from the vault folder are asked of
+ * the API. Vault notes without dateModified, as hand-written notes often
+ * are, are dated by the file's mtime. Returns { source, readBody, modifiedOf }.
+ */
+function bodySource(api) {
+  const vaultPath = api.backend ? api.backend.vaultPath : api.config.vaultPath && resolveVaultPath(api.config.vaultPath);
+  const fromApi = async task => (await api.getTask(task.id || task.path)).details || '';
+
+  if (!vaultPath) {
+    return { source: api.baseURL, readBody: fromApi };
+  }
+
+  // The note's file in the vault folder, or null if it is not there
+  const notePath = task => {
+    const fullPath = path.resolve(vaultPath, task.path || task.id);
+    return fullPath.startsWith(vaultPath + path.sep) && fs.existsSync(fullPath) ? fullPath : null;
+  };
+
+  return {
+    source: vaultPath,
+    readBody: async task => {
+      const fullPath = notePath(task);
+      return fullPath ? parseNote(fs.readFileSync(fullPath, 'utf8')).body.trim() : fromApi(task);
+    },
+    modifiedOf: task => {
+      if (task.dateModified) {
+        return task.dateModified;
+      }
+      const fullPath = notePath(task);
+      return fullPath ? fs.statSync(fullPath).mtime.toISOString() : null;
+    }
+  };
+}
+
+module.exports = {
+  BodyIndex,
+  bodySource
+};
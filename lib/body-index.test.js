@@ -0,0 +1,139 @@
+/**
+ * Tests for the task note body index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BodyIndex, bodySource } = require('./body-index');
+
+describe('BodyIndex', () => {
+  let tempDir;
+  let indexPath;
+
+  const tasks = [
+    { path: 'Tasks/a.md', title: 'A', dateModified: '2026-01-01T10:00:00Z' },
+    { path: 'Tasks/b.md', title: 'B', dateModified: '2026-01-02T10:00:00Z' }
+  ];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-body-index-'));
+    indexPath = path.join(tempDir, 'body-index.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should only read notes modified since they were indexed', async () => {
+    const readBody = jest.fn(async task => `Body of ${task.title}`);
+    const first = await new BodyIndex(indexPath).update('vault', tasks, readBody);
+    expect(first.read).toBe(2);
+    expect(first.bodies.get('Tasks/a.md')).toBe('Body of A');
+
+    readBody.mockClear();
+    const changed = [tasks[0], { ...tasks[1], title: 'B2', dateModified: '2026-01-03T10:00:00Z' }];
+    const second = await new BodyIndex(indexPath).update('vault', changed, readBody);
+
+    expect(readBody).toHaveBeenCalledTimes(1);
+    expect(readBody).toHaveBeenCalledWith(changed[1]);
+    expect(Array.from(second.bodies.values())).toEqual(['Body of A', 'Body of B2']);
+  });
+
+  it('should always read notes without dateModified', async () => {
+    const readBody = jest.fn(async () => 'text');
+    const undated = [{ path: 'Tasks/c.md', title: 'C' }];
+
+    await new BodyIndex(indexPath).update('vault', undated, readBody);
+    await new BodyIndex(indexPath).update('vault', undated, readBody);
+    expect(readBody).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep the indexed body when a note cannot be read', async () => {
+    await new BodyIndex(indexPath).update('vault', tasks, async task => `Body of ${task.title}`);
+
+    const newer = tasks.map(task => ({ ...task, dateModified: '2026-02-01T10:00:00Z' }));
+    const extra = { path: 'Tasks/new.md', title: 'New', dateModified: '2026-02-01T10:00:00Z' };
+    const result = await new BodyIndex(indexPath).update('vault', [...newer, extra], async () => {
+      throw new Error('Cannot connect');
+    });
+
+    expect(result.failed).toBe(3);
+    expect(result.bodies.get('Tasks/a.md')).toBe('Body of A');
+    expect(result.bodies.has('Tasks/new.md')).toBe(false);
+  });
+
+  it('should keep sources apart and prune notes that are gone', async () => {
+    const index = new BodyIndex(indexPath);
+    await index.update('vault', tasks, async () => 'one');
+    await index.update('http://localhost:8081', tasks, async () => 'two');
+    await index.update('vault', [tasks[0]], async () => 'unused', { prune: true });
+
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    expect(Object.keys(saved.sources.vault)).toEqual(['Tasks/a.md']);
+    expect(Object.keys(saved.sources['http://localhost:8081'])).toEqual(['Tasks/a.md', 'Tasks/b.md']);
+  });
+
+  it('should rebuild a corrupt index', async () => {
+    fs.writeFileSync(indexPath, '{not json');
+    const result = await new BodyIndex(indexPath).update('vault', tasks, async () => 'text');
+    expect(result.read).toBe(2);
+  });
+});
+
+describe('bodySource', () => {
+  let vault;
+
+  beforeEach(() => {
+    vault = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-body-vault-'));
+    fs.mkdirSync(path.join(vault, 'Tasks'));
+    fs.writeFileSync(path.join(vault, 'Tasks/a.md'), '---\ntitle: A\n---\n\nCall the plumber\nabout the boiler\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(vault, { recursive: true, force: true });
+  });
+
+  it('should read bodies from the API without a vault folder', async () => {
+    const api = { backend: null, config: { vaultPath: null }, baseURL: 'http://localhost:8080', getTask: jest.fn().mockResolvedValue({ details: 'From the API' }) };
+    const { source, readBody } = bodySource(api);
+
+    expect(source).toBe('http://localhost:8080');
+    expect(await readBody({ id: 'Tasks/a.md' })).toBe('From the API');
+    expect(api.getTask).toHaveBeenCalledWith('Tasks/a.md');
+  });
+
+  it('should read bodies from the vault folder and ask the API for missing notes', async () => {
+    const api = { backend: null, config: { vaultPath: vault }, baseURL: 'http://localhost:8080', getTask: jest.fn().mockResolvedValue({}) };
+    const { source, readBody } = bodySource(api);
+
+    expect(source).toBe(vault);
+    expect(await readBody({ path: 'Tasks/a.md' })).toBe('Call the plumber\nabout the boiler');
+    expect(api.getTask).not.toHaveBeenCalled();
+
+    expect(await readBody({ path: 'Elsewhere/b.md' })).toBe('');
+    expect(await readBody({ path: '../outside.md' })).toBe('');
+    expect(api.getTask).toHaveBeenCalledTimes(2);
+  });
+
+  it('should index vault notes without dateModified by their mtime', async () => {
+    const api = { backend: null, config: { vaultPath: vault }, baseURL: 'http://localhost:8080', getTask: jest.fn() };
+    const { source, readBody, modifiedOf } = bodySource(api);
+    const indexPath = path.join(vault, 'body-index.json');
+    const handWritten = [{ path: 'Tasks/a.md', title: 'A' }];
+    const read = jest.fn(readBody);
+
+    await new BodyIndex(indexPath).update(source, handWritten, read, { modifiedOf });
+    await new BodyIndex(indexPath).update(source, handWritten, read, { modifiedOf });
+    expect(read).toHaveBeenCalledTimes(1);
+
+    const notePath = path.join(vault, 'Tasks/a.md');
+    fs.writeFileSync(notePath, '---\ntitle: A\n---\n\nCall the electrician\n');
+    fs.utimesSync(notePath, new Date('2030-01-01T00:00:00Z'), new Date('2030-01-01T00:00:00Z'));
+
+    const result = await new BodyIndex(indexPath).update(source, handWritten, read, { modifiedOf });
+    expect(read).toHaveBeenCalledTimes(2);
+    expect(result.bodies.get('Tasks/a.md')).toBe('Call the electrician');
+    expect(api.getTask).not.toHaveBeenCalled();
+  });
+});
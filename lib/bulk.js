@@ -0,0 +1,170 @@
+/**
+ * Bulk task operations driven by a filter expression (--where)
+ *
+ * The matching tasks are fetched with queryTasks, previewed, confirmed
+ * (unless --yes) and then processed a few at a time, with a per-task
+ * summary at the end.
+ */
+
+const ora = require('ora');
+const chalk = require('chalk');
+const FilterParser = require('./filter-parser');
+const { formatTask, showInfo, showError } = require('./utils');
+const { runCommand } = require('./runner');
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ * Results keep the order of the input.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+async function confirmBulk(message) {
+  if (!process.stdin.isTTY) {
+    throw new Error('Confirmation required. Use --yes to run without a prompt');
+  }
+
+  const inquirer = require('inquirer');
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message,
+    default: false
+  }]);
+  return confirmed;
+}
+
+function printSummary(results) {
+  console.log('\n' + chalk.bold('Results:'));
+  console.log('─'.repeat(40));
+
+  results.forEach(({ task, status, message }) => {
+    const title = task.title || task.path || task.id;
+    if (status === 'success') {
+      console.log(`${chalk.green('✓')} ${title}${message ? chalk.dim(` (${message})`) : ''}`);
+    } else if (status === 'skipped') {
+      console.log(`${chalk.gray('-')} ${title}${chalk.dim(` (skipped: ${message})`)}`);
+    } else {
+      console.log(`${chalk.red('✗')} ${title}${chalk.red(`: ${message}`)}`);
+    }
+  });
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  console.log(`\n${chalk.green(`${count('success')} succeeded`)}, ${chalk.red(`${count('failed')} failed`)}, ${chalk.gray(`${count('skipped')} skipped`)}`);
+}
+
+/**
+ * Apply an operation to every task matching options.where.
+ *
+ * operation.name     - imperative used in the prompt ("Complete")
+ * operation.progress - spinner text while running ("Completing")
+ * operation.verb     - past tense used in the summary ("Completed")
+ * operation.apply    - async (task, taskId) => { status: 'success' | 'skipped', message }
+ *
+ * Returns the per-task results; a thrown error counts as a failure.
+ */
+async function runBulkOperation(api, options, operation) {
+  const filterQuery = new FilterParser().parse(options.where);
+
+  const spinner = ora('Finding matching tasks...').start();
+  const result = await api.queryTasks(filterQuery, { fresh: true });
+  if (api.offline) {
+    // The matches came from the read cache; don't queue changes to tasks picked from stale data
+    spinner.fail('TaskNotes is not running');
+    throw new Error('Bulk changes need TaskNotes running and are not queued. Try again once it is running');
+  }
+  const tasks = result.tasks || [];
+  spinner.succeed(`${tasks.length} task${tasks.length === 1 ? '' : 's'} match "${options.where}"`);
+
+  if (tasks.length === 0) {
+    showInfo('Nothing to do');
+    return [];
+  }
+
+  console.log('');
+  tasks.forEach(task => {
+    console.log(formatTask(task, { compact: true }));
+  });
+  console.log('');
+
+  if (!options.yes) {
+    const confirmed = await confirmBulk(`${operation.name} ${tasks.length} task${tasks.length === 1 ? '' : 's'}?`);
+    if (!confirmed) {
+      showInfo('Cancelled');
+      return [];
+    }
+  }
+
+  const concurrency = parseInt(options.concurrency) || DEFAULT_CONCURRENCY;
+  const progress = ora(`${operation.progress} tasks...`).start();
+  let done = 0;
+
+  const results = await mapWithConcurrency(tasks, concurrency, async (task) => {
+    const taskId = task.path || task.id;
+    let outcome;
+    try {
+      outcome = { task, ...(await operation.apply(task, taskId)) };
+    } catch (error) {
+      outcome = { task, status: 'failed', message: error.message };
+    }
+    progress.text = `${operation.progress} tasks... ${++done}/${tasks.length}`;
+    return outcome;
+  });
+
+  const succeeded = results.filter(r => r.status === 'success').length;
+  const failed = results.filter(r => r.status === 'failed').length;
+  const message = succeeded === results.length
+    ? `${operation.verb} ${results.length} task${results.length === 1 ? '' : 's'}`
+    : `${operation.verb} ${succeeded} of ${results.length} tasks`;
+  if (failed > 0) {
+    progress.warn(message);
+  } else {
+    progress.succeed(message);
+  }
+
+  printSummary(results);
+  return results;
+}
+
+/**
+ * Run a bulk operation from a command handler, exiting non-zero on failures.
+ * reference is the task argument of the command, which can't be combined
+ * with --where.
+ */
+async function handleBulkCommand(api, reference, options, operation) {
+  if (reference) {
+    showError('Use either a task ID or --where, not both');
+    process.exit(1);
+  }
+
+  await runCommand(null, async () => {
+    const results = await runBulkOperation(api, options, operation);
+    if (results.some(result => result.status === 'failed')) {
+      process.exit(1);
+    }
+  });
+}
+
+module.exports = {
+  mapWithConcurrency,
+  runBulkOperation,
+  handleBulkCommand
+};
@@ -0,0 +1,128 @@
+/**
+ * Tests for filter-driven bulk operations
+ */
+
+const { mapWithConcurrency, runBulkOperation, handleBulkCommand } = require('./bulk');
+
+describe('bulk', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  const output = () => logSpy.mock.calls.map(args => args.join(' ')).join('\n');
+
+  describe('mapWithConcurrency', () => {
+    it('should keep input order and limit calls in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxInFlight).toBe(2);
+    });
+
+    it('should handle an empty list', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    });
+  });
+
+  describe('runBulkOperation', () => {
+    const tasks = [
+      { path: 'Tasks/a.md', title: 'Task A', status: 'open' },
+      { path: 'Tasks/b.md', title: 'Task B', status: 'done' },
+      { path: 'Tasks/c.md', title: 'Task C', status: 'open' }
+    ];
+
+    const createApi = () => ({
+      queryTasks: jest.fn().mockResolvedValue({ tasks })
+    });
+
+    it('should query with the parsed filter and report per-task results', async () => {
+      const api = createApi();
+      const apply = jest.fn(async (task, taskId) => {
+        if (task.status === 'done') return { status: 'skipped', message: 'already completed' };
+        if (taskId === 'Tasks/c.md') throw new Error('Server error');
+        return { status: 'success' };
+      });
+
+      const results = await runBulkOperation(api, { where: 'status:open OR status:done', yes: true }, {
+        name: 'Complete', progress: 'Completing', verb: 'Completed', apply
+      });
+
+      const query = api.queryTasks.mock.calls[0][0];
+      expect(query.type).toBe('group');
+      expect(query.conjunction).toBe('or');
+      expect(apply).toHaveBeenCalledTimes(3);
+      expect(results.map(result => result.status)).toEqual(['success', 'skipped', 'failed']);
+      expect(results[2].message).toBe('Server error');
+      expect(output()).toContain('1 succeeded');
+      expect(output()).toContain('1 failed');
+      expect(output()).toContain('1 skipped');
+    });
+
+    it('should not apply anything when nothing matches', async () => {
+      const api = { queryTasks: jest.fn().mockResolvedValue({ tasks: [] }) };
+      const apply = jest.fn();
+
+      const results = await runBulkOperation(api, { where: 'tag:none', yes: true }, {
+        name: 'Delete', progress: 'Deleting', verb: 'Deleted', apply
+      });
+
+      expect(results).toEqual([]);
+      expect(apply).not.toHaveBeenCalled();
+    });
+
+    it('should require --yes when it cannot prompt', async () => {
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = false;
+      const apply = jest.fn();
+
+      try {
+        await expect(runBulkOperation(createApi(), { where: 'status:open' }, {
+          name: 'Delete', progress: 'Deleting', verb: 'Deleted', apply
+        })).rejects.toThrow('Use --yes');
+      } finally {
+        process.stdin.isTTY = isTTY;
+      }
+      expect(apply).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid filters before querying', async () => {
+      const api = createApi();
+      await expect(runBulkOperation(api, { where: 'status:open AND', yes: true }, {
+        name: 'Delete', progress: 'Deleting', verb: 'Deleted', apply: jest.fn()
+      })).rejects.toThrow();
+      expect(api.queryTasks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleBulkCommand', () => {
+    it('should refuse a task ID together with --where before querying', async () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const api = { queryTasks: jest.fn() };
+
+      await expect(handleBulkCommand(api, '#12', { where: 'status:open', yes: true }, { apply: jest.fn() })).rejects.toThrow('process.exit');
+
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Use either a task ID or --where, not both'));
+      expect(api.queryTasks).not.toHaveBeenCalled();
+      exit.mockRestore();
+      error.mockRestore();
+    });
+  });
+});
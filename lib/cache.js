@@ -0,0 +1,113 @@
+/**
+ * Local snapshot of API reads
+ *
+ * TaskNotesAPI saves the latest task lists, filter options and stats in
+ * ~/.tasknotes-cli/cache.json and serves them as stale data when the API
+ * cannot be reached. With the cacheTtl setting above 0, entries younger
+ * than it are also served without a request. Any task change marks every
+ * entry stale, so it is refetched next time but still there to fall back on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Distinct reads kept (each filter combination is its own entry)
+const MAX_ENTRIES = 20;
+
+class ReadCache {
+  constructor(filePath = path.join(config.getDir(), 'cache.json')) {
+    this.filePath = filePath;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return { entries: data.entries || {} };
+      }
+    } catch (error) {
+      // A corrupt cache is just refetched
+    }
+    return { entries: {} };
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data));
+  }
+
+  // The cached { savedAt, data } for a key, or null
+  get(key) {
+    return this.data.entries[key] || null;
+  }
+
+  // Whether an entry is younger than ttl seconds and not marked stale
+  isFresh(entry, ttl) {
+    return !entry.stale && ttl > 0 && Date.now() - new Date(entry.savedAt).getTime() < ttl * 1000;
+  }
+
+  set(key, data) {
+    // Another process may have cached other reads since this one loaded
+    this.data = this.load();
+    this.data.entries[key] = { savedAt: new Date().toISOString(), data };
+
+    const keys = Object.keys(this.data.entries);
+    if (keys.length > MAX_ENTRIES) {
+      keys
+        .sort((a, b) => this.data.entries[a].savedAt.localeCompare(this.data.entries[b].savedAt))
+        .slice(0, keys.length - MAX_ENTRIES)
+        .forEach(oldKey => delete this.data.entries[oldKey]);
+    }
+    this.save();
+  }
+
+  // Refetch every entry on its next read, keeping the data for offline use
+  markStale() {
+    this.data = this.load();
+    if (Object.keys(this.data.entries).length === 0) {
+      return;
+    }
+    Object.values(this.data.entries).forEach(entry => {
+      entry.stale = true;
+    });
+    this.save();
+  }
+
+  clear() {
+    this.data = { entries: {} };
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+/**
+ * A stable cache key for a read: filter queries get fresh condition IDs
+ * every time they are parsed, so those are left out
+ */
+function cacheKey(name, params) {
+  if (params === undefined) {
+    return name;
+  }
+
+  const normalize = value => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).sort().forEach(key => {
+        if (key !== 'id' && value[key] !== undefined && value[key] !== null) {
+          result[key] = normalize(value[key]);
+        }
+      });
+      return result;
+    }
+    return value;
+  };
+  return `${name} ${JSON.stringify(normalize(params))}`;
+}
+
+module.exports = {
+  ReadCache,
+  cacheKey
+};
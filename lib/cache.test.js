@@ -0,0 +1,187 @@
+/**
+ * Tests for the local read cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReadCache, cacheKey } = require('./cache');
+
+describe('ReadCache', () => {
+  let tempDir;
+  let cache;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-cache-'));
+    cache = new ReadCache(path.join(tempDir, 'cache.json'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save reads and tell fresh from stale', () => {
+    cache.set('stats', { total: 3 });
+
+    const entry = new ReadCache(path.join(tempDir, 'cache.json')).get('stats');
+    expect(entry.data).toEqual({ total: 3 });
+    expect(cache.isFresh(entry, 60)).toBe(true);
+    expect(cache.isFresh(entry, 0)).toBe(false);
+
+    jest.spyOn(Date, 'now').mockReturnValue(new Date(entry.savedAt).getTime() + 61 * 1000);
+    expect(cache.isFresh(entry, 60)).toBe(false);
+  });
+
+  it('should keep only the most recent reads', () => {
+    for (let i = 0; i < 25; i++) {
+      cache.data.entries[`old ${i}`] = { savedAt: new Date(2025, 0, 1, 0, i).toISOString(), data: i };
+    }
+    cache.save();
+    cache.set('tasks', []);
+
+    const keys = Object.keys(cache.data.entries);
+    expect(keys).toHaveLength(20);
+    expect(keys).toContain('tasks');
+    expect(keys).not.toContain('old 0');
+  });
+
+  it('should mark entries stale but keep their data', () => {
+    cache.set('stats', { total: 3 });
+    cache.markStale();
+
+    const entry = new ReadCache(path.join(tempDir, 'cache.json')).get('stats');
+    expect(entry.data).toEqual({ total: 3 });
+    expect(cache.isFresh(entry, 60)).toBe(false);
+
+    cache.set('stats', { total: 4 });
+    expect(cache.isFresh(cache.get('stats'), 60)).toBe(true);
+  });
+
+  it('should clear everything', () => {
+    cache.set('stats', {});
+    cache.clear();
+    expect(cache.get('stats')).toBeNull();
+    expect(fs.existsSync(path.join(tempDir, 'cache.json'))).toBe(false);
+  });
+});
+
+describe('cacheKey', () => {
+  it('should ignore key order, empty values and condition IDs', () => {
+    expect(cacheKey('tasks', { limit: 20, completed: 'false', tag: undefined })).toBe(cacheKey('tasks', { completed: 'false', limit: 20 }));
+
+    const query = id => ({ type: 'group', id: 'root', children: [{ type: 'condition', id, property: 'priority', operator: 'is', value: 'high' }] });
+    expect(cacheKey('query', query('cond_1'))).toBe(cacheKey('query', query('cond_2')));
+    expect(cacheKey('filter-options')).toBe('filter-options');
+  });
+});
+
+describe('TaskNotesAPI cached reads', () => {
+  let tempHome;
+  let api;
+
+  const connectionError = () => Object.assign(new Error('Cannot connect to TaskNotes API'), { code: 'ECONNREFUSED' });
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-cache-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    let TaskNotesAPI;
+    jest.isolateModules(() => {
+      TaskNotesAPI = require('./api');
+    });
+    api = new TaskNotesAPI({ journal: false, backend: 'api', cache: new ReadCache(path.join(tempHome, 'cache.json')) });
+    api.request = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should ask the API every time by default', async () => {
+    api.request.mockResolvedValue({ total: 3 });
+    await api.getStats();
+    await api.getStats();
+    expect(api.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should serve fresh reads without a request when cacheTtl is set', async () => {
+    api.config.cacheTtl = 60;
+    api.request.mockResolvedValue({ total: 3 });
+    await api.getStats();
+    await api.getStats();
+    expect(api.request).toHaveBeenCalledTimes(1);
+
+    api.config.cacheTtl = 0;
+    await api.getStats();
+    expect(api.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip fresh reads for the targets of a change', async () => {
+    api.config.cacheTtl = 60;
+    api.request.mockResolvedValue({ tasks: [] });
+    await api.queryTasks({ type: 'group', children: [] });
+    await api.queryTasks({ type: 'group', children: [] }, { fresh: true });
+    await api.listTasks({ limit: 10 });
+    await api.listTasks({ limit: 10 }, { fresh: true });
+    expect(api.request).toHaveBeenCalledTimes(4);
+  });
+
+  it('should serve stale reads with a warning when the API is down', async () => {
+    api.config.cacheTtl = 0;
+    api.request.mockResolvedValueOnce({ tasks: [{ title: 'Cached' }] });
+    await api.listTasks({ limit: 10 });
+
+    api.request.mockRejectedValue(connectionError());
+    expect(await api.listTasks({ limit: 10 })).toEqual({ tasks: [{ title: 'Cached' }] });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('stale as of'));
+
+    await expect(api.listTasks({ limit: 5 })).rejects.toThrow('Cannot connect to TaskNotes API');
+  });
+
+  it('should only read the cache once testConnection found the API down', async () => {
+    api.request.mockResolvedValueOnce({ total: 3 });
+    await api.getStats();
+
+    api.request.mockRejectedValue(connectionError());
+    expect(await api.testConnection()).toBe(false);
+    expect(await api.testConnection({ allowStale: true })).toBe(true);
+    expect(api.offline).toBe(true);
+
+    api.request.mockClear();
+    expect(await api.getStats()).toEqual({ total: 3 });
+    await expect(api.getFilterOptions()).rejects.toThrow('has not been cached yet');
+    expect(api.request).not.toHaveBeenCalled();
+  });
+
+  it('should not hide errors other than connection failures', async () => {
+    api.config.cacheTtl = 0;
+    api.request.mockResolvedValueOnce({ total: 3 });
+    await api.getStats();
+
+    api.request.mockRejectedValue(new Error('HTTP 500: boom'));
+    await expect(api.getStats()).rejects.toThrow('HTTP 500');
+  });
+
+  it('should refetch after a change', async () => {
+    api.config.cacheTtl = 60;
+    api.request.mockResolvedValue({ total: 3 });
+    await api.getStats();
+    await api.toggleArchive('Tasks/a.md');
+
+    await api.getStats();
+    expect(api.request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should still serve reads cached before a change once the API is down', async () => {
+    api.request.mockResolvedValue({ tasks: [{ title: 'Cached' }] });
+    await api.listTasks({ limit: 10 });
+    await api.toggleArchive('Tasks/a.md');
+
+    api.request.mockRejectedValue(connectionError());
+    expect(await api.listTasks({ limit: 10 })).toEqual({ tasks: [{ title: 'Cached' }] });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('stale as of'));
+  });
+});
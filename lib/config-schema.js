@@ -0,0 +1,318 @@
+/**
+ * Declarative schema for every config key
+ *
+ * Each entry describes a key's type, default, allowed values (`allowed`)
+ * and whether it is secret. The schema drives `tn config --set` parsing,
+ * the interactive setup prompts, hiding secrets in `--list`,
+ * `tn config --describe` and the validation of config files.
+ *
+ * Types: string, integer, boolean, list (comma-separated on the command
+ * line), map (any sub-key, e.g. outputTemplates.<name>) and object (fixed
+ * sub-keys listed in `properties`).
+ */
+
+const CONFIG_SCHEMA = {
+  host: {
+    type: 'string',
+    default: 'localhost',
+    description: 'TaskNotes API host',
+    prompt: 'TaskNotes API host:'
+  },
+  port: {
+    type: 'integer',
+    default: 8080,
+    min: 1,
+    max: 65535,
+    description: 'TaskNotes API port',
+    prompt: 'TaskNotes API port:'
+  },
+  authToken: {
+    type: 'string',
+    default: null,
+    nullable: true,
+    secret: true,
+    description: 'API authentication token',
+    prompt: 'API authentication token (optional):'
+  },
+  maxResults: {
+    type: 'integer',
+    default: 20,
+    min: 1,
+    description: 'Maximum results to show',
+    prompt: 'Maximum results to show:'
+  },
+  outputTemplates: {
+    type: 'map',
+    default: {},
+    values: { type: 'string' },
+    description: 'Named --format templates, set with outputTemplates.<name>=<template>'
+  },
+  profiles: {
+    type: 'map',
+    default: {},
+    // Properties filled in below from the top-level connection entries
+    values: { type: 'object', properties: {} },
+    secret: true,
+    settable: false,
+    description: 'Named connection profiles, managed with "tn config profile"'
+  },
+  activeProfile: {
+    type: 'string',
+    default: null,
+    nullable: true,
+    settable: false,
+    description: 'Profile used when --profile is not given, set with "tn config profile use"'
+  },
+  backend: {
+    type: 'string',
+    default: 'auto',
+    allowed: ['auto', 'api', 'files'],
+    description: 'Where tasks are read and written: the HTTP API, the vault files, or auto (the API, falling back to the files)'
+  },
+  cache: {
+    type: 'boolean',
+    default: true,
+    description: 'Keep the latest task lists, filter options and stats to show when the API is unreachable'
+  },
+  cacheTtl: {
+    type: 'integer',
+    default: 0,
+    min: 0,
+    description: 'Seconds cached reads are used without asking the API (0 only uses them when the API is unreachable)'
+  },
+  timeout: {
+    type: 'integer',
+    default: 10,
+    min: 0,
+    description: 'Seconds to wait for an API response before giving up (0 waits forever)'
+  },
+  retries: {
+    type: 'integer',
+    default: 2,
+    min: 0,
+    description: 'Times to retry reads after a timeout, a dropped connection or a 502-504 response'
+  },
+  debug: {
+    type: 'boolean',
+    default: false,
+    description: 'Log every API request and response to stderr, with the auth token hidden'
+  },
+  traceFile: {
+    type: 'string',
+    default: null,
+    nullable: true,
+    description: 'File to write API requests and responses to as HAR JSON, for bug reports'
+  },
+  vaultPath: {
+    type: 'string',
+    default: null,
+    nullable: true,
+    description: 'Obsidian vault folder used by the files backend, recorded by "tn config --from-vault <path> --save-vault". Each profile has its own'
+  },
+  taskDefaults: {
+    type: 'object',
+    default: {},
+    properties: {
+      tags: { type: 'list', description: 'Tags added to new tasks' },
+      contexts: { type: 'list', description: 'Contexts added to new tasks' },
+      projects: { type: 'list', description: 'Projects added to new tasks' }
+    },
+    description: 'Tags, contexts and projects added to every new task, e.g. taskDefaults.tags=work,q3'
+  }
+};
+
+// A profile holds its own host, port, authToken and vaultPath, checked like the top-level keys
+['host', 'port', 'authToken', 'vaultPath'].forEach(key => {
+  CONFIG_SCHEMA.profiles.values.properties[key] = CONFIG_SCHEMA[key];
+});
+
+function copy(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function getDefaults() {
+  const defaults = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, entry]) => {
+    defaults[key] = copy(entry.default);
+  });
+  return defaults;
+}
+
+function describeType(entry) {
+  if (entry.values && entry.type === 'map') return `map of ${entry.values.type}`;
+  if (entry.min !== undefined && entry.max !== undefined) return `${entry.type} (${entry.min}-${entry.max})`;
+  if (entry.min !== undefined) return `${entry.type} (>= ${entry.min})`;
+  return entry.type;
+}
+
+/**
+ * Find the schema entry for a key, including dotted sub-keys such as
+ * outputTemplates.line or taskDefaults.tags.
+ * Returns { key, subKey, entry } where entry describes the value being set.
+ */
+function resolveKey(name) {
+  const [key, ...rest] = String(name).split('.');
+  const subKey = rest.join('.');
+  const entry = CONFIG_SCHEMA[key];
+
+  if (!entry) {
+    throw new Error(`Unknown configuration key: ${name}. Run "tn config --describe" to see all settings`);
+  }
+  if (!subKey) {
+    if (entry.type === 'map' || entry.type === 'object') {
+      throw new Error(`${key} is set one entry at a time: ${key}.<name>=<value>`);
+    }
+    return { key, subKey: null, entry };
+  }
+
+  if (entry.type === 'map') {
+    return { key, subKey, entry: entry.values };
+  }
+  if (entry.type === 'object' && entry.properties[subKey]) {
+    return { key, subKey, entry: entry.properties[subKey] };
+  }
+  const valid = entry.type === 'object' ? Object.keys(entry.properties).map(sub => `${key}.${sub}`).join(', ') : key;
+  throw new Error(`Unknown configuration key: ${name}. Valid keys: ${valid}`);
+}
+
+/**
+ * Check an already typed value (from a config file) against an entry.
+ * Returns an error message, or null if the value is valid.
+ */
+function validateValue(entry, value) {
+  if (value === null) {
+    return entry.nullable ? null : 'must not be null';
+  }
+
+  switch (entry.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (entry.min !== undefined && value < entry.min) return `must be at least ${entry.min}`;
+      if (entry.max !== undefined && value > entry.max) return `must be at most ${entry.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be a list of strings';
+      break;
+    case 'map':
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      break;
+    default:
+      break;
+  }
+
+  if (entry.allowed && !entry.allowed.includes(value)) {
+    return `must be one of: ${entry.allowed.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Parse a command-line string (tn config --set key=value) into a typed value
+ */
+function parseValue(entry, raw, name) {
+  const text = String(raw).trim();
+  let value;
+
+  if (text === '' && entry.nullable) {
+    return null;
+  }
+
+  switch (entry.type) {
+    case 'integer':
+      value = /^-?\d+$/.test(text) ? parseInt(text) : NaN;
+      if (isNaN(value)) throw new Error(`${name} must be a whole number`);
+      break;
+    case 'boolean':
+      if (!['true', 'false', 'yes', 'no', '1', '0'].includes(text.toLowerCase())) {
+        throw new Error(`${name} must be true or false`);
+      }
+      value = ['true', 'yes', '1'].includes(text.toLowerCase());
+      break;
+    case 'list':
+      value = text.split(',').map(item => item.trim()).filter(Boolean);
+      break;
+    default:
+      value = text;
+  }
+
+  const error = validateValue(entry, value);
+  if (error) {
+    throw new Error(`${name} ${error}`);
+  }
+  return value;
+}
+
+/**
+ * Check a value and, for objects and maps, each entry in it. Invalid
+ * entries are added to errors and left out. Returns the valid value, or
+ * undefined when the value itself is invalid.
+ */
+function checkValue(entry, value, key, errors) {
+  const error = validateValue(entry, value);
+  if (error) {
+    errors.push({ key, message: error });
+    return undefined;
+  }
+  if (!value || (entry.type !== 'object' && entry.type !== 'map')) {
+    return value;
+  }
+
+  const checked = {};
+  Object.entries(value).forEach(([subKey, subValue]) => {
+    const subEntry = entry.type === 'map' ? entry.values : entry.properties[subKey];
+    if (!subEntry) {
+      errors.push({ key: `${key}.${subKey}`, message: 'is not a known setting' });
+      return;
+    }
+    const valid = checkValue(subEntry, subValue, `${key}.${subKey}`, errors);
+    if (valid !== undefined) {
+      checked[subKey] = valid;
+    }
+  });
+  return checked;
+}
+
+/**
+ * Validate a whole config object (a config file's contents).
+ * Returns the valid keys and a list of { key, message } for the rest.
+ */
+function validateConfig(values) {
+  const valid = {};
+  const errors = [];
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: valid, errors: [{ key: '(file)', message: 'must contain a JSON object' }] };
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    const entry = CONFIG_SCHEMA[key];
+    if (!entry) {
+      errors.push({ key, message: 'is not a known setting' });
+      return;
+    }
+
+    const checked = checkValue(entry, value, key, errors);
+    if (checked !== undefined) {
+      valid[key] = checked;
+    }
+  });
+
+  return { values: valid, errors };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  getDefaults,
+  describeType,
+  resolveKey,
+  validateValue,
+  parseValue,
+  validateConfig
+};
@@ -0,0 +1,97 @@
+/**
+ * Tests for the config schema
+ */
+
+const { CONFIG_SCHEMA, getDefaults, resolveKey, parseValue, validateConfig } = require('./config-schema');
+
+describe('config schema', () => {
+  describe('getDefaults', () => {
+    it('should build defaults from the schema', () => {
+      expect(getDefaults()).toMatchObject({ host: 'localhost', port: 8080, authToken: null, maxResults: 20, outputTemplates: {} });
+    });
+
+    it('should return fresh copies of object defaults', () => {
+      getDefaults().outputTemplates.line = '{{title}}';
+      expect(getDefaults().outputTemplates).toEqual({});
+    });
+  });
+
+  describe('resolveKey', () => {
+    it('should resolve top-level, map and object keys', () => {
+      expect(resolveKey('port').entry).toBe(CONFIG_SCHEMA.port);
+      expect(resolveKey('outputTemplates.line')).toMatchObject({ key: 'outputTemplates', subKey: 'line', entry: { type: 'string' } });
+      expect(resolveKey('taskDefaults.tags')).toMatchObject({ key: 'taskDefaults', subKey: 'tags', entry: { type: 'list' } });
+    });
+
+    it('should reject unknown keys and whole maps', () => {
+      expect(() => resolveKey('colour')).toThrow('Unknown configuration key: colour');
+      expect(() => resolveKey('taskDefaults.labels')).toThrow('Valid keys: taskDefaults.tags');
+      expect(() => resolveKey('outputTemplates')).toThrow('outputTemplates.<name>=<value>');
+    });
+  });
+
+  describe('parseValue', () => {
+    it('should parse typed values', () => {
+      expect(parseValue(CONFIG_SCHEMA.port, '8081', 'port')).toBe(8081);
+      expect(parseValue({ type: 'boolean' }, 'yes', 'flag')).toBe(true);
+      expect(parseValue({ type: 'list' }, 'work, q3,', 'tags')).toEqual(['work', 'q3']);
+      expect(parseValue(CONFIG_SCHEMA.authToken, '', 'authToken')).toBeNull();
+    });
+
+    it('should reject values of the wrong type or range', () => {
+      expect(() => parseValue(CONFIG_SCHEMA.port, '80a', 'port')).toThrow('port must be a whole number');
+      expect(() => parseValue(CONFIG_SCHEMA.port, '0', 'port')).toThrow('port must be at least 1');
+      expect(() => parseValue(CONFIG_SCHEMA.maxResults, '', 'maxResults')).toThrow('maxResults must be a whole number');
+    });
+
+    it('should enforce allowed values', () => {
+      const entry = { type: 'string', allowed: ['api', 'files'] };
+      expect(parseValue(entry, 'files', 'backend')).toBe('files');
+      expect(() => parseValue(entry, 'ftp', 'backend')).toThrow('backend must be one of: api, files');
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should keep valid keys and report the offending ones', () => {
+      const { values, errors } = validateConfig({
+        host: 'localhost',
+        port: '8080',
+        colour: 'red',
+        outputTemplates: { line: '{{title}}', bad: 3 },
+        taskDefaults: { tags: ['work'], projects: 'Website' }
+      });
+
+      expect(values).toEqual({
+        host: 'localhost',
+        outputTemplates: { line: '{{title}}' },
+        taskDefaults: { tags: ['work'] }
+      });
+      expect(errors).toEqual([
+        { key: 'port', message: 'must be a whole number' },
+        { key: 'colour', message: 'is not a known setting' },
+        { key: 'outputTemplates.bad', message: 'must be a string' },
+        { key: 'taskDefaults.projects', message: 'must be a list of strings' }
+      ]);
+    });
+
+    it('should check each profile against the connection settings', () => {
+      const { values, errors } = validateConfig({
+        profiles: {
+          work: { host: 'work-host', port: 'abc', authToken: null },
+          home: { port: 70000, vaultPath: '~/Vault', cacheTtl: 5 }
+        }
+      });
+
+      expect(values).toEqual({ profiles: { work: { host: 'work-host', authToken: null }, home: { vaultPath: '~/Vault' } } });
+      expect(errors).toEqual([
+        { key: 'profiles.work.port', message: 'must be a whole number' },
+        { key: 'profiles.home.port', message: 'must be at most 65535' },
+        { key: 'profiles.home.cacheTtl', message: 'is not a known setting' }
+      ]);
+    });
+
+    it('should reject files that are not objects', () => {
+      expect(validateConfig([1, 2]).errors).toEqual([{ key: '(file)', message: 'must contain a JSON object' }]);
+    });
+  });
+});
@@ -1,21 +1,134 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { CONFIG_SCHEMA, getDefaults, resolveKey, parseValue, validateConfig } = require('./config-schema');
 
 const CONFIG_DIR = path.join(os.homedir(), '.tasknotes-cli');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
-const DEFAULT_CONFIG = {
-  host: 'localhost',
-  port: 8080,
-  authToken: null,
-  maxResults: 20
+// Per-directory overrides, found by walking up from the current directory
+const PROJECT_CONFIG_FILE = '.tasknotes.json';
+
+// Defaults for every key come from lib/config-schema.js
+const DEFAULT_CONFIG = getDefaults();
+
+// Settings that pick the API server
+const CONNECTION_KEYS = ['host', 'port', 'authToken'];
+
+// Settings a profile can override. A profile never uses the top-level
+// vaultPath, which belongs to another vault.
+const PROFILE_KEYS = [...CONNECTION_KEYS, 'vaultPath'];
+
+// Settings a .tasknotes.json can set. The server, the profiles, the vault and
+// files to write stay in the user config, so a checked-out repository cannot
+// send the user's authToken to a host of its choosing.
+const PROJECT_KEYS = ['maxResults', 'outputTemplates', 'taskDefaults'];
+
+// Name that always refers to the top-level host/port/authToken
+const DEFAULT_PROFILE = 'default';
+
+// Environment variables that override settings
+const ENV_VARIABLES = {
+  TASKNOTES_HOST: 'host',
+  TASKNOTES_PORT: 'port',
+  TASKNOTES_TOKEN: 'authToken',
+  TASKNOTES_BACKEND: 'backend',
+  TASKNOTES_TIMEOUT: 'timeout',
+  TASKNOTES_DEBUG: 'debug',
+  TASKNOTES_TRACE_FILE: 'traceFile'
 };
 
+// Command-line flags that override settings for one command
+const FLAG_NAMES = {
+  host: '--host',
+  port: '--port',
+  authToken: '--token',
+  backend: '--backend',
+  cache: '--no-cache',
+  cacheTtl: '--refresh',
+  timeout: '--timeout',
+  debug: '--debug',
+  traceFile: '--trace-file'
+};
+
+// Settings whose object values are merged across layers instead of replaced
+const MERGED_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => ['map', 'object'].includes(CONFIG_SCHEMA[key].type));
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a config file, warning about anything that doesn't match the schema.
+ * Returns the raw contents and the valid subset used for lookups.
+ */
+function readConfigFile(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Warning: Could not parse ${filePath}: ${error.message}. Ignoring this file`);
+    return { raw: {}, values: {} };
+  }
+
+  const { values, errors } = validateConfig(raw);
+  errors.forEach(({ key, message }) => {
+    console.warn(`Warning: ${filePath}: "${key}" ${message}. Ignoring this setting`);
+  });
+  return { raw, values };
+}
+
+/**
+ * The settings of a .tasknotes.json that it is allowed to set, warning
+ * about the others
+ */
+function readProjectConfig(filePath) {
+  const { values } = readConfigFile(filePath);
+  const allowed = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (PROJECT_KEYS.includes(key)) {
+      allowed[key] = value;
+    } else {
+      console.warn(`Warning: ${filePath}: "${key}" can only be set in the user config. Ignoring this setting`);
+    }
+  });
+  return allowed;
+}
+
+/**
+ * Find the nearest .tasknotes.json from startDir upwards
+ */
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
 class Config {
   constructor() {
     this.ensureConfigDir();
+    // The user config file as saved; defaults and overrides are layered on in resolve()
     this.config = this.load();
+    this.userValues = validateConfig(this.config).values;
+    this.projectPath = findProjectConfig(process.cwd());
+    this.projectConfig = this.projectPath ? readProjectConfig(this.projectPath) : {};
+    // Read once, so an invalid value is reported once per command
+    this.environmentLayers = this.readEnvironmentLayers();
+    // Profile chosen with --profile for this run only
+    this.sessionProfile = null;
+    // Connection settings from --host, --port and --token
+    this.flags = {};
   }
 
   ensureConfigDir() {
@@ -25,17 +138,11 @@ class Config {
   }
 
   load() {
-    try {
-      if (fs.existsSync(CONFIG_FILE)) {
-        const content = fs.readFileSync(CONFIG_FILE, 'utf8');
-        const config = JSON.parse(content);
-        return { ...DEFAULT_CONFIG, ...config };
-      }
-    } catch (error) {
-      console.warn('Warning: Could not load config file, using defaults');
+    if (!fs.existsSync(CONFIG_FILE)) {
+      return {};
     }
-    
-    return { ...DEFAULT_CONFIG };
+    // Invalid settings are reported and skipped, but kept in the file
+    return readConfigFile(CONFIG_FILE).raw;
   }
 
   save() {
@@ -46,26 +153,265 @@ class Config {
     }
   }
 
+  // One layer per variable, so --list can name the variable a value came from
+  readEnvironmentLayers() {
+    const layers = [];
+    Object.entries(ENV_VARIABLES).forEach(([variable, key]) => {
+      const value = process.env[variable];
+      if (value === undefined || value === '') return;
+
+      try {
+        layers.push({ source: `env ${variable}`, values: { [key]: parseValue(CONFIG_SCHEMA[key], value, variable) } });
+      } catch (error) {
+        console.warn(`Warning: ${error.message}. Ignoring it`);
+      }
+    });
+    return layers;
+  }
+
+  getFlagLayers() {
+    return Object.entries(this.flags).map(([key, value]) => ({
+      source: `flag ${FLAG_NAMES[key] || key}`,
+      values: { [key]: value }
+    }));
+  }
+
+  /**
+   * Configuration layers, lowest precedence first:
+   * defaults, user config (with the active profile on top), the nearest
+   * .tasknotes.json, TASKNOTES_* environment variables, command-line flags.
+   */
+  getLayers() {
+    const defaults = { source: 'default', values: DEFAULT_CONFIG };
+    const user = { source: 'user', values: this.userValues };
+    const project = { source: this.projectPath ? `project ${this.projectPath}` : 'project', values: this.projectConfig };
+
+    const layers = [defaults, user];
+
+    const { values } = this.mergeLayers([defaults, user, project]);
+    const profileName = this.selectProfile(values.activeProfile);
+    const profile = profileName && values.profiles[profileName];
+    if (profile) {
+      const connection = { vaultPath: null };
+      PROFILE_KEYS.forEach(key => {
+        if (profile[key] !== undefined) connection[key] = profile[key];
+      });
+      layers.push({ source: `profile ${profileName}`, values: connection });
+    }
+
+    return layers.concat(project, this.environmentLayers, this.getFlagLayers());
+  }
+
+  mergeLayers(layers) {
+    const values = {};
+    const sources = {};
+
+    layers.forEach(({ source, values: layerValues }) => {
+      Object.entries(layerValues || {}).forEach(([key, value]) => {
+        if (value === undefined) return;
+
+        if (MERGED_KEYS.includes(key) && isPlainObject(value) && isPlainObject(values[key])) {
+          values[key] = { ...values[key], ...value };
+          // An empty object adds nothing, so keep the earlier source
+          if (Object.keys(value).length > 0) sources[key] = source;
+        } else {
+          values[key] = value;
+          sources[key] = source;
+        }
+      });
+    });
+    return { values, sources };
+  }
+
+  /**
+   * Effective configuration and the layer each value came from
+   */
+  resolve() {
+    return this.mergeLayers(this.getLayers());
+  }
+
   get(key) {
+    const { values } = this.resolve();
     if (key) {
-      return this.config[key];
+      return values[key];
     }
-    return { ...this.config };
+    return values;
   }
 
+  getSources() {
+    return this.resolve().sources;
+  }
+
+  // Always writes to the user config file, never to .tasknotes.json
   set(updates) {
     this.config = { ...this.config, ...updates };
+    this.userValues = validateConfig(this.config).values;
     this.save();
   }
 
   reset() {
-    this.config = { ...DEFAULT_CONFIG };
+    this.config = getDefaults();
+    this.userValues = validateConfig(this.config).values;
     this.save();
   }
 
+  /**
+   * Set a key from a command-line string, parsed and validated against the
+   * schema. Dotted keys set one entry of a map or object setting
+   * (outputTemplates.line, taskDefaults.tags); an empty value removes it.
+   * Returns { key, value } with the typed value that was saved.
+   */
+  setValue(name, rawValue) {
+    const { key, subKey, entry } = resolveKey(name);
+    const topEntry = CONFIG_SCHEMA[key];
+
+    if (topEntry.settable === false) {
+      throw new Error(`${key} cannot be set directly. ${topEntry.description}`);
+    }
+
+    if (subKey) {
+      const current = { ...(this.config[key] || {}) };
+      if (String(rawValue).trim() === '') {
+        delete current[subKey];
+        this.set({ [key]: current });
+        return { key: name, value: undefined };
+      }
+      current[subKey] = parseValue(entry, rawValue, name);
+      this.set({ [key]: current });
+      return { key: name, value: current[subKey] };
+    }
+
+    const value = parseValue(entry, rawValue, name);
+    if (PROFILE_KEYS.includes(key)) {
+      this.setConnection({ [key]: value });
+    } else {
+      this.set({ [key]: value });
+    }
+    return { key: name, value };
+  }
+
+  /**
+   * Name of the profile in effect: --profile, then TASKNOTES_PROFILE, then
+   * the activeProfile setting. Null means the top-level settings.
+   */
+  getProfileName() {
+    const { values } = this.mergeLayers([{ values: this.userValues }, { values: this.projectConfig }]);
+    return this.selectProfile(values.activeProfile);
+  }
+
+  selectProfile(activeProfile) {
+    const name = this.sessionProfile || process.env.TASKNOTES_PROFILE || activeProfile;
+    return name && name !== DEFAULT_PROFILE ? name : null;
+  }
+
+  getProfiles() {
+    return { ...this.get('profiles') };
+  }
+
+  /**
+   * host/port/authToken after every layer has been applied. Throws if the
+   * selected profile does not exist.
+   */
+  getConnection() {
+    const name = this.getProfileName();
+    if (name && !this.getProfiles()[name]) {
+      throw new Error(`Unknown profile: ${name}. Run "tn config profile list" to see profiles`);
+    }
+
+    const values = this.get();
+    const connection = {};
+    CONNECTION_KEYS.forEach(key => {
+      connection[key] = values[key];
+    });
+    return connection;
+  }
+
+  // Save connection settings and vaultPath to the profile in effect, or the top level
+  setConnection(updates) {
+    const name = this.getProfileName();
+    if (!name) {
+      this.set(updates);
+      return;
+    }
+
+    const profiles = { ...this.config.profiles };
+    if (!this.getProfiles()[name]) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+    profiles[name] = { ...profiles[name], ...updates };
+    this.set({ profiles });
+  }
+
+  addProfile(name, settings) {
+    if (!name || name === DEFAULT_PROFILE) {
+      throw new Error(`Invalid profile name: ${name || '(empty)'}`);
+    }
+    const profiles = { ...this.config.profiles };
+    profiles[name] = { ...profiles[name], ...settings };
+    this.set({ profiles });
+  }
+
+  removeProfile(name) {
+    const profiles = { ...this.config.profiles };
+    if (!profiles[name]) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+    delete profiles[name];
+
+    const updates = { profiles };
+    if (this.config.activeProfile === name) {
+      updates.activeProfile = null;
+    }
+    this.set(updates);
+  }
+
+  useProfile(name) {
+    if (name !== DEFAULT_PROFILE && !this.getProfiles()[name]) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+    this.set({ activeProfile: name === DEFAULT_PROFILE ? null : name });
+  }
+
+  setSessionProfile(name) {
+    this.sessionProfile = name;
+  }
+
+  // Connection settings given on the command line (--host, --port, --token)
+  setFlags(flags) {
+    this.flags = {};
+    Object.entries(flags).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.flags[key] = parseValue(CONFIG_SCHEMA[key], value, FLAG_NAMES[key] || key);
+      }
+    });
+  }
+
+  /**
+   * Defaults, the user config file and the profile in effect: the values
+   * "tn config" saves to, without .tasknotes.json, environment or flag
+   * overrides
+   */
+  getSavedConfig() {
+    const saved = this.getLayers().filter(({ source }) => ['default', 'user'].includes(source) || source.startsWith('profile '));
+    return this.mergeLayers(saved).values;
+  }
+
+  // Defaults plus the user config file, without profiles or overrides
+  getUserConfig() {
+    return { ...DEFAULT_CONFIG, ...this.userValues };
+  }
+
   getConfigPath() {
     return CONFIG_FILE;
   }
+
+  getProjectConfigPath() {
+    return this.projectPath;
+  }
+
+  getConfigDir() {
+    return CONFIG_DIR;
+  }
 }
 
 // Export singleton instance
@@ -74,7 +420,25 @@ const configInstance = new Config();
 module.exports = {
   get: (key) => configInstance.get(key),
   set: (updates) => configInstance.set(updates),
+  setValue: (name, value) => configInstance.setValue(name, value),
   reset: () => configInstance.reset(),
   getPath: () => configInstance.getConfigPath(),
+  getProjectPath: () => configInstance.getProjectConfigPath(),
+  getDir: () => configInstance.getConfigDir(),
+  getSources: () => configInstance.getSources(),
+  getSavedConfig: () => configInstance.getSavedConfig(),
+  getUserConfig: () => configInstance.getUserConfig(),
+  getProfileName: () => configInstance.getProfileName(),
+  getProfiles: () => configInstance.getProfiles(),
+  getConnection: () => configInstance.getConnection(),
+  setConnection: (updates) => configInstance.setConnection(updates),
+  addProfile: (name, settings) => configInstance.addProfile(name, settings),
+  removeProfile: (name) => configInstance.removeProfile(name),
+  useProfile: (name) => configInstance.useProfile(name),
+  setSessionProfile: (name) => configInstance.setSessionProfile(name),
+  setFlags: (flags) => configInstance.setFlags(flags),
+  findProjectConfig,
+  DEFAULT_PROFILE,
+  PROFILE_KEYS,
   getAll: () => configInstance.get()
-};
\ No newline at end of file
+};
@@ -0,0 +1,238 @@
+/**
+ * Tests for connection profiles and configuration layers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('config profiles', () => {
+  const originalProfile = process.env.TASKNOTES_PROFILE;
+  let tempHome;
+  let config;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-config-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    delete process.env.TASKNOTES_PROFILE;
+
+    // The config module is a singleton bound to the home directory at load time
+    jest.isolateModules(() => {
+      config = require('./config');
+    });
+    config.set({ host: 'localhost', port: 8080, authToken: null });
+    config.addProfile('work', { port: 8081, authToken: 'secret' });
+    config.addProfile('personal', { host: '192.168.1.5' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalProfile === undefined) {
+      delete process.env.TASKNOTES_PROFILE;
+    } else {
+      process.env.TASKNOTES_PROFILE = originalProfile;
+    }
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should use the top-level settings without a profile', () => {
+    expect(config.getProfileName()).toBeNull();
+    expect(config.getConnection()).toEqual({ host: 'localhost', port: 8080, authToken: null });
+  });
+
+  it('should fill in settings the profile leaves out', () => {
+    config.useProfile('personal');
+    expect(config.getConnection()).toEqual({ host: '192.168.1.5', port: 8080, authToken: null });
+  });
+
+  it('should prefer --profile over TASKNOTES_PROFILE over the saved profile', () => {
+    config.useProfile('personal');
+    process.env.TASKNOTES_PROFILE = 'work';
+    expect(config.getProfileName()).toBe('work');
+
+    config.setSessionProfile('personal');
+    expect(config.getProfileName()).toBe('personal');
+
+    config.setSessionProfile('default');
+    expect(config.getProfileName()).toBeNull();
+  });
+
+  it('should reject unknown profiles', () => {
+    config.setSessionProfile('missing');
+    expect(() => config.getConnection()).toThrow('Unknown profile: missing');
+    expect(() => config.useProfile('missing')).toThrow('Unknown profile: missing');
+  });
+
+  it('should save connection settings to the profile in effect', () => {
+    config.useProfile('work');
+    config.setConnection({ port: 9000 });
+
+    expect(config.getProfiles().work.port).toBe(9000);
+    expect(config.get('port')).toBe(9000);
+
+    config.useProfile('default');
+    expect(config.get('port')).toBe(8080);
+  });
+
+  it('should clear the saved profile when it is removed', () => {
+    config.useProfile('work');
+    config.removeProfile('work');
+
+    expect(config.get('activeProfile')).toBeNull();
+    expect(Object.keys(config.getProfiles())).toEqual(['personal']);
+  });
+});
+
+describe('config layers', () => {
+  const variables = ['TASKNOTES_HOST', 'TASKNOTES_PORT', 'TASKNOTES_TOKEN', 'TASKNOTES_PROFILE'];
+  const originalEnv = {};
+  let tempHome;
+  let projectDir;
+  let config;
+  let warn;
+
+  const loadConfig = (cwd) => {
+    jest.spyOn(process, 'cwd').mockReturnValue(cwd);
+    jest.isolateModules(() => {
+      config = require('./config');
+    });
+  };
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-config-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    variables.forEach(variable => {
+      originalEnv[variable] = process.env[variable];
+      delete process.env[variable];
+    });
+
+    fs.mkdirSync(path.join(tempHome, '.tasknotes-cli'));
+    fs.writeFileSync(path.join(tempHome, '.tasknotes-cli', 'config.json'), JSON.stringify({
+      host: 'user-host',
+      port: 8081,
+      outputTemplates: { line: '{{title}}' }
+    }));
+
+    projectDir = path.join(tempHome, 'repo');
+    fs.mkdirSync(path.join(projectDir, 'src', 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, '.tasknotes.json'), JSON.stringify({
+      port: 9000,
+      outputTemplates: { short: '{{id}}' },
+      taskDefaults: { projects: ['Website'], tags: ['work'] }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    variables.forEach(variable => {
+      if (originalEnv[variable] === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = originalEnv[variable];
+      }
+    });
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should find the nearest project file walking up', () => {
+    loadConfig(path.join(projectDir, 'src', 'lib'));
+    expect(config.getProjectPath()).toBe(path.join(projectDir, '.tasknotes.json'));
+    expect(config.get('taskDefaults')).toEqual({ projects: ['Website'], tags: ['work'] });
+  });
+
+  it('should apply flags over env over project over user over defaults', () => {
+    loadConfig(projectDir);
+    expect(config.getConnection()).toEqual({ host: 'user-host', port: 8081, authToken: null });
+    expect(config.get('taskDefaults')).toEqual({ projects: ['Website'], tags: ['work'] });
+
+    process.env.TASKNOTES_PORT = '9100';
+    process.env.TASKNOTES_TOKEN = 'env-token';
+    loadConfig(projectDir);
+    expect(config.getConnection()).toEqual({ host: 'user-host', port: 9100, authToken: 'env-token' });
+
+    config.setFlags({ port: '9200', host: undefined });
+    expect(config.getConnection()).toEqual({ host: 'user-host', port: 9200, authToken: 'env-token' });
+  });
+
+  it('should report where each value came from', () => {
+    process.env.TASKNOTES_HOST = 'env-host';
+    loadConfig(projectDir);
+
+    expect(config.getSources()).toMatchObject({
+      host: 'env TASKNOTES_HOST',
+      port: 'user',
+      taskDefaults: `project ${path.join(projectDir, '.tasknotes.json')}`,
+      maxResults: 'default'
+    });
+
+    config.setFlags({ host: 'flag-host' });
+    expect(config.getSources().host).toBe('flag --host');
+  });
+
+  it('should not let a project file choose the server, profile or vault', () => {
+    fs.writeFileSync(path.join(tempHome, '.tasknotes-cli', 'config.json'), JSON.stringify({ host: 'user-host', authToken: 'secret' }));
+    fs.writeFileSync(path.join(projectDir, '.tasknotes.json'), JSON.stringify({
+      host: 'attacker.example',
+      port: 443,
+      profiles: { evil: { host: 'attacker.example' } },
+      activeProfile: 'evil',
+      vaultPath: '/tmp/elsewhere',
+      maxResults: 5
+    }));
+
+    loadConfig(projectDir);
+    expect(config.getConnection()).toEqual({ host: 'user-host', port: 8080, authToken: 'secret' });
+    expect(config.getProfileName()).toBeNull();
+    expect(config.get('vaultPath')).toBeNull();
+    expect(config.get('maxResults')).toBe(5);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"host" can only be set in the user config'));
+  });
+
+  it('should merge named templates across layers', () => {
+    loadConfig(projectDir);
+    expect(config.get('outputTemplates')).toEqual({ line: '{{title}}', short: '{{id}}' });
+  });
+
+  it('should report invalid settings by key and fall back to lower layers', () => {
+    fs.writeFileSync(path.join(tempHome, '.tasknotes-cli', 'config.json'), JSON.stringify({ host: 'user-host', maxResults: 'lots' }));
+
+    loadConfig(tempHome);
+    expect(config.get('maxResults')).toBe(20);
+    expect(config.get('host')).toBe('user-host');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"maxResults" must be a whole number'));
+  });
+
+  it('should report an invalid environment variable once', () => {
+    process.env.TASKNOTES_PORT = 'abc';
+    loadConfig(tempHome);
+
+    expect(config.getConnection().port).toBe(8081);
+    config.get('port');
+    config.getSources();
+    expect(warn.mock.calls.filter(([message]) => message.includes('TASKNOTES_PORT'))).toHaveLength(1);
+  });
+
+  it('should leave overrides out of the saved settings', () => {
+    fs.writeFileSync(path.join(tempHome, '.tasknotes-cli', 'config.json'), JSON.stringify({
+      host: 'user-host',
+      profiles: { work: { port: 9300 } }
+    }));
+    process.env.TASKNOTES_HOST = 'env-host';
+    process.env.TASKNOTES_TOKEN = 'env-token';
+    loadConfig(projectDir);
+    config.setSessionProfile('work');
+    config.setFlags({ port: '9200' });
+
+    expect(config.getSavedConfig()).toMatchObject({ host: 'user-host', port: 9300, authToken: null, maxResults: 20 });
+    expect(config.getConnection()).toEqual({ host: 'env-host', port: 9200, authToken: 'env-token' });
+  });
+
+  it('should only write the user layer when saving', () => {
+    loadConfig(projectDir);
+    config.set({ maxResults: 50 });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tempHome, '.tasknotes-cli', 'config.json'), 'utf8'));
+    expect(saved).toEqual({ host: 'user-host', port: 8081, outputTemplates: { line: '{{title}}' }, maxResults: 50 });
+  });
+});
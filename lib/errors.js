@@ -0,0 +1,108 @@
+/**
+ * Errors raised by TaskNotesAPI
+ *
+ * Each class carries the HTTP status (if any), the parsed response body and
+ * a hint that commands print after the message, so a 401 says to check the
+ * auth token rather than leaving the user to guess.
+ */
+
+class TaskNotesError extends Error {
+  constructor(message, { status = null, body = null, code, hint = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    if (code) {
+      this.code = code;
+    }
+    this.hint = hint;
+  }
+}
+
+// The API could not be reached; code is the network error code (ECONNREFUSED, ETIMEDOUT, ...)
+class ConnectionError extends TaskNotesError {}
+
+/**
+ * Whether the request never reached a server: the connection was refused
+ * or the host does not resolve. Anything else (a timeout, a dropped
+ * connection) may have happened after TaskNotes acted on the request.
+ */
+function isUnreachable(error) {
+  return error instanceof ConnectionError && ['ECONNREFUSED', 'ENOTFOUND'].includes(error.code);
+}
+
+class AuthError extends TaskNotesError {
+  constructor(message, options = {}) {
+    super(message, {
+      hint: 'Check the authToken setting: "tn config --set authToken=<token>", or "tn config --from-vault" to read it from the TaskNotes plugin settings',
+      ...options
+    });
+  }
+}
+
+class NotFoundError extends TaskNotesError {
+  constructor(message, options = {}) {
+    super(message, {
+      hint: 'Run "tn list" to see task handles (#3), or "tn search <text>" to find a task by title',
+      ...options
+    });
+  }
+}
+
+class ValidationError extends TaskNotesError {
+  constructor(message, options = {}) {
+    super(message, {
+      hint: 'Check the values given. "tn filter-options" lists the valid statuses, priorities and projects',
+      ...options
+    });
+  }
+}
+
+class ServerError extends TaskNotesError {
+  constructor(message, options = {}) {
+    super(message, {
+      hint: 'TaskNotes failed to handle the request. The Obsidian developer console (Ctrl+Shift+I) shows the details',
+      ...options
+    });
+  }
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Build the error for a failed HTTP response from its status and body text.
+ * TaskNotes answers errors with { success: false, error: "..." }.
+ */
+function errorFromResponse(status, text) {
+  const body = parseBody(text);
+  const detail = body && typeof body === 'object' && body.error ? body.error : text || 'no details';
+  const message = `HTTP ${status}: ${detail}`;
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, { status, body });
+  }
+  if (status === 404) {
+    return new NotFoundError(message, { status, body });
+  }
+  if (status >= 500) {
+    return new ServerError(message, { status, body });
+  }
+  return new ValidationError(message, { status, body });
+}
+
+module.exports = {
+  TaskNotesError,
+  ConnectionError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  ServerError,
+  errorFromResponse,
+  isUnreachable
+};
@@ -0,0 +1,136 @@
+/**
+ * Tests for API errors, timeouts and retries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConnectionError, AuthError, NotFoundError, ValidationError, ServerError, errorFromResponse, isUnreachable } = require('./errors');
+
+jest.mock('node-fetch', () => jest.fn());
+
+describe('errorFromResponse', () => {
+  it('should pick the error class from the status', () => {
+    expect(errorFromResponse(401, '')).toBeInstanceOf(AuthError);
+    expect(errorFromResponse(403, '')).toBeInstanceOf(AuthError);
+    expect(errorFromResponse(404, '')).toBeInstanceOf(NotFoundError);
+    expect(errorFromResponse(400, '')).toBeInstanceOf(ValidationError);
+    expect(errorFromResponse(422, '')).toBeInstanceOf(ValidationError);
+    expect(errorFromResponse(503, '')).toBeInstanceOf(ServerError);
+  });
+
+  it('should keep the status and parsed body', () => {
+    const error = errorFromResponse(404, JSON.stringify({ success: false, error: 'Task not found' }));
+    expect(error.message).toBe('HTTP 404: Task not found');
+    expect(error.status).toBe(404);
+    expect(error.body).toEqual({ success: false, error: 'Task not found' });
+    expect(error.hint).toContain('"tn list" to see task handles');
+    expect(error.hint).toContain('tn search');
+  });
+
+  it('should keep bodies that are not JSON as text', () => {
+    const error = errorFromResponse(401, 'Unauthorized');
+    expect(error.message).toBe('HTTP 401: Unauthorized');
+    expect(error.body).toBe('Unauthorized');
+    expect(error.hint).toContain('authToken');
+  });
+});
+
+describe('isUnreachable', () => {
+  it('should only be true when the request cannot have reached a server', () => {
+    expect(isUnreachable(new ConnectionError('refused', { code: 'ECONNREFUSED' }))).toBe(true);
+    expect(isUnreachable(new ConnectionError('no such host', { code: 'ENOTFOUND' }))).toBe(true);
+    expect(isUnreachable(new ConnectionError('slow', { code: 'ETIMEDOUT' }))).toBe(false);
+    expect(isUnreachable(new ConnectionError('dropped', { code: 'ECONNRESET' }))).toBe(false);
+    expect(isUnreachable(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }))).toBe(false);
+  });
+});
+
+describe('TaskNotesAPI.request', () => {
+  let tempHome;
+  let fetch;
+  let errors;
+  let api;
+
+  const respond = (status, body) => ({
+    ok: status < 400,
+    status,
+    text: async () => JSON.stringify(body),
+    json: async () => body
+  });
+  const networkError = code => Object.assign(new Error(`request failed, reason: ${code}`), { code });
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-errors-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+
+    let TaskNotesAPI;
+    jest.isolateModules(() => {
+      fetch = require('node-fetch');
+      errors = require('./errors');
+      TaskNotesAPI = require('./api');
+    });
+    fetch.mockReset();
+    api = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'api' });
+    api.backoff = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should send the configured timeout', async () => {
+    fetch.mockResolvedValue(respond(200, { success: true, data: { status: 'ok' } }));
+    api.config.timeout = 5;
+
+    expect(await api.request('/api/stats')).toEqual({ status: 'ok' });
+    expect(fetch).toHaveBeenCalledWith(`${api.baseURL}/api/stats`, expect.objectContaining({ timeout: 5000 }));
+  });
+
+  it('should retry reads with backoff after timeouts and gateway errors', async () => {
+    fetch
+      .mockRejectedValueOnce(Object.assign(new Error('network timeout'), { type: 'request-timeout' }))
+      .mockResolvedValueOnce(respond(503, { success: false, error: 'Unavailable' }))
+      .mockResolvedValueOnce(respond(200, { success: true, data: { total: 3 } }));
+
+    expect(await api.request('/api/stats')).toEqual({ total: 3 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(api.backoff.mock.calls).toEqual([[1], [2]]);
+  });
+
+  it('should give up after the configured retries', async () => {
+    fetch.mockRejectedValue(networkError('ECONNRESET'));
+    api.config.retries = 1;
+
+    await expect(api.request('/api/stats')).rejects.toBeInstanceOf(errors.ConnectionError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry changes, refused connections or client errors', async () => {
+    fetch.mockRejectedValue(networkError('ECONNRESET'));
+    await expect(api.request('/api/tasks', { method: 'POST', body: '{}' })).rejects.toMatchObject({ code: 'ECONNRESET' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockReset();
+    fetch.mockRejectedValue(networkError('ECONNREFUSED'));
+    await expect(api.request('/api/health')).rejects.toThrow(`Cannot connect to TaskNotes API at ${api.baseURL}`);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(respond(401, { success: false, error: 'Invalid token' }));
+    await expect(api.request('/api/tasks')).rejects.toBeInstanceOf(errors.AuthError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report timeouts with a hint', async () => {
+    fetch.mockRejectedValue(Object.assign(new Error('network timeout'), { type: 'request-timeout' }));
+    api.config.retries = 0;
+
+    const error = await api.request('/api/stats').catch(failure => failure);
+    expect(error).toBeInstanceOf(errors.ConnectionError);
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(error.message).toContain('did not respond within 10 seconds');
+    expect(error.hint).toContain('timeout');
+  });
+});
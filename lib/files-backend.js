@@ -0,0 +1,620 @@
+/**
+ * Vault-file backend
+ *
+ * Reads and writes task notes (markdown files with YAML frontmatter) directly
+ * in the vault folder, so the CLI keeps working while Obsidian is closed.
+ * FilesBackend implements the task methods of TaskNotesAPI and returns tasks
+ * with the same field names the HTTP API does. The tasks folder, task tag,
+ * statuses, priorities and frontmatter property names follow the vault's
+ * TaskNotes plugin settings when they can be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { format } = require('date-fns');
+const FilterEvaluator = require('./filter-evaluator');
+const { NotFoundError } = require('./errors');
+const { expandPath, readPluginSettings, findVaults } = require('./vault');
+
+const DEFAULT_SETTINGS = {
+  tasksFolder: 'TaskNotes/Tasks',
+  taskTag: 'task',
+  defaultTaskStatus: 'open',
+  defaultTaskPriority: 'normal'
+};
+
+const DEFAULT_STATUSES = [
+  { value: 'open', label: 'Open', isCompleted: false },
+  { value: 'in-progress', label: 'In progress', isCompleted: false },
+  { value: 'done', label: 'Done', isCompleted: true }
+];
+
+const DEFAULT_PRIORITIES = [
+  { value: 'none', label: 'None', weight: 0 },
+  { value: 'low', label: 'Low', weight: 1 },
+  { value: 'normal', label: 'Normal', weight: 2 },
+  { value: 'high', label: 'High', weight: 3 }
+];
+
+// Task fields stored in frontmatter, with the plugin's fieldMapping key
+// where it differs from the field name
+const MAPPED_FIELDS = {
+  title: 'title',
+  status: 'status',
+  priority: 'priority',
+  due: 'due',
+  scheduled: 'scheduled',
+  contexts: 'contexts',
+  projects: 'projects',
+  timeEstimate: 'timeEstimate',
+  completedDate: 'completedDate',
+  dateCreated: 'dateCreated',
+  dateModified: 'dateModified',
+  recurrence: 'recurrence',
+  complete_instances: 'completeInstances',
+  timeEntries: 'timeEntries'
+};
+
+const LIST_FIELDS = ['contexts', 'projects', 'complete_instances'];
+
+// Update keys that add to or remove from a list field, as the API accepts them
+const LIST_CHANGES = {
+  addTags: ['tags', 'add'],
+  removeTags: ['tags', 'remove'],
+  addContexts: ['contexts', 'add'],
+  removeContexts: ['contexts', 'remove'],
+  addProjects: ['projects', 'add'],
+  removeProjects: ['projects', 'remove']
+};
+
+// Fields that are managed by the backend rather than set by updates
+const READ_ONLY_FIELDS = ['id', 'path', 'dateCreated', 'dateModified'];
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)(?:\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+const SKIPPED_FOLDERS = ['node_modules'];
+
+// A top-level key: not indented, not a comment, list item or document marker
+const TOP_LEVEL_KEY = /^(?![\s#]|-(?:\s|$)|\.\.\.|---)\S/;
+
+function parseNote(content) {
+  const match = content.match(FRONTMATTER);
+  if (!match) {
+    return { frontmatter: {}, body: content };
+  }
+  // The core schema keeps dates such as 2025-01-15 as strings, like the API returns them
+  const frontmatter = yaml.safeLoad(match[1], { schema: yaml.CORE_SCHEMA }) || {};
+  return { frontmatter, body: content.slice(match[0].length), source: match[1] };
+}
+
+function dumpYaml(value) {
+  return yaml.safeDump(value, { schema: yaml.CORE_SCHEMA, lineWidth: -1 });
+}
+
+/**
+ * Split frontmatter text into top-level keys with their lines, and the
+ * comments and blank lines between them. Returns null unless each key's
+ * lines parse on their own to the value it has in the whole text.
+ */
+function splitFrontmatter(source, frontmatter) {
+  const parts = [];
+  let current = null;
+  let blanks = [];
+
+  source.split(/\r?\n/).forEach(line => {
+    if (current && line.trim() === '') {
+      // Part of a block scalar if more of the value follows
+      blanks.push(line);
+    } else if (current && /^(\s|-(\s|$))/.test(line)) {
+      current.lines.push(...blanks, line);
+      blanks = [];
+    } else {
+      blanks.forEach(text => parts.push({ text }));
+      blanks = [];
+      current = TOP_LEVEL_KEY.test(line) ? { lines: [line] } : null;
+      parts.push(current || { text: line });
+    }
+  });
+  blanks.forEach(text => parts.push({ text }));
+
+  const keys = parts.filter(part => part.lines);
+  if (keys.length !== Object.keys(frontmatter).length) {
+    return null;
+  }
+  for (const part of keys) {
+    let value;
+    try {
+      value = yaml.safeLoad(part.lines.join('\n'), { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      return null;
+    }
+    const [key, ...rest] = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+    if (key === undefined || rest.length > 0 || JSON.stringify(value[key]) !== JSON.stringify(frontmatter[key])) {
+      return null;
+    }
+    part.key = key;
+  }
+  return parts;
+}
+
+/**
+ * Frontmatter text for a note. Given the note's original text and parsed
+ * frontmatter, only the keys whose values changed are rewritten, so the
+ * user's comments, quoting and key order survive; new keys go at the end.
+ */
+function serializeNote(frontmatter, body, original = null) {
+  const parts = original ? splitFrontmatter(original.source, original.frontmatter) : null;
+  if (!parts) {
+    return `---\n${dumpYaml(frontmatter)}---\n${body}`;
+  }
+
+  const eol = original.source.includes('\r\n') ? '\r\n' : '\n';
+  const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  const dumpKey = key => dumpYaml({ [key]: frontmatter[key] }).trimEnd().split('\n');
+
+  const lines = [];
+  parts.forEach(part => {
+    if (!part.lines) {
+      lines.push(part.text);
+    } else if (!has(frontmatter, part.key)) {
+      // Removed
+    } else if (JSON.stringify(frontmatter[part.key]) === JSON.stringify(original.frontmatter[part.key])) {
+      lines.push(...part.lines);
+    } else {
+      lines.push(...dumpKey(part.key));
+    }
+  });
+
+  // New keys go before the blank lines that close the original text
+  const trailing = [];
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    trailing.push(lines.pop());
+  }
+  Object.keys(frontmatter)
+    .filter(key => !has(original.frontmatter, key))
+    .forEach(key => lines.push(...dumpKey(key)));
+
+  const text = lines.concat(trailing).join(eol);
+  return `---${eol}${text ? `${text}${eol}` : ''}---${eol}${body}`;
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function normalizeName(value) {
+  return String(value).replace(/^\[\[|\]\]$/g, '').replace(/^[#@+]/, '').trim().toLowerCase();
+}
+
+// Turn addTags, removeTags and friends, and estimate, into plain field updates
+function expandUpdates(task, updates) {
+  const expanded = { ...updates };
+
+  Object.entries(LIST_CHANGES).forEach(([key, [field, action]]) => {
+    if (expanded[key] === undefined) return;
+
+    const current = asList(expanded[field] !== undefined ? expanded[field] : task[field]);
+    const items = asList(expanded[key]);
+    expanded[field] = action === 'add'
+      ? current.concat(items.filter(item => !current.includes(item)))
+      : current.filter(item => !items.includes(item));
+    delete expanded[key];
+  });
+
+  if (expanded.estimate !== undefined) {
+    expanded.timeEstimate = expanded.estimate;
+    delete expanded.estimate;
+  }
+  return expanded;
+}
+
+function sanitizeFileName(title) {
+  return title.replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim().slice(0, 200) || 'Untitled';
+}
+
+function today() {
+  return format(new Date(), 'yyyy-MM-dd');
+}
+
+/**
+ * Split natural language text into a title and its #tags, @contexts and
+ * +projects (+[[Project Name]] for names with spaces). Dates and other
+ * natural language need the TaskNotes API.
+ */
+function parseTaskText(text) {
+  const tags = [];
+  const contexts = [];
+  const projects = [];
+
+  const title = String(text)
+    .replace(/(^|\s)\+\[\[([^\]]+)\]\]/g, (match, space, name) => {
+      projects.push(`[[${name.trim()}]]`);
+      return space;
+    })
+    .replace(/(^|\s)([#@+])([^\s#@+]+)/g, (match, space, prefix, name) => {
+      if (prefix === '#') tags.push(name);
+      if (prefix === '@') contexts.push(name);
+      if (prefix === '+') projects.push(name);
+      return space;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { title, tags, contexts, projects };
+}
+
+/**
+ * The vault folder for the files backend: the configured vaultPath, or the
+ * only vault with TaskNotes installed that can be found. A named profile
+ * must have its own vaultPath, since the vault found may belong to another.
+ */
+function resolveVaultPath(configured, profile = null) {
+  if (configured) {
+    return expandPath(configured);
+  }
+  if (profile) {
+    throw new Error(`Profile ${profile} has no vault folder. Run "tn --profile ${profile} config --from-vault <path> --save-vault"`);
+  }
+
+  const vaults = findVaults();
+  if (vaults.length === 1) {
+    return vaults[0];
+  }
+  if (vaults.length > 1) {
+    throw new Error(`Found ${vaults.length} vaults with TaskNotes installed. Choose one with "tn config --from-vault <path> --save-vault"`);
+  }
+  throw new Error('No vault folder configured. Run "tn config --from-vault <path> --save-vault" or "tn config --set vaultPath=<path>"');
+}
+
+class FilesBackend {
+  constructor(vaultPath) {
+    this.name = 'files';
+    this.vaultPath = expandPath(vaultPath);
+
+    if (!fs.existsSync(this.vaultPath) || !fs.statSync(this.vaultPath).isDirectory()) {
+      throw new Error(`Vault folder not found: ${this.vaultPath}`);
+    }
+
+    let settings = {};
+    try {
+      settings = readPluginSettings(this.vaultPath).settings;
+    } catch (error) {
+      // Without plugin settings the plugin's defaults apply
+    }
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+
+    const mapping = settings.fieldMapping || {};
+    this.fields = {};
+    Object.entries(MAPPED_FIELDS).forEach(([field, mappingKey]) => {
+      this.fields[field] = mapping[mappingKey] || field;
+    });
+    this.archiveTag = mapping.archiveTag || 'archived';
+
+    this.statuses = Array.isArray(settings.customStatuses) && settings.customStatuses.length > 0
+      ? settings.customStatuses.map(({ value, label, isCompleted }) => ({ value, label: label || value, isCompleted: Boolean(isCompleted) }))
+      : DEFAULT_STATUSES;
+    this.priorities = Array.isArray(settings.customPriorities) && settings.customPriorities.length > 0
+      ? settings.customPriorities.map(({ value, label, weight }) => ({ value, label: label || value, weight }))
+      : DEFAULT_PRIORITIES;
+    this.completedStatuses = this.statuses.filter(status => status.isCompleted).map(status => status.value);
+  }
+
+  async health() {
+    return { status: 'ok', backend: this.name, vault: this.vaultPath };
+  }
+
+  // Notes count as tasks by tag, or by property when the plugin is set up that way
+  isTask(frontmatter) {
+    if (this.settings.taskIdentificationMethod === 'property') {
+      const value = frontmatter[this.settings.taskPropertyName];
+      return value !== undefined && (!this.settings.taskPropertyValue || String(value) === String(this.settings.taskPropertyValue));
+    }
+    return asList(frontmatter.tags).includes(this.settings.taskTag);
+  }
+
+  isCompleted(task) {
+    return this.completedStatuses.includes(task.status);
+  }
+
+  // Absolute path of a task inside the vault; task IDs are vault-relative paths
+  resolvePath(taskId) {
+    const relative = String(taskId).replace(/\\/g, '/').replace(/^\/+/, '');
+    const fullPath = path.resolve(this.vaultPath, relative);
+    if (!fullPath.startsWith(this.vaultPath + path.sep) || !fs.existsSync(fullPath)) {
+      throw new NotFoundError(`Task not found: ${taskId}`);
+    }
+    return fullPath;
+  }
+
+  readNote(fullPath) {
+    try {
+      return parseNote(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${path.relative(this.vaultPath, fullPath)}: ${error.message}`);
+    }
+  }
+
+  toTask(fullPath, { frontmatter, body }) {
+    const relativePath = path.relative(this.vaultPath, fullPath).split(path.sep).join('/');
+    const stat = fs.statSync(fullPath);
+    const tags = asList(frontmatter.tags);
+    const value = field => frontmatter[this.fields[field]];
+
+    const task = {
+      id: relativePath,
+      path: relativePath,
+      title: value('title') ? String(value('title')) : path.basename(fullPath, '.md'),
+      status: value('status') || this.settings.defaultTaskStatus,
+      priority: value('priority') || this.settings.defaultTaskPriority,
+      due: value('due'),
+      scheduled: value('scheduled'),
+      contexts: asList(value('contexts')),
+      projects: asList(value('projects')),
+      tags,
+      archived: tags.includes(this.archiveTag),
+      timeEstimate: value('timeEstimate'),
+      recurrence: value('recurrence'),
+      complete_instances: value('complete_instances') ? asList(value('complete_instances')) : undefined,
+      completedDate: value('completedDate'),
+      timeEntries: value('timeEntries'),
+      dateCreated: value('dateCreated') || stat.birthtime.toISOString(),
+      dateModified: value('dateModified') || stat.mtime.toISOString(),
+      details: body.trim() || undefined
+    };
+
+    Object.keys(task).forEach(key => {
+      if (task[key] === undefined || task[key] === null) delete task[key];
+    });
+    return task;
+  }
+
+  listNoteFiles(dirPath = this.vaultPath) {
+    const files = [];
+    fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+      if (entry.name.startsWith('.') || SKIPPED_FOLDERS.includes(entry.name)) return;
+
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.listNoteFiles(fullPath));
+      } else if (entry.isFile() && entry.name.endsWith('.md')) {
+        files.push(fullPath);
+      }
+    });
+    return files;
+  }
+
+  loadTasks() {
+    const tasks = [];
+    this.listNoteFiles().sort().forEach(fullPath => {
+      let note;
+      try {
+        note = parseNote(fs.readFileSync(fullPath, 'utf8'));
+      } catch (error) {
+        // Notes with broken frontmatter are not tasks we can read
+        return;
+      }
+      if (this.isTask(note.frontmatter)) {
+        tasks.push(this.toTask(fullPath, note));
+      }
+    });
+    return tasks;
+  }
+
+  /**
+   * Supports the /api/tasks query parameters: status, priority, tag,
+   * context, project, completed, archived, due_before, due_after,
+   * scheduled_before, scheduled_after, limit and offset
+   */
+  async listTasks(filters = {}) {
+    const matches = (values, expected) => asList(values).some(item => normalizeName(item) === normalizeName(expected));
+    const checks = {
+      status: (task, value) => task.status === value,
+      priority: (task, value) => task.priority === value,
+      tag: (task, value) => matches(task.tags, value),
+      context: (task, value) => matches(task.contexts, value),
+      project: (task, value) => matches(task.projects, value),
+      completed: (task, value) => this.isCompleted(task) === (String(value) === 'true'),
+      archived: (task, value) => task.archived === (String(value) === 'true'),
+      due_before: (task, value) => Boolean(task.due) && task.due <= value,
+      due_after: (task, value) => Boolean(task.due) && task.due >= value,
+      scheduled_before: (task, value) => Boolean(task.scheduled) && task.scheduled <= value,
+      scheduled_after: (task, value) => Boolean(task.scheduled) && task.scheduled >= value
+    };
+
+    const tasks = this.loadTasks().filter(task => Object.entries(filters).every(([key, value]) => {
+      if (!checks[key] || value === undefined || value === null) return true;
+      return checks[key](task, value);
+    }));
+
+    const offset = parseInt(filters.offset) || 0;
+    const limit = parseInt(filters.limit) || tasks.length;
+    const page = tasks.slice(offset, offset + limit);
+
+    return {
+      tasks: page,
+      total: tasks.length,
+      hasMore: offset + page.length < tasks.length,
+      vault: { name: path.basename(this.vaultPath), path: this.vaultPath }
+    };
+  }
+
+  async queryTasks(filterQuery) {
+    const evaluator = new FilterEvaluator({ completedStatuses: this.completedStatuses });
+    const tasks = evaluator.filter(this.loadTasks(), filterQuery);
+    return { tasks, total: tasks.length };
+  }
+
+  async getTask(taskId) {
+    const fullPath = this.resolvePath(taskId);
+    const note = this.readNote(fullPath);
+    if (!this.isTask(note.frontmatter)) {
+      throw new NotFoundError(`Task not found: ${taskId}`);
+    }
+    return this.toTask(fullPath, note);
+  }
+
+  // Copy task fields onto frontmatter, removing the ones set to an empty value
+  applyUpdates(frontmatter, updates) {
+    // Tags first, so that archived adds to or removes from the new tags
+    const fields = Object.keys(updates).sort((a, b) => (b === 'tags') - (a === 'tags'));
+
+    fields.forEach(field => {
+      const value = updates[field];
+      if (READ_ONLY_FIELDS.includes(field)) return;
+
+      if (field === 'tags' || field === 'archived') {
+        const tags = field === 'tags' ? asList(value) : asList(frontmatter.tags).filter(tag => tag !== this.archiveTag);
+        if (field === 'archived' && value) {
+          tags.push(this.archiveTag);
+        }
+        if (this.settings.taskIdentificationMethod !== 'property' && !tags.includes(this.settings.taskTag)) {
+          tags.unshift(this.settings.taskTag);
+        }
+        frontmatter.tags = tags;
+        return;
+      }
+
+      const property = this.fields[field];
+      if (!property) return;
+
+      if (isBlank(value)) {
+        delete frontmatter[property];
+      } else {
+        frontmatter[property] = LIST_FIELDS.includes(field) ? asList(value) : value;
+      }
+    });
+    frontmatter[this.fields.dateModified] = new Date().toISOString();
+    return frontmatter;
+  }
+
+  uniquePath(folder, name) {
+    let relativePath = path.posix.join(folder, `${name}.md`);
+    for (let n = 2; fs.existsSync(path.join(this.vaultPath, relativePath)); n++) {
+      relativePath = path.posix.join(folder, `${name} ${n}.md`);
+    }
+    return relativePath;
+  }
+
+  async createTaskFromData(taskData) {
+    const title = String(taskData.title || '').trim();
+    if (!title) {
+      throw new Error('Task title is required');
+    }
+
+    const relativePath = this.uniquePath(this.settings.tasksFolder, sanitizeFileName(title));
+    const fullPath = path.join(this.vaultPath, relativePath);
+
+    const frontmatter = { [this.fields.title]: title };
+    if (this.settings.taskIdentificationMethod === 'property') {
+      frontmatter[this.settings.taskPropertyName] = this.settings.taskPropertyValue || true;
+    }
+    this.applyUpdates(frontmatter, {
+      status: this.settings.defaultTaskStatus,
+      priority: this.settings.defaultTaskPriority,
+      tags: [],
+      ...taskData,
+      title
+    });
+    frontmatter[this.fields.dateCreated] = taskData.dateCreated || frontmatter[this.fields.dateModified];
+
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, serializeNote(frontmatter, taskData.details ? `\n${taskData.details.trim()}\n` : ''));
+    return this.getTask(relativePath);
+  }
+
+  // Same shape as /api/nlp/parse
+  async parseText(text) {
+    return { parsed: parseTaskText(text) };
+  }
+
+  async createTask(text) {
+    const parsed = parseTaskText(text);
+    const task = await this.createTaskFromData(parsed);
+    return { task, parsed };
+  }
+
+  async updateTask(taskId, updates) {
+    const fullPath = this.resolvePath(taskId);
+    const note = this.readNote(fullPath);
+    const { frontmatter, body, source } = note;
+    const original = { source, frontmatter: JSON.parse(JSON.stringify(frontmatter)) };
+    const changes = expandUpdates(this.toTask(fullPath, note), updates);
+
+    let newBody = body;
+    if (changes.details !== undefined) {
+      newBody = isBlank(changes.details) ? '' : `\n${String(changes.details).trim()}\n`;
+    }
+
+    fs.writeFileSync(fullPath, serializeNote(this.applyUpdates(frontmatter, changes), newBody, source === undefined ? null : original));
+    return this.getTask(taskId);
+  }
+
+  async deleteTask(taskId) {
+    const task = await this.getTask(taskId);
+    fs.unlinkSync(this.resolvePath(taskId));
+    return { deleted: true, path: task.path };
+  }
+
+  // Completed tasks go back to the default status, others to the first completed status
+  async toggleTaskStatus(taskId) {
+    const task = await this.getTask(taskId);
+    if (this.isCompleted(task)) {
+      return this.updateTask(taskId, { status: this.settings.defaultTaskStatus, completedDate: null });
+    }
+    return this.updateTask(taskId, { status: this.completedStatuses[0] || 'done', completedDate: today() });
+  }
+
+  async toggleArchive(taskId) {
+    const task = await this.getTask(taskId);
+    return this.updateTask(taskId, { archived: !task.archived });
+  }
+
+  async completeRecurringInstance(taskId, instanceDate) {
+    const task = await this.getTask(taskId);
+    const date = instanceDate || today();
+    const instances = asList(task.complete_instances);
+    const updated = instances.includes(date) ? instances.filter(item => item !== date) : [...instances, date];
+    return this.updateTask(taskId, { complete_instances: updated });
+  }
+
+  async getFilterOptions() {
+    const tasks = this.loadTasks();
+    const collect = field => Array.from(new Set(tasks.flatMap(task => asList(task[field])))).sort();
+
+    return {
+      statuses: this.statuses,
+      priorities: this.priorities,
+      tags: collect('tags'),
+      contexts: collect('contexts'),
+      projects: collect('projects')
+    };
+  }
+
+  async getStats() {
+    const tasks = this.loadTasks();
+    const active = tasks.filter(task => !task.archived && !this.isCompleted(task));
+
+    return {
+      total: tasks.length,
+      completed: tasks.filter(task => this.isCompleted(task)).length,
+      active: active.length,
+      overdue: active.filter(task => task.due && task.due.slice(0, 10) < today()).length,
+      archived: tasks.filter(task => task.archived).length,
+      withTimeTracking: tasks.filter(task => Array.isArray(task.timeEntries) && task.timeEntries.length > 0).length
+    };
+  }
+}
+
+module.exports = {
+  FilesBackend,
+  resolveVaultPath,
+  parseTaskText,
+  parseNote,
+  serializeNote
+};
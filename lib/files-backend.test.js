@@ -0,0 +1,227 @@
+/**
+ * Tests for the vault-file backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FilterParser = require('./filter-parser');
+const { FilesBackend, parseTaskText, parseNote } = require('./files-backend');
+
+describe('FilesBackend', () => {
+  let vault;
+  let backend;
+
+  const writeNote = (relative, content) => {
+    const fullPath = path.join(vault, relative);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  const readNote = relative => parseNote(fs.readFileSync(path.join(vault, relative), 'utf8'));
+
+  beforeEach(() => {
+    vault = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-files-'));
+    fs.mkdirSync(path.join(vault, '.obsidian'));
+
+    writeNote('TaskNotes/Tasks/Write newsletter.md', [
+      '---',
+      'title: Write newsletter',
+      'status: in-progress',
+      'priority: high',
+      'due: 2025-08-20',
+      'tags: [task, writing]',
+      'contexts: [office]',
+      'projects: ["[[Newsletter]]"]',
+      'timeEstimate: 90',
+      '---',
+      '',
+      'Draft the August issue',
+      ''
+    ].join('\n'));
+    writeNote('TaskNotes/Tasks/Buy groceries.md', '---\ntags:\n  - task\n  - archived\nstatus: done\n---\n');
+    writeNote('Notes/Meeting.md', '---\ntags: [meeting]\n---\nNot a task\n');
+
+    backend = new FilesBackend(vault);
+  });
+
+  afterEach(() => {
+    fs.rmSync(vault, { recursive: true, force: true });
+  });
+
+  describe('reading tasks', () => {
+    it('should return tasks with the API field names', async () => {
+      const task = await backend.getTask('TaskNotes/Tasks/Write newsletter.md');
+
+      expect(task).toMatchObject({
+        id: 'TaskNotes/Tasks/Write newsletter.md',
+        path: 'TaskNotes/Tasks/Write newsletter.md',
+        title: 'Write newsletter',
+        status: 'in-progress',
+        priority: 'high',
+        due: '2025-08-20',
+        tags: ['task', 'writing'],
+        contexts: ['office'],
+        projects: ['[[Newsletter]]'],
+        timeEstimate: 90,
+        archived: false,
+        details: 'Draft the August issue'
+      });
+      expect(task.dateModified).toEqual(expect.any(String));
+    });
+
+    it('should fall back to the file name and default status and priority', async () => {
+      const task = await backend.getTask('TaskNotes/Tasks/Buy groceries.md');
+      expect(task).toMatchObject({ title: 'Buy groceries', status: 'done', priority: 'normal', archived: true });
+    });
+
+    it('should only treat notes with the task tag as tasks', async () => {
+      await expect(backend.getTask('Notes/Meeting.md')).rejects.toThrow('Task not found: Notes/Meeting.md');
+      await expect(backend.getTask('../outside.md')).rejects.toThrow('Task not found');
+    });
+
+    it('should apply the list filters', async () => {
+      expect((await backend.listTasks()).total).toBe(2);
+      expect((await backend.listTasks({ completed: 'false' })).tasks.map(task => task.title)).toEqual(['Write newsletter']);
+      expect((await backend.listTasks({ archived: 'true' })).tasks.map(task => task.title)).toEqual(['Buy groceries']);
+      expect((await backend.listTasks({ project: 'Newsletter', due_before: '2025-09-01' })).total).toBe(1);
+      expect((await backend.listTasks({ limit: 1 })).hasMore).toBe(true);
+    });
+
+    it('should evaluate filter queries', async () => {
+      const query = new FilterParser().parse('priority:high AND tags:writing');
+      const result = await backend.queryTasks(query);
+      expect(result.tasks.map(task => task.title)).toEqual(['Write newsletter']);
+    });
+
+    it('should collect filter options from the tasks', async () => {
+      const options = await backend.getFilterOptions();
+      expect(options.tags).toEqual(['archived', 'task', 'writing']);
+      expect(options.statuses.find(status => status.isCompleted).value).toBe('done');
+    });
+  });
+
+  describe('writing tasks', () => {
+    it('should create a note in the tasks folder', async () => {
+      const task = await backend.createTaskFromData({ title: 'Call: dentist?', due: '2025-09-01', tags: ['health'], details: 'Ask about Friday' });
+
+      expect(task.path).toBe('TaskNotes/Tasks/Call dentist.md');
+      const { frontmatter, body } = readNote(task.path);
+      expect(frontmatter).toMatchObject({ title: 'Call: dentist?', status: 'open', priority: 'normal', due: '2025-09-01', tags: ['task', 'health'] });
+      expect(body.trim()).toBe('Ask about Friday');
+
+      const second = await backend.createTaskFromData({ title: 'Call: dentist?' });
+      expect(second.path).toBe('TaskNotes/Tasks/Call dentist 2.md');
+    });
+
+    it('should create tasks from text with tags, contexts and projects', async () => {
+      const { task, parsed } = await backend.createTask('Buy milk #errand @shop +[[Home Stuff]]');
+      expect(parsed).toEqual({ title: 'Buy milk', tags: ['errand'], contexts: ['shop'], projects: ['[[Home Stuff]]'] });
+      expect(task).toMatchObject({ title: 'Buy milk', tags: ['task', 'errand'], contexts: ['shop'] });
+      expect(await backend.parseText('Buy milk #errand')).toEqual({ parsed: { title: 'Buy milk', tags: ['errand'], contexts: [], projects: [] } });
+    });
+
+    it('should update fields, keep the rest and remove emptied ones', async () => {
+      const updated = await backend.updateTask('TaskNotes/Tasks/Write newsletter.md', {
+        priority: 'low',
+        due: null,
+        addTags: ['urgent'],
+        removeContexts: ['office']
+      });
+
+      expect(updated).toMatchObject({ priority: 'low', tags: ['task', 'writing', 'urgent'], contexts: [], details: 'Draft the August issue' });
+      expect(updated.due).toBeUndefined();
+      expect(readNote(updated.path).frontmatter).not.toHaveProperty('contexts');
+    });
+
+    it('should only rewrite the frontmatter keys that changed', async () => {
+      writeNote('TaskNotes/Tasks/Commented.md', [
+        '---',
+        '# Planning notes',
+        "title: 'Plan trip'",
+        'status: open   # set by hand',
+        'tags:',
+        '  - task',
+        'description: |',
+        '  First line',
+        '',
+        '  Second line',
+        'dateModified: 2025-08-01T10:00:00.000Z',
+        '---',
+        'Body',
+        ''
+      ].join('\n'));
+
+      await backend.updateTask('TaskNotes/Tasks/Commented.md', { status: 'done', due: '2025-09-01' });
+
+      const content = fs.readFileSync(path.join(vault, 'TaskNotes/Tasks/Commented.md'), 'utf8');
+      const lines = content.split('\n');
+      expect(lines.slice(0, 10)).toEqual([
+        '---',
+        '# Planning notes',
+        "title: 'Plan trip'",
+        'status: done',
+        'tags:',
+        '  - task',
+        'description: |',
+        '  First line',
+        '',
+        '  Second line'
+      ]);
+      expect(lines[10]).toMatch(/^dateModified: /);
+      expect(lines.slice(11)).toEqual(['due: 2025-09-01', '---', 'Body', '']);
+      expect(readNote('TaskNotes/Tasks/Commented.md').frontmatter).toMatchObject({ status: 'done', due: '2025-09-01', description: 'First line\n\nSecond line\n' });
+    });
+
+    it('should toggle status, archive state and delete', async () => {
+      const id = 'TaskNotes/Tasks/Write newsletter.md';
+
+      const done = await backend.toggleTaskStatus(id);
+      expect(done.status).toBe('done');
+      expect(done.completedDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+      const reopened = await backend.toggleTaskStatus(id);
+      expect(reopened.status).toBe('open');
+      expect(reopened.completedDate).toBeUndefined();
+
+      expect((await backend.toggleArchive(id)).tags).toEqual(['task', 'writing', 'archived']);
+      expect((await backend.toggleArchive(id)).archived).toBe(false);
+
+      await backend.deleteTask(id);
+      expect(fs.existsSync(path.join(vault, id))).toBe(false);
+    });
+  });
+
+  describe('plugin settings', () => {
+    it('should follow the folder, field mapping and statuses of the plugin', async () => {
+      const pluginDir = path.join(vault, '.obsidian', 'plugins', 'tasknotes');
+      fs.mkdirSync(pluginDir, { recursive: true });
+      fs.writeFileSync(path.join(pluginDir, 'data.json'), JSON.stringify({
+        tasksFolder: 'Inbox',
+        taskTag: 'todo',
+        defaultTaskStatus: 'backlog',
+        fieldMapping: { due: 'deadline', archiveTag: 'old' },
+        customStatuses: [
+          { value: 'backlog', label: 'Backlog', isCompleted: false },
+          { value: 'shipped', label: 'Shipped', isCompleted: true }
+        ]
+      }));
+      backend = new FilesBackend(vault);
+
+      const task = await backend.createTaskFromData({ title: 'Plan launch', due: '2025-10-01' });
+      expect(task.path).toBe('Inbox/Plan launch.md');
+      expect(readNote(task.path).frontmatter).toMatchObject({ deadline: '2025-10-01', status: 'backlog', tags: ['todo'] });
+      expect((await backend.toggleTaskStatus(task.path)).status).toBe('shipped');
+      expect((await backend.toggleArchive(task.path)).tags).toContain('old');
+
+      // Notes tagged with the default "task" tag no longer count
+      expect((await backend.listTasks()).tasks.map(item => item.title)).toEqual(['Plan launch']);
+    });
+  });
+
+  describe('parseTaskText', () => {
+    it('should leave text without markers as the title', () => {
+      expect(parseTaskText('Email C++ team')).toEqual({ title: 'Email C++ team', tags: [], contexts: [], projects: [] });
+    });
+  });
+});
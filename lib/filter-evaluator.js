@@ -0,0 +1,179 @@
+/**
+ * Client-side evaluator for TaskNotes FilterQuery objects
+ * Applies the queries produced by FilterParser to task objects in memory,
+ * using the same operator semantics as the /api/tasks/query endpoint.
+ *
+ * Usage:
+ *   const query = new FilterParser().parse('priority:high AND NOT tags:waiting');
+ *   const matching = new FilterEvaluator({ completedStatuses }).filter(tasks, query);
+ */
+
+const { parseISO, isValid, format } = require('date-fns');
+
+class FilterEvaluator {
+  constructor(options = {}) {
+    // Statuses counted as completed for status.isCompleted; callers pass the
+    // vault's from api.getCompletedStatuses() (/api/filter-options)
+    this.completedStatuses = options.completedStatuses || ['done', 'completed'];
+
+    // Filter properties that are stored under a different field on task objects
+    this.propertyFields = {
+      'file.ctime': 'dateCreated',
+      'file.mtime': 'dateModified'
+    };
+
+    this.operators = {
+      'is': (actual, expected) => this.isEqual(actual, expected),
+      'is-not': (actual, expected) => !this.isEqual(actual, expected),
+      'contains': (actual, expected) => this.contains(actual, expected),
+      'does-not-contain': (actual, expected) => !this.contains(actual, expected),
+      'is-before': (actual, expected) => this.compareDates(actual, expected, diff => diff < 0),
+      'is-after': (actual, expected) => this.compareDates(actual, expected, diff => diff > 0),
+      'is-on-or-before': (actual, expected) => this.compareDates(actual, expected, diff => diff <= 0),
+      'is-on-or-after': (actual, expected) => this.compareDates(actual, expected, diff => diff >= 0),
+      'is-empty': (actual) => this.isEmpty(actual),
+      'is-not-empty': (actual) => !this.isEmpty(actual),
+      'is-checked': (actual) => actual === true || actual === 'true',
+      'is-not-checked': (actual) => !(actual === true || actual === 'true'),
+      'is-greater-than': (actual, expected) => this.compareNumbers(actual, expected, diff => diff > 0),
+      'is-less-than': (actual, expected) => this.compareNumbers(actual, expected, diff => diff < 0)
+    };
+  }
+
+  /**
+   * Return the tasks that match a FilterQuery
+   */
+  filter(tasks, query) {
+    return tasks.filter(task => this.matches(task, query));
+  }
+
+  /**
+   * Check whether a single task matches a query node (group, condition or not)
+   */
+  matches(task, node) {
+    if (node.type === 'not') {
+      return !this.matches(task, node.child);
+    }
+
+    if (node.type === 'group') {
+      if (!node.children || node.children.length === 0) {
+        return true;
+      }
+      return node.conjunction === 'or'
+        ? node.children.some(child => this.matches(task, child))
+        : node.children.every(child => this.matches(task, child));
+    }
+
+    if (node.type === 'condition') {
+      const evaluate = this.operators[node.operator];
+      if (!evaluate) {
+        throw new Error(`Unknown operator: ${node.operator}`);
+      }
+      return evaluate(this.getValue(task, node.property), node.value);
+    }
+
+    throw new Error(`Unknown filter node type: ${node.type}`);
+  }
+
+  getValue(task, property) {
+    if (property === 'status.isCompleted') {
+      return this.completedStatuses.includes(task.status);
+    }
+
+    const field = this.propertyFields[property] || property;
+    if (field === 'timeEstimate') {
+      return task.timeEstimate !== undefined ? task.timeEstimate : task.estimate;
+    }
+    return task[field];
+  }
+
+  isEmpty(actual) {
+    if (Array.isArray(actual)) {
+      return actual.filter(item => !this.isEmpty(item)).length === 0;
+    }
+    return actual === undefined || actual === null || actual === '';
+  }
+
+  // Strip wikilink brackets and tag/context/project prefixes so that
+  // "[[Newsletter Project]]" matches "Newsletter Project" and "#work" matches "work"
+  normalize(value) {
+    return String(value)
+      .replace(/^\[\[|\]\]$/g, '')
+      .replace(/^[#@+]/, '')
+      .trim()
+      .toLowerCase();
+  }
+
+  isEqual(actual, expected) {
+    if (Array.isArray(actual)) {
+      return actual.some(item => !this.isEmpty(item) && this.isEqual(item, expected));
+    }
+    if (this.isEmpty(actual)) {
+      return this.isEmpty(expected);
+    }
+    if (typeof actual === 'number' || typeof expected === 'number') {
+      return Number(actual) === Number(expected);
+    }
+
+    const actualDate = this.toDay(actual);
+    const expectedDate = this.toDay(expected);
+    if (actualDate && expectedDate) {
+      return actualDate === expectedDate;
+    }
+
+    return this.normalize(actual) === this.normalize(expected);
+  }
+
+  contains(actual, expected) {
+    if (this.isEmpty(actual)) {
+      return false;
+    }
+    // Array properties (tags, contexts, projects) contain a value when one item equals it
+    if (Array.isArray(actual)) {
+      return actual.some(item => !this.isEmpty(item) && this.normalize(item) === this.normalize(expected));
+    }
+    return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+  }
+
+  // Date-only values (yyyy-MM-dd) compare by day, anything with a time compares exactly
+  compareDates(actual, expected, predicate) {
+    if (this.isEmpty(actual) || this.isEmpty(expected)) {
+      return false;
+    }
+
+    const actualDate = parseISO(String(actual));
+    const expectedDate = parseISO(String(expected));
+    if (!isValid(actualDate) || !isValid(expectedDate)) {
+      return false;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(expected))) {
+      const actualDay = format(actualDate, 'yyyy-MM-dd');
+      return predicate(actualDay.localeCompare(String(expected)));
+    }
+    return predicate(actualDate.getTime() - expectedDate.getTime());
+  }
+
+  compareNumbers(actual, expected, predicate) {
+    if (this.isEmpty(actual) || this.isEmpty(expected)) {
+      return false;
+    }
+
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    if (isNaN(actualNumber) || isNaN(expectedNumber)) {
+      return false;
+    }
+    return predicate(actualNumber - expectedNumber);
+  }
+
+  toDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return null;
+    }
+    const date = parseISO(value);
+    return isValid(date) ? format(date, 'yyyy-MM-dd') : null;
+  }
+}
+
+module.exports = FilterEvaluator;
@@ -0,0 +1,110 @@
+/**
+ * Tests for FilterEvaluator
+ */
+
+const FilterParser = require('./filter-parser');
+const FilterEvaluator = require('./filter-evaluator');
+
+describe('FilterEvaluator', () => {
+  let parser;
+  let evaluator;
+
+  const tasks = [
+    {
+      path: 'Tasks/Write newsletter.md',
+      title: 'Write newsletter',
+      status: 'in-progress',
+      priority: 'high',
+      tags: ['writing'],
+      contexts: ['energy-high'],
+      projects: ['[[Newsletter Project]]'],
+      due: '2025-08-20',
+      timeEstimate: 90,
+      archived: false
+    },
+    {
+      path: 'Tasks/Buy groceries.md',
+      title: 'Buy groceries',
+      status: 'open',
+      priority: 'low',
+      tags: ['errand', 'waiting'],
+      contexts: [],
+      projects: [],
+      scheduled: '2025-08-18T09:00',
+      archived: false
+    },
+    {
+      path: 'Tasks/File taxes.md',
+      title: 'File taxes',
+      status: 'done',
+      priority: 'high',
+      tags: [],
+      due: '2025-04-15',
+      timeEstimate: 30,
+      archived: true
+    }
+  ];
+
+  const titles = (expression) =>
+    evaluator.filter(tasks, parser.parse(expression)).map(task => task.title);
+
+  beforeEach(() => {
+    parser = new FilterParser();
+    evaluator = new FilterEvaluator();
+  });
+
+  it('should match select properties by equality', () => {
+    expect(titles('priority:high')).toEqual(['Write newsletter', 'File taxes']);
+    expect(titles('status:is-not:done')).toEqual(['Write newsletter', 'Buy groceries']);
+  });
+
+  it('should match array items for contains', () => {
+    expect(titles('tags:waiting')).toEqual(['Buy groceries']);
+    expect(titles("project:'Newsletter Project'")).toEqual(['Write newsletter']);
+  });
+
+  it('should match text case-insensitively', () => {
+    expect(titles('title:contains:NEWS')).toEqual(['Write newsletter']);
+  });
+
+  it('should compare dates by day', () => {
+    expect(titles('due:before:2025-08-20')).toEqual(['File taxes']);
+    expect(titles('due:on-or-before:2025-08-20')).toEqual(['Write newsletter', 'File taxes']);
+    expect(titles('scheduled:2025-08-18')).toEqual(['Buy groceries']);
+  });
+
+  it('should compare numbers and treat missing values as non-matching', () => {
+    expect(titles('estimate:greater-than:60')).toEqual(['Write newsletter']);
+    expect(titles('estimate:less-than:60')).toEqual(['File taxes']);
+  });
+
+  it('should handle empty and boolean operators', () => {
+    const dueIsEmpty = { type: 'condition', property: 'due', operator: 'is-empty', value: null };
+    expect(evaluator.filter(tasks, dueIsEmpty).map(task => task.title)).toEqual(['Buy groceries']);
+    expect(titles('archived:true')).toEqual(['File taxes']);
+    expect(titles('archived:false')).toEqual(['Write newsletter', 'Buy groceries']);
+  });
+
+  it('should evaluate status.isCompleted from the completed statuses', () => {
+    expect(titles('status.isCompleted:true')).toEqual(['File taxes']);
+
+    evaluator = new FilterEvaluator({ completedStatuses: ['open'] });
+    expect(titles('status.isCompleted:true')).toEqual(['Buy groceries']);
+  });
+
+  it('should evaluate AND, OR and nested groups', () => {
+    expect(titles('priority:high AND archived:false')).toEqual(['Write newsletter']);
+    expect(titles('(tags:waiting OR due:before:2025-05-01) AND archived:true')).toEqual(['File taxes']);
+  });
+
+  it('should give negations the same meaning as the rewritten query', () => {
+    expect(titles('NOT tags:waiting')).toEqual(['Write newsletter', 'File taxes']);
+    expect(titles('NOT due:before:2025-08-20')).toEqual(['Write newsletter', 'Buy groceries']);
+    expect(titles('-(priority:high OR archived:true)')).toEqual(['Buy groceries']);
+  });
+
+  it('should evaluate unresolved not nodes', () => {
+    const node = { type: 'not', child: parser.parse('priority:low') };
+    expect(evaluator.filter(tasks, node).map(task => task.title)).toEqual(['Write newsletter', 'File taxes']);
+  });
+});
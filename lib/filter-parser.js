@@ -8,8 +8,20 @@
  * - (due:before:2025-08-20 OR tags:urgent) AND priority:high
  * - title:contains:"meeting notes"
  * - timeEstimate:greater-than:60
+ * - NOT tags:waiting
+ * - -(status:done OR archived:true)
+ * - due:on-or-before:+3d
+ * - scheduled:after:"next friday"
  */
 
+const {
+  format, startOfDay, addDays, addWeeks, addMonths, addYears,
+  startOfWeek, endOfWeek, startOfMonth, endOfMonth, startOfYear, endOfYear,
+  nextDay, previousDay
+} = require('date-fns');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 class FilterParser {
   constructor() {
     // Property aliases for user-friendly syntax
@@ -64,6 +76,50 @@ class FilterParser {
       'is-empty', 'is-not-empty', 'is-checked', 'is-not-checked',
       'is-greater-than', 'is-less-than'
     ];
+
+    // Operator pairs that are exact logical complements of each other
+    this.negatedOperators = {
+      'is': 'is-not',
+      'is-not': 'is',
+      'contains': 'does-not-contain',
+      'does-not-contain': 'contains',
+      'is-empty': 'is-not-empty',
+      'is-not-empty': 'is-empty',
+      'is-checked': 'is-not-checked',
+      'is-not-checked': 'is-checked'
+    };
+
+    // Comparison operators have no single complement in the FilterQuery format.
+    // NOT a < b becomes (a >= b OR a is empty), since the backend treats
+    // comparisons against a missing value as false.
+    this.negatedComparisons = {
+      'is-before': ['is-on-or-after'],
+      'is-after': ['is-on-or-before'],
+      'is-on-or-before': ['is-after'],
+      'is-on-or-after': ['is-before'],
+      'is-greater-than': ['is-less-than', 'is'],
+      'is-less-than': ['is-greater-than', 'is']
+    };
+
+    // Named relative dates, resolved against the start of the current day
+    this.relativeDates = {
+      'today': (day) => day,
+      'tomorrow': (day) => addDays(day, 1),
+      'yesterday': (day) => addDays(day, -1),
+      'start-of-week': (day) => startOfWeek(day, { weekStartsOn: 1 }),
+      'end-of-week': (day) => endOfWeek(day, { weekStartsOn: 1 }),
+      'start-of-month': (day) => startOfMonth(day),
+      'end-of-month': (day) => endOfMonth(day),
+      'start-of-year': (day) => startOfYear(day),
+      'end-of-year': (day) => endOfYear(day)
+    };
+
+    this.relativeOffsets = {
+      'd': addDays,
+      'w': addWeeks,
+      'm': addMonths,
+      'y': addYears
+    };
   }
 
   /**
@@ -77,6 +133,11 @@ class FilterParser {
     try {
       const tokens = this.tokenize(expression);
       const ast = this.parseExpression(tokens);
+      
+      if (tokens.length > 0) {
+        throw new Error(`Unexpected token: ${tokens[0].value}`);
+      }
+      
       return this.astToFilterQuery(ast);
     } catch (error) {
       throw new Error(`Filter parsing error: ${error.message}`);
@@ -92,6 +153,7 @@ class FilterParser {
     
     while (i < expression.length) {
       const char = expression[i];
+      const afterColon = tokens.length > 0 && tokens[tokens.length - 1].type === 'COLON';
       
       // Skip whitespace
       if (/\s/.test(char)) {
@@ -131,17 +193,32 @@ class FilterParser {
         continue;
       }
       
-      // Handle words (identifiers, operators, values)
-      if (/[a-zA-Z0-9_.-]/.test(char)) {
-        let value = '';
+      // Handle "-" negation prefix (e.g. -tags:waiting or -(a OR b)).
+      // Inside a condition the dash belongs to the value, as in due:before:-1w
+      if (char === '-' && !afterColon && /[a-zA-Z(]/.test(expression[i + 1] || '')) {
+        tokens.push({ type: 'NOT', value: 'not' });
+        i++;
+        continue;
+      }
+      
+      // Handle words (identifiers, operators, values).
+      // Values may start with "+" for relative dates such as due:before:+3d
+      if (/[a-zA-Z0-9_.-]/.test(char) || (char === '+' && afterColon)) {
+        let value = char;
+        i++;
         while (i < expression.length && /[a-zA-Z0-9_.-]/.test(expression[i])) {
           value += expression[i];
           i++;
         }
         
         const upperValue = value.toUpperCase();
-        if (upperValue === 'AND' || upperValue === 'OR') {
+        if (afterColon) {
+          // Keywords are plain values when they follow a colon (title:contains:not)
+          tokens.push({ type: 'IDENTIFIER', value });
+        } else if (upperValue === 'AND' || upperValue === 'OR') {
           tokens.push({ type: 'LOGICAL', value: upperValue.toLowerCase() });
+        } else if (upperValue === 'NOT') {
+          tokens.push({ type: 'NOT', value: 'not' });
         } else {
           tokens.push({ type: 'IDENTIFIER', value });
         }
@@ -190,14 +267,14 @@ class FilterParser {
   }
 
   parseAndExpression(tokens) {
-    let left = this.parsePrimaryExpression(tokens);
+    let left = this.parseNotExpression(tokens);
 
     // Collect all AND conditions into a flat array
     const children = [left];
 
     while (tokens.length > 0 && tokens[0].type === 'LOGICAL' && tokens[0].value === 'and') {
       tokens.shift(); // consume AND
-      const right = this.parsePrimaryExpression(tokens);
+      const right = this.parseNotExpression(tokens);
       children.push(right);
     }
 
@@ -210,6 +287,21 @@ class FilterParser {
     return { type: 'group', conjunction: 'and', children };
   }
 
+  parseNotExpression(tokens) {
+    if (tokens.length > 0 && tokens[0].type === 'NOT') {
+      tokens.shift(); // consume NOT / -
+      const operand = this.parseNotExpression(tokens);
+
+      // NOT NOT x is just x
+      if (operand.type === 'not') {
+        return operand.child;
+      }
+      return { type: 'not', child: operand };
+    }
+
+    return this.parsePrimaryExpression(tokens);
+  }
+
   parsePrimaryExpression(tokens) {
     if (tokens.length === 0) {
       throw new Error('Unexpected end of expression');
@@ -321,17 +413,115 @@ class FilterParser {
       }
     } else if (propertyType === 'boolean') {
       convertedValue = null; // Boolean operators don't use values
+    } else if (propertyType === 'date' && value !== null) {
+      convertedValue = this.resolveDateValue(value);
     }
     
     return {
       type: 'condition',
-      id: `cond_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: this.generateId('cond'),
       property: resolvedProperty,
       operator: resolvedOperator,
       value: convertedValue
     };
   }
 
+  /**
+   * Resolve relative date values (today, +3d, end-of-month, next friday, ...)
+   * to a concrete yyyy-MM-dd date. Anything else is returned unchanged, so
+   * literal ISO dates pass straight through to the API.
+   */
+  resolveDateValue(value, referenceDate = new Date()) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const normalized = value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+    const day = startOfDay(referenceDate);
+    let resolved = null;
+
+    if (this.relativeDates[normalized]) {
+      resolved = this.relativeDates[normalized](day);
+    }
+
+    const offsetMatch = normalized.match(/^([+-])(\d+)([dwmy])$/);
+    if (offsetMatch) {
+      const amount = parseInt(offsetMatch[2]) * (offsetMatch[1] === '-' ? -1 : 1);
+      resolved = this.relativeOffsets[offsetMatch[3]](day, amount);
+    }
+
+    // "friday" and "next friday" mean the next one after today, "last friday" the previous one
+    const weekdayMatch = normalized.match(/^(?:(next|last)-)?([a-z]+)$/);
+    if (weekdayMatch && WEEKDAYS.includes(weekdayMatch[2])) {
+      const weekday = WEEKDAYS.indexOf(weekdayMatch[2]);
+      resolved = weekdayMatch[1] === 'last' ? previousDay(day, weekday) : nextDay(day, weekday);
+    }
+
+    return resolved ? format(resolved, 'yyyy-MM-dd') : value;
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Remove 'not' nodes from the AST. The FilterQuery format has no negation,
+   * so negated conditions get the complementary operator and negated groups
+   * are rewritten with De Morgan's laws.
+   */
+  resolveNegations(node, negate = false) {
+    if (node.type === 'not') {
+      return this.resolveNegations(node.child, !negate);
+    }
+
+    if (node.type === 'condition') {
+      return negate ? this.negateCondition(node) : node;
+    }
+
+    const conjunction = negate
+      ? (node.conjunction === 'and' ? 'or' : 'and')
+      : node.conjunction;
+    const children = [];
+
+    node.children.forEach(child => {
+      const resolved = this.resolveNegations(child, negate);
+      // Keep groups flat when a child ends up with the same conjunction as its parent
+      if (resolved.type === 'group' && resolved.conjunction === conjunction) {
+        children.push(...resolved.children);
+      } else {
+        children.push(resolved);
+      }
+    });
+
+    return { ...node, conjunction, children };
+  }
+
+  negateCondition(condition) {
+    const inverse = this.negatedOperators[condition.operator];
+    if (inverse) {
+      return { ...condition, id: this.generateId('cond'), operator: inverse };
+    }
+
+    const alternatives = this.negatedComparisons[condition.operator];
+    if (!alternatives) {
+      throw new Error(`Operator cannot be negated: ${condition.operator}`);
+    }
+
+    const children = alternatives.map(operator => ({
+      ...condition,
+      id: this.generateId('cond'),
+      operator
+    }));
+    children.push({
+      ...condition,
+      id: this.generateId('cond'),
+      operator: 'is-empty',
+      value: null
+    });
+
+    return { type: 'group', id: this.generateId('group'), conjunction: 'or', children };
+  }
+
   astToFilterQuery(ast) {
     const query = {
       type: 'group',
@@ -340,6 +530,8 @@ class FilterParser {
       children: []
     };
     
+    ast = this.resolveNegations(ast);
+    
     if (ast.type === 'condition') {
       query.children = [ast];
     } else if (ast.type === 'group') {
@@ -374,11 +566,22 @@ Operators:
   Boolean: checked, not-checked
   
 Logical operators:
-  AND, OR
+  AND, OR, NOT
+  
+Negation:
+  NOT condition or -condition  - Negate a single condition
+  NOT (...) or -(...)          - Negate a parenthesized group
   
 Grouping:
   Use parentheses: (condition1 OR condition2) AND condition3
   
+Relative dates (for due, scheduled, completed, created, modified):
+  today, tomorrow, yesterday
+  +3d, -1w, +2m, +1y           - Offset from today in days/weeks/months/years
+  start-of-week, end-of-week   - Weeks start on Monday
+  start-of-month, end-of-month, start-of-year, end-of-year
+  friday, "next friday", "last monday"
+  
 Examples:
   priority:high
   status:in-progress AND tags:urgent
@@ -386,6 +589,10 @@ Examples:
   title:contains:"meeting notes"
   estimate:greater-than:60
   archived:not-checked AND status:not:done
+  status:in-progress AND NOT tags:waiting
+  -(status:done OR archived:true)
+  due:on-or-before:+7d AND NOT status:done
+  scheduled:before:"next friday"
     `.trim();
   }
 }
@@ -160,4 +160,133 @@ describe('FilterParser', () => {
       expect(result.children[1].type).toBe('condition');
     });
   });
+
+  describe('NOT operator and negated conditions', () => {
+    it('should negate a single condition with NOT', () => {
+      const result = parser.parse('NOT tags:waiting');
+
+      expect(result.children).toHaveLength(1);
+      expect(result.children[0].property).toBe('tags');
+      expect(result.children[0].operator).toBe('does-not-contain');
+      expect(result.children[0].value).toBe('waiting');
+    });
+
+    it('should treat a leading dash as NOT', () => {
+      const result = parser.parse('status:in-progress AND -priority:low');
+
+      expect(result.conjunction).toBe('and');
+      expect(result.children).toHaveLength(2);
+      expect(result.children[1].property).toBe('priority');
+      expect(result.children[1].operator).toBe('is-not');
+    });
+
+    it('should keep dashes inside values', () => {
+      const result = parser.parse('status:in-progress');
+
+      expect(result.children[0].operator).toBe('is');
+      expect(result.children[0].value).toBe('in-progress');
+    });
+
+    it('should treat NOT as a value after a colon', () => {
+      const result = parser.parse('title:contains:not');
+
+      expect(result.children[0].operator).toBe('contains');
+      expect(result.children[0].value).toBe('not');
+    });
+
+    it('should cancel out double negation', () => {
+      const result = parser.parse('NOT NOT priority:high');
+
+      expect(result.children[0].operator).toBe('is');
+    });
+
+    it('should apply De Morgan to a negated group', () => {
+      const result = parser.parse('NOT (status:done OR archived:true)');
+
+      expect(result.conjunction).toBe('and');
+      expect(result.children).toHaveLength(2);
+      expect(result.children[0].operator).toBe('is-not');
+      expect(result.children[1].operator).toBe('is-not-checked');
+    });
+
+    it('should keep the parent group flat after a De Morgan rewrite', () => {
+      const result = parser.parse('priority:high AND -(tags:waiting OR tags:someday)');
+
+      expect(result.conjunction).toBe('and');
+      expect(result.children).toHaveLength(3);
+      result.children.forEach((child) => {
+        expect(child.type).toBe('condition');
+      });
+    });
+
+    it('should negate date comparisons to include tasks without a value', () => {
+      const result = parser.parse('priority:high AND NOT due:before:2025-08-20');
+      const group = result.children[1];
+
+      expect(group.type).toBe('group');
+      expect(group.conjunction).toBe('or');
+      expect(group.children.map(c => c.operator)).toEqual(['is-on-or-after', 'is-empty']);
+    });
+
+    it('should negate numeric comparisons', () => {
+      const result = parser.parse('NOT estimate:greater-than:60');
+
+      expect(result.conjunction).toBe('or');
+      expect(result.children.map(c => c.operator)).toEqual(['is-less-than', 'is', 'is-empty']);
+      expect(result.children[0].value).toBe(60);
+    });
+
+    it('should reject trailing tokens', () => {
+      expect(() => parser.parse('priority:high tags:work')).toThrow('Unexpected token');
+    });
+  });
+
+  describe('relative dates in filter values', () => {
+    // Wednesday
+    const reference = new Date(2025, 7, 20, 15, 30);
+
+    it.each([
+      ['today', '2025-08-20'],
+      ['tomorrow', '2025-08-21'],
+      ['yesterday', '2025-08-19'],
+      ['+3d', '2025-08-23'],
+      ['-1w', '2025-08-13'],
+      ['+1m', '2025-09-20'],
+      ['start-of-week', '2025-08-18'],
+      ['end-of-week', '2025-08-24'],
+      ['start-of-month', '2025-08-01'],
+      ['end-of-month', '2025-08-31'],
+      ['next friday', '2025-08-22'],
+      ['friday', '2025-08-22'],
+      ['next wednesday', '2025-08-27'],
+      ['last monday', '2025-08-18']
+    ])('should resolve %s', (value, expected) => {
+      expect(parser.resolveDateValue(value, reference)).toBe(expected);
+    });
+
+    it('should pass literal dates through unchanged', () => {
+      expect(parser.resolveDateValue('2025-08-20', reference)).toBe('2025-08-20');
+    });
+
+    it('should resolve relative values when the query is built', () => {
+      const result = parser.parse('due:before:+3d AND scheduled:after:"next friday"');
+
+      expect(result.children[0].value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(result.children[1].value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('should keep a leading dash in date values', () => {
+      const result = parser.parse('modified:after:-1w');
+
+      expect(result.children[0].property).toBe('file.mtime');
+      expect(result.children[0].operator).toBe('is-after');
+      expect(result.children[0].value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('should not resolve relative dates for non-date properties', () => {
+      const result = parser.parse('title:contains:today');
+
+      expect(result.children[0].value).toBe('today');
+    });
+  });
 });
@@ -0,0 +1,183 @@
+/**
+ * Short task handles and task reference resolution
+ *
+ * `tn list` and `tn search` give every task they show a stable short handle
+ * (#12), saved in ~/.tasknotes-cli/handles.json for each profile. Commands that act on a task
+ * accept a handle, a full path, a unique path suffix or a fuzzy title match.
+ */
+
+const path = require('path');
+const config = require('./config');
+const { currentProfile, readProfileData, writeProfileData } = require('./profile-store');
+
+const HANDLE_PATTERN = /^#(\d+)$/;
+
+class HandleIndex {
+  constructor(filePath = path.join(config.getDir(), 'handles.json'), profile = currentProfile()) {
+    this.filePath = filePath;
+    this.profile = profile;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      const data = readProfileData(this.filePath, this.profile);
+      if (data) {
+        return { nextHandle: data.nextHandle || 1, handles: data.handles || {} };
+      }
+    } catch (error) {
+      // A corrupt index only loses the short handles, so start over
+    }
+    return { nextHandle: 1, handles: {} };
+  }
+
+  save() {
+    writeProfileData(this.filePath, this.profile, this.data);
+  }
+
+  /**
+   * Give each task a handle, reusing the one it already has.
+   * Sets task.handle (e.g. "#12") and returns the tasks.
+   */
+  assign(tasks) {
+    let changed = false;
+
+    tasks.forEach(task => {
+      const taskPath = task.path || task.id;
+      if (!taskPath) return;
+
+      if (!this.data.handles[taskPath]) {
+        this.data.handles[taskPath] = this.data.nextHandle++;
+        changed = true;
+      }
+      task.handle = `#${this.data.handles[taskPath]}`;
+    });
+
+    if (changed) {
+      this.save();
+    }
+    return tasks;
+  }
+
+  lookup(handle) {
+    const match = String(handle).match(HANDLE_PATTERN);
+    if (!match) return null;
+
+    const number = parseInt(match[1]);
+    const entry = Object.entries(this.data.handles).find(([, value]) => value === number);
+    return entry ? entry[0] : null;
+  }
+}
+
+/**
+ * Assign handles to tasks that are about to be displayed. Failing to write
+ * the index should never stop a listing, so errors are ignored.
+ */
+function assignHandles(tasks) {
+  try {
+    return new HandleIndex().assign(tasks);
+  } catch (error) {
+    return tasks;
+  }
+}
+
+function normalizeTitle(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find tasks matching a path suffix or title. Exact matches win over
+ * partial ones, so "Buy milk" picks that task even if "Buy milk and eggs" exists.
+ */
+function findCandidates(tasks, reference) {
+  const query = normalizeTitle(reference);
+  const pathOf = task => task.path || task.id || '';
+
+  const exactPath = tasks.filter(task => pathOf(task) === reference);
+  if (exactPath.length > 0) return exactPath;
+
+  const suffixes = [reference, `${reference}.md`].map(suffix => suffix.toLowerCase());
+  const suffixMatches = tasks.filter(task => {
+    const taskPath = pathOf(task).toLowerCase();
+    return suffixes.some(suffix => taskPath === suffix || taskPath.endsWith(`/${suffix}`));
+  });
+  if (suffixMatches.length > 0) return suffixMatches;
+
+  const exactTitle = tasks.filter(task => normalizeTitle(task.title) === query);
+  if (exactTitle.length > 0) return exactTitle;
+
+  // Every word of the reference must appear in the title
+  const words = query.split(' ').filter(Boolean);
+  return tasks.filter(task => {
+    const title = normalizeTitle(task.title);
+    return words.length > 0 && words.every(word => title.includes(word));
+  });
+}
+
+async function promptForTask(reference, candidates) {
+  if (!process.stdin.isTTY) {
+    const list = candidates.map(task => `  ${task.path || task.id}`).join('\n');
+    throw new Error(`"${reference}" matches ${candidates.length} tasks:\n${list}\nUse a longer path or a handle from "tn list"`);
+  }
+
+  const inquirer = require('inquirer');
+  const { taskPath } = await inquirer.prompt([{
+    type: 'list',
+    name: 'taskPath',
+    message: `"${reference}" matches ${candidates.length} tasks. Which one?`,
+    choices: candidates.map(task => ({
+      name: `${task.title} (${task.path || task.id})`,
+      value: task.path || task.id
+    }))
+  }]);
+  return taskPath;
+}
+
+/**
+ * Turn a task reference into a task path for the API.
+ *
+ * options.index  - HandleIndex to look handles up in
+ * options.choose - called with (reference, candidates) when several tasks match
+ */
+async function resolveTaskId(api, reference, options = {}) {
+  const trimmed = String(reference || '').trim();
+  if (!trimmed) {
+    throw new Error('Task reference is required');
+  }
+
+  if (HANDLE_PATTERN.test(trimmed)) {
+    const index = options.index || new HandleIndex();
+    const taskPath = index.lookup(trimmed);
+    if (!taskPath) {
+      throw new Error(`Unknown task handle ${trimmed}. Run "tn list" to see current handles`);
+    }
+    return taskPath;
+  }
+
+  // Full vault paths go straight to the API without fetching the task list
+  if (trimmed.includes('/') && trimmed.endsWith('.md')) {
+    return trimmed;
+  }
+
+  // A cached list may miss tasks renamed or added since, so always ask the API
+  const result = await api.listTasks({ limit: 1000 }, { fresh: true });
+  const candidates = findCandidates(result.tasks || [], trimmed);
+
+  if (candidates.length === 1) {
+    return candidates[0].path || candidates[0].id;
+  }
+  if (candidates.length === 0) {
+    // Let the API decide; it may know tasks the list endpoint doesn't return
+    return trimmed;
+  }
+
+  const choose = options.choose || promptForTask;
+  return choose(trimmed, candidates);
+}
+
+module.exports = {
+  HandleIndex,
+  assignHandles,
+  findCandidates,
+  resolveTaskId
+};
@@ -0,0 +1,107 @@
+/**
+ * Tests for task handles and task reference resolution
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HandleIndex, findCandidates, resolveTaskId } = require('./handles');
+
+describe('handles', () => {
+  const tasks = [
+    { path: 'TaskNotes/Tasks/Buy groceries.md', title: 'Buy groceries' },
+    { path: 'TaskNotes/Tasks/Buy milk.md', title: 'Buy milk' },
+    { path: 'TaskNotes/Tasks/Buy milk and eggs.md', title: 'Buy milk and eggs' },
+    { path: 'Work/Write report.md', title: 'Write quarterly report' }
+  ];
+
+  let tempDir;
+  let indexPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-handles-'));
+    indexPath = path.join(tempDir, 'handles.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('HandleIndex', () => {
+    it('should assign sequential handles and keep them stable', () => {
+      const first = new HandleIndex(indexPath).assign(tasks.slice(0, 2).map(task => ({ ...task })));
+      expect(first.map(task => task.handle)).toEqual(['#1', '#2']);
+
+      // A later listing in a different order keeps the same handles
+      const second = new HandleIndex(indexPath).assign([{ ...tasks[3] }, { ...tasks[1] }]);
+      expect(second.map(task => task.handle)).toEqual(['#3', '#2']);
+    });
+
+    it('should look up paths by handle', () => {
+      new HandleIndex(indexPath).assign(tasks.map(task => ({ ...task })));
+      const index = new HandleIndex(indexPath);
+
+      expect(index.lookup('#4')).toBe('Work/Write report.md');
+      expect(index.lookup('#99')).toBeNull();
+      expect(index.lookup('4')).toBeNull();
+    });
+
+    it('should start over when the index file is corrupt', () => {
+      fs.writeFileSync(indexPath, '{not json');
+      expect(new HandleIndex(indexPath).assign([{ ...tasks[0] }])[0].handle).toBe('#1');
+    });
+  });
+
+  describe('findCandidates', () => {
+    it('should match a unique path suffix', () => {
+      expect(findCandidates(tasks, 'Tasks/Buy milk')).toEqual([tasks[1]]);
+      expect(findCandidates(tasks, 'write report.md')).toEqual([tasks[3]]);
+    });
+
+    it('should prefer exact titles over partial matches', () => {
+      expect(findCandidates(tasks, 'buy milk')).toEqual([tasks[1]]);
+    });
+
+    it('should match every word of a fuzzy title', () => {
+      expect(findCandidates(tasks, 'quarterly write')).toEqual([tasks[3]]);
+      expect(findCandidates(tasks, 'buy')).toHaveLength(3);
+    });
+  });
+
+  describe('resolveTaskId', () => {
+    const api = { listTasks: jest.fn(async () => ({ tasks })) };
+
+    beforeEach(() => {
+      api.listTasks.mockClear();
+    });
+
+    it('should resolve handles from the index', async () => {
+      const index = new HandleIndex(indexPath);
+      index.assign(tasks.map(task => ({ ...task })));
+
+      await expect(resolveTaskId(api, '#2', { index })).resolves.toBe('TaskNotes/Tasks/Buy milk.md');
+      await expect(resolveTaskId(api, '#42', { index })).rejects.toThrow('Unknown task handle #42');
+      expect(api.listTasks).not.toHaveBeenCalled();
+    });
+
+    it('should pass full paths through without listing tasks', async () => {
+      await expect(resolveTaskId(api, 'TaskNotes/Tasks/Other.md')).resolves.toBe('TaskNotes/Tasks/Other.md');
+      expect(api.listTasks).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a unique title match', async () => {
+      await expect(resolveTaskId(api, 'groceries')).resolves.toBe('TaskNotes/Tasks/Buy groceries.md');
+    });
+
+    it('should ask which task to use when the match is ambiguous', async () => {
+      const choose = jest.fn(async (reference, candidates) => candidates[2].path);
+
+      await expect(resolveTaskId(api, 'buy', { choose })).resolves.toBe('TaskNotes/Tasks/Buy milk and eggs.md');
+      expect(choose).toHaveBeenCalledWith('buy', expect.arrayContaining([tasks[0], tasks[1], tasks[2]]));
+    });
+
+    it('should fall back to the reference when nothing matches', async () => {
+      await expect(resolveTaskId(api, 'task-123')).resolves.toBe('task-123');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Undo journal for task mutations
+ *
+ * TaskNotesAPI records the task before and after every update, toggle,
+ * archive, delete and recurring instance completion in
+ * ~/.tasknotes-cli/journal.json, kept apart for each profile. `tn undo` replays the inverse operations
+ * and `tn history` lists what was recorded.
+ */
+
+const path = require('path');
+const config = require('./config');
+const { currentProfile, readProfileData, writeProfileData } = require('./profile-store');
+
+const MAX_ENTRIES = 200;
+
+// Properties the server manages itself; they are never restored or compared
+const IGNORED_FIELDS = ['id', 'path', 'handle', 'dateModified', 'dateCreated', 'file'];
+
+class Journal {
+  constructor(filePath = path.join(config.getDir(), 'journal.json'), profile = currentProfile()) {
+    this.filePath = filePath;
+    this.profile = profile;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      const data = readProfileData(this.filePath, this.profile);
+      if (data) {
+        return { nextId: data.nextId || 1, entries: data.entries || [] };
+      }
+    } catch (error) {
+      // A corrupt journal only loses the undo history, so start over
+    }
+    return { nextId: 1, entries: [] };
+  }
+
+  save() {
+    writeProfileData(this.filePath, this.profile, this.data);
+  }
+
+  /**
+   * Record a mutation. `before` and `after` are full task snapshots;
+   * `after` is null for deletes.
+   */
+  record({ operation, taskId, before, after = null, details }) {
+    // Another process may have recorded since this journal was loaded
+    this.data = this.load();
+
+    const entry = {
+      id: this.data.nextId++,
+      timestamp: new Date().toISOString(),
+      operation,
+      taskId,
+      title: (after && after.title) || (before && before.title) || taskId,
+      before,
+      after
+    };
+    if (details) entry.details = details;
+
+    this.data.entries.push(entry);
+    if (this.data.entries.length > MAX_ENTRIES) {
+      this.data.entries = this.data.entries.slice(-MAX_ENTRIES);
+    }
+    this.save();
+    return entry;
+  }
+
+  // Entries newest first
+  list() {
+    return this.data.entries.slice().reverse();
+  }
+
+  // The most recent `count` entries that have not been undone, newest first
+  pending(count = 1) {
+    return this.list().filter(entry => !entry.undoneAt).slice(0, count);
+  }
+
+  markUndone(id) {
+    this.data = this.load();
+    const entry = this.data.entries.find(item => item.id === id);
+    if (entry) {
+      entry.undoneAt = new Date().toISOString();
+      this.save();
+    }
+    return entry;
+  }
+}
+
+function sameValue(a, b) {
+  const normalize = value => (value === undefined ? null : value);
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Fields that differ between two task snapshots, as { field: [from, to] }
+ */
+function diffTasks(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!sameValue(from, to)) {
+      changes[field] = [from === undefined ? null : from, to === undefined ? null : to];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Work out how to reverse a journal entry:
+ *   { type: 'create', data }               - recreate a deleted task
+ *   { type: 'archive', taskId }            - toggle archive back
+ *   { type: 'update', taskId, updates }    - restore the changed fields
+ */
+function buildInverse(entry) {
+  if (entry.operation === 'delete') {
+    const data = { ...entry.before };
+    IGNORED_FIELDS.forEach(field => delete data[field]);
+    return { type: 'create', data };
+  }
+
+  const taskId = (entry.after && (entry.after.path || entry.after.id)) || entry.taskId;
+
+  if (entry.operation === 'archive') {
+    return { type: 'archive', taskId };
+  }
+
+  const updates = {};
+  Object.entries(diffTasks(entry.before, entry.after)).forEach(([field, [from]]) => {
+    updates[field] = from;
+  });
+  return { type: 'update', taskId, updates };
+}
+
+/**
+ * Fields the task has changed since the journal entry was recorded.
+ * Undoing over these would silently throw away later edits.
+ */
+function findConflicts(entry, current) {
+  if (!entry.after || !current) return [];
+  const changed = Object.keys(diffTasks(entry.before, entry.after));
+  return changed.filter(field => !sameValue(current[field], entry.after[field]));
+}
+
+/**
+ * Reverse a journal entry. `api` should not record to the journal itself,
+ * otherwise undo would add new entries for every change it reverts.
+ *
+ * options.force - undo even if the task changed after the entry was recorded
+ */
+async function undoEntry(api, entry, options = {}) {
+  const inverse = buildInverse(entry);
+
+  if (inverse.type === 'create') {
+    return api.createTaskFromData(inverse.data);
+  }
+
+  if (!options.force) {
+    const current = await api.getTask(inverse.taskId);
+    const conflicts = findConflicts(entry, current);
+    if (conflicts.length > 0) {
+      throw new Error(`"${entry.title}" changed since (${conflicts.join(', ')}). Use --force to undo anyway`);
+    }
+  }
+
+  if (inverse.type === 'archive') {
+    return api.toggleArchive(inverse.taskId);
+  }
+  if (Object.keys(inverse.updates).length === 0) {
+    return entry.before;
+  }
+  return api.updateTask(inverse.taskId, inverse.updates);
+}
+
+module.exports = {
+  Journal,
+  diffTasks,
+  buildInverse,
+  findConflicts,
+  undoEntry
+};
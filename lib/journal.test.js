@@ -0,0 +1,158 @@
+/**
+ * Tests for the undo journal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskNotesAPI = require('./api');
+const { Journal, diffTasks, buildInverse, findConflicts, undoEntry } = require('./journal');
+
+describe('journal', () => {
+  const before = {
+    id: 'Tasks/Write report.md',
+    path: 'Tasks/Write report.md',
+    title: 'Write report',
+    status: 'open',
+    priority: 'normal',
+    tags: ['work'],
+    dateModified: '2025-08-20T10:00:00Z'
+  };
+  const after = {
+    ...before,
+    status: 'done',
+    tags: ['work', 'q3'],
+    completedDate: '2025-08-20',
+    dateModified: '2025-08-20T11:00:00Z'
+  };
+
+  let tempDir;
+  let journalPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-journal-'));
+    journalPath = path.join(tempDir, 'journal.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Journal', () => {
+    it('should record entries and list them newest first', () => {
+      const journal = new Journal(journalPath);
+      journal.record({ operation: 'update', taskId: before.path, before, after });
+      journal.record({ operation: 'delete', taskId: before.path, before });
+
+      const entries = new Journal(journalPath).list();
+      expect(entries.map(entry => [entry.id, entry.operation])).toEqual([[2, 'delete'], [1, 'update']]);
+      expect(entries[0].after).toBeNull();
+      expect(entries[1].title).toBe('Write report');
+    });
+
+    it('should skip undone entries when picking what to undo', () => {
+      const journal = new Journal(journalPath);
+      journal.record({ operation: 'update', taskId: 'a.md', before, after });
+      journal.record({ operation: 'toggle-status', taskId: 'b.md', before, after });
+      journal.markUndone(2);
+
+      expect(journal.pending(5).map(entry => entry.id)).toEqual([1]);
+    });
+  });
+
+  describe('diffTasks', () => {
+    it('should report changed fields and ignore server-managed ones', () => {
+      expect(diffTasks(before, after)).toEqual({
+        status: ['open', 'done'],
+        tags: [['work'], ['work', 'q3']],
+        completedDate: [null, '2025-08-20']
+      });
+    });
+  });
+
+  describe('buildInverse', () => {
+    it('should restore changed fields for updates', () => {
+      expect(buildInverse({ operation: 'update', taskId: before.path, before, after })).toEqual({
+        type: 'update',
+        taskId: 'Tasks/Write report.md',
+        updates: { status: 'open', tags: ['work'], completedDate: null }
+      });
+    });
+
+    it('should target the new path after a rename', () => {
+      const renamed = { ...before, title: 'Write summary', path: 'Tasks/Write summary.md' };
+      const inverse = buildInverse({ operation: 'update', taskId: before.path, before, after: renamed });
+      expect(inverse.taskId).toBe('Tasks/Write summary.md');
+      expect(inverse.updates).toEqual({ title: 'Write report' });
+    });
+
+    it('should recreate deleted tasks without server-managed fields', () => {
+      expect(buildInverse({ operation: 'delete', taskId: before.path, before, after: null })).toEqual({
+        type: 'create',
+        data: { title: 'Write report', status: 'open', priority: 'normal', tags: ['work'] }
+      });
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should report fields changed after the entry was recorded', () => {
+      const entry = { operation: 'update', before, after };
+      expect(findConflicts(entry, after)).toEqual([]);
+      expect(findConflicts(entry, { ...after, status: 'in-progress' })).toEqual(['status']);
+    });
+  });
+
+  describe('undoEntry', () => {
+    const createApi = (current) => ({
+      getTask: jest.fn().mockResolvedValue(current),
+      updateTask: jest.fn().mockResolvedValue(before),
+      createTaskFromData: jest.fn().mockResolvedValue(before),
+      toggleArchive: jest.fn().mockResolvedValue(before)
+    });
+
+    it('should refuse to undo over later changes unless forced', async () => {
+      const entry = { operation: 'toggle-status', taskId: before.path, title: 'Write report', before, after };
+      const api = createApi({ ...after, status: 'in-progress' });
+
+      await expect(undoEntry(api, entry)).rejects.toThrow('changed since (status)');
+      expect(api.updateTask).not.toHaveBeenCalled();
+
+      await undoEntry(api, entry, { force: true });
+      expect(api.updateTask).toHaveBeenCalledWith('Tasks/Write report.md', {
+        status: 'open', tags: ['work'], completedDate: null
+      });
+    });
+
+    it('should recreate deleted tasks', async () => {
+      const api = createApi(null);
+      await undoEntry(api, { operation: 'delete', taskId: before.path, before, after: null });
+      expect(api.createTaskFromData).toHaveBeenCalledWith(expect.objectContaining({ title: 'Write report' }));
+      expect(api.getTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TaskNotesAPI journaling', () => {
+    it('should record mutations with before and after snapshots', async () => {
+      const journal = new Journal(journalPath);
+      const api = new TaskNotesAPI({ journal });
+      api.request = jest.fn(async (endpoint, options = {}) => {
+        return options.method === 'PUT' ? after : before;
+      });
+
+      await api.updateTask(before.path, { status: 'done' });
+
+      const [entry] = journal.list();
+      expect(entry.operation).toBe('update');
+      expect(entry.before.status).toBe('open');
+      expect(entry.after.status).toBe('done');
+    });
+
+    it('should not record when journaling is disabled', async () => {
+      const api = new TaskNotesAPI({ journal: false });
+      api.request = jest.fn().mockResolvedValue(after);
+
+      await api.toggleTaskStatus(before.path);
+      expect(api.request).toHaveBeenCalledTimes(1);
+    });
+  });
+});
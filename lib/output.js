@@ -0,0 +1,204 @@
+/**
+ * Shared export formats for --output
+ *
+ * Every command that supports --output hands its records to formatRecords
+ * (or formatTasks for task lists), so csv/tsv/markdown/ndjson/json output
+ * looks the same everywhere.
+ */
+
+const { showError } = require('./utils');
+
+const OUTPUT_FORMATS = ['csv', 'tsv', 'markdown', 'ndjson', 'json'];
+
+// Task fields exported by default, in column order
+const TASK_FIELDS = ['handle', 'id', 'title', 'status', 'priority', 'due', 'scheduled', 'tags', 'contexts', 'projects', 'estimate', 'archived'];
+
+// Export column names that map onto differently named task properties
+const TASK_FIELD_ALIASES = {
+  handle: task => task.handle,
+  id: task => task.id || task.path,
+  estimate: task => task.timeEstimate !== undefined ? task.timeEstimate : task.estimate
+};
+
+const COMPLETED_STATUSES = ['done', 'completed'];
+
+function validateOutputFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// Stop a command before it starts if --output names an unknown format
+function assertOutputFormat(options) {
+  if (!options.output) return;
+  try {
+    validateOutputFormat(options.output);
+  } catch (error) {
+    showError(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Flatten a record into a single level of scalar values. Arrays are joined
+ * with ", " and nested objects become dotted keys (summary.totalMinutes).
+ */
+function flattenRecord(record, prefix = '', result = {}) {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(value)) {
+      result[name] = value
+        .map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : item))
+        .filter(item => item !== undefined && item !== null && item !== '')
+        .join(', ');
+    } else if (value !== null && typeof value === 'object') {
+      flattenRecord(value, name, result);
+    } else {
+      result[name] = value;
+    }
+  });
+  return result;
+}
+
+// Columns in first-seen order across all records
+function collectColumns(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function escapeCsv(value) {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV has no quoting, so tabs and newlines inside values become spaces
+function escapeTsv(value) {
+  return toText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function escapeMarkdown(value) {
+  return toText(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+function formatDelimited(rows, columns, separator, escape) {
+  const lines = [columns.map(escape).join(separator)];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escape(row[column])).join(separator));
+  });
+  return lines.join('\n');
+}
+
+function formatMarkdownTable(rows, columns) {
+  const lines = [
+    `| ${columns.map(escapeMarkdown).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`
+  ];
+  rows.forEach(row => {
+    lines.push(`| ${columns.map(column => escapeMarkdown(row[column])).join(' | ')} |`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Format records for --output.
+ *
+ * options.columns       - column order for csv/tsv/markdown (defaults to every field seen)
+ * options.markdownItem  - render each record as a markdown line instead of a table row
+ * options.meta          - extra metadata for the json envelope
+ */
+function formatRecords(records, format, options = {}) {
+  validateOutputFormat(format);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      success: true,
+      data: records,
+      count: records.length,
+      meta: options.meta || {}
+    }, null, 2);
+  }
+
+  if (format === 'ndjson') {
+    return records.map(record => JSON.stringify(record)).join('\n');
+  }
+
+  if (format === 'markdown' && options.markdownItem) {
+    return records.map(options.markdownItem).join('\n');
+  }
+
+  const rows = records.map(record => options.flatten ? options.flatten(record) : flattenRecord(record));
+  const columns = options.columns || collectColumns(rows);
+
+  if (format === 'csv') return formatDelimited(rows, columns, ',', escapeCsv);
+  if (format === 'tsv') return formatDelimited(rows, columns, '\t', escapeTsv);
+  return formatMarkdownTable(rows, columns);
+}
+
+function cleanLink(value) {
+  return String(value).replace(/^\[\[|\]\]$/g, '');
+}
+
+function taskRow(task, fields) {
+  const row = {};
+  fields.forEach(field => {
+    const value = TASK_FIELD_ALIASES[field] ? TASK_FIELD_ALIASES[field](task) : task[field];
+    row[field] = Array.isArray(value)
+      ? value.filter(item => item && typeof item === 'string').map(cleanLink).join(', ')
+      : value;
+  });
+  return row;
+}
+
+/**
+ * Markdown checklist line for a task, ready to paste into a note:
+ *   - [ ] Review PR 📅 2025-08-20 #work @office +Website
+ */
+function formatTaskChecklistItem(task) {
+  const done = COMPLETED_STATUSES.includes(task.status) || Boolean(task.completedDate);
+  let line = `- [${done ? 'x' : ' '}] ${task.title || ''}`;
+
+  if (task.due) line += ` 📅 ${String(task.due).split('T')[0]}`;
+  if (task.scheduled) line += ` ⏳ ${String(task.scheduled).split('T')[0]}`;
+
+  const tags = (task.tags || []).filter(tag => tag && typeof tag === 'string').map(tag => `#${tag}`);
+  const contexts = (task.contexts || []).filter(ctx => ctx && typeof ctx === 'string').map(ctx => `@${ctx}`);
+  const projects = (task.projects || []).filter(proj => proj && typeof proj === 'string').map(proj => `+${cleanLink(proj)}`);
+  const labels = [...tags, ...contexts, ...projects];
+
+  return labels.length > 0 ? `${line} ${labels.join(' ')}` : line;
+}
+
+/**
+ * Format tasks for --output. csv/tsv use the task export columns (or
+ * options.columns), markdown produces a checklist, json/ndjson keep every field.
+ */
+function formatTasks(tasks, format, options = {}) {
+  const fields = options.columns || TASK_FIELDS;
+  return formatRecords(tasks, format, {
+    meta: options.meta,
+    columns: fields,
+    flatten: task => taskRow(task, fields),
+    markdownItem: formatTaskChecklistItem
+  });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  validateOutputFormat,
+  assertOutputFormat,
+  flattenRecord,
+  formatRecords,
+  formatTasks,
+  formatTaskChecklistItem
+};
@@ -0,0 +1,115 @@
+/**
+ * Tests for the shared --output formats
+ */
+
+const { assertOutputFormat, flattenRecord, formatRecords, formatTasks, formatTaskChecklistItem } = require('./output');
+
+describe('output', () => {
+  const tasks = [
+    {
+      id: 'Tasks/Plan, "launch".md',
+      title: 'Plan "launch", part 1',
+      status: 'open',
+      priority: 'high',
+      due: '2025-08-20T10:00',
+      tags: ['work', 'q3'],
+      contexts: ['office'],
+      projects: ['[[Website]]'],
+      timeEstimate: 60
+    },
+    { id: 'Tasks/Call Bob.md', title: 'Call Bob', status: 'done', tags: [] }
+  ];
+
+  describe('flattenRecord', () => {
+    it('should join arrays and use dotted keys for nested objects', () => {
+      expect(flattenRecord({ tags: ['a', 'b'], summary: { total: 3, by: { day: 1 } } })).toEqual({
+        tags: 'a, b',
+        'summary.total': 3,
+        'summary.by.day': 1
+      });
+    });
+  });
+
+  describe('formatRecords', () => {
+    const records = [{ name: 'a', count: 1 }, { name: 'b', extra: 'x\ty' }];
+
+    it('should use every field seen as csv columns', () => {
+      expect(formatRecords(records, 'csv')).toBe('name,count,extra\na,1,\nb,,x\ty');
+    });
+
+    it('should replace tabs inside tsv values', () => {
+      expect(formatRecords(records, 'tsv').split('\n')[2]).toBe('b\t\tx y');
+    });
+
+    it('should write one JSON object per line for ndjson', () => {
+      expect(formatRecords(records, 'ndjson').split('\n').map(line => JSON.parse(line))).toEqual(records);
+    });
+
+    it('should wrap json in the standard envelope', () => {
+      expect(JSON.parse(formatRecords(records, 'json', { meta: { period: 'today' } }))).toEqual({
+        success: true,
+        data: records,
+        count: 2,
+        meta: { period: 'today' }
+      });
+    });
+
+    it('should render a markdown table', () => {
+      expect(formatRecords([{ a: 'x|y' }], 'markdown')).toBe('| a |\n| --- |\n| x\\|y |');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatRecords(records, 'xml')).toThrow('Unknown output format: xml');
+    });
+  });
+
+  describe('formatTasks', () => {
+    it('should quote csv values and flatten array fields', () => {
+      const lines = formatTasks(tasks, 'csv').split('\n');
+
+      expect(lines[0]).toBe('handle,id,title,status,priority,due,scheduled,tags,contexts,projects,estimate,archived');
+      expect(lines[1]).toBe(',"Tasks/Plan, ""launch"".md","Plan ""launch"", part 1",open,high,2025-08-20T10:00,,"work, q3",office,Website,60,');
+    });
+
+    it('should honour selected columns', () => {
+      expect(formatTasks(tasks, 'tsv', { columns: ['title', 'tags'] })).toBe('title\ttags\nPlan "launch", part 1\twork, q3\nCall Bob\t');
+    });
+
+    it('should render markdown as a checklist', () => {
+      expect(formatTasks(tasks, 'markdown')).toBe(
+        '- [ ] Plan "launch", part 1 📅 2025-08-20 #work #q3 @office +Website\n- [x] Call Bob'
+      );
+    });
+
+    it('should keep full task objects in ndjson', () => {
+      expect(JSON.parse(formatTasks(tasks, 'ndjson').split('\n')[0])).toEqual(tasks[0]);
+    });
+  });
+
+  describe('formatTaskChecklistItem', () => {
+    it('should tick tasks with a completed date', () => {
+      expect(formatTaskChecklistItem({ title: 'Ship', status: 'open', completedDate: '2025-08-01' })).toBe('- [x] Ship');
+    });
+  });
+
+  describe('assertOutputFormat', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should exit with the known formats listed for an unknown one', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      assertOutputFormat({});
+      assertOutputFormat({ output: 'csv' });
+      expect(exit).not.toHaveBeenCalled();
+
+      expect(() => assertOutputFormat({ output: 'xml' })).toThrow('process.exit');
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Unknown output format: xml. Use one of: csv'));
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+  });
+});
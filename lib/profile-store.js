@@ -0,0 +1,56 @@
+/**
+ * Per-profile sections of a local JSON file
+ *
+ * Handles and the undo journal refer to task paths in one vault, so each
+ * profile keeps its own section: { profiles: { default: {...}, work: {...} } }.
+ * Files written before profiles had sections hold the data of the default
+ * profile at the top level.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+
+// The profile in effect, "default" for the top-level connection settings
+function currentProfile() {
+  return config.getProfileName() || config.DEFAULT_PROFILE;
+}
+
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * The section of a file for a profile, or null if it has none. Throws if
+ * the file is not valid JSON.
+ */
+function readProfileData(filePath, profile) {
+  const data = readFile(filePath);
+  if (data.profiles) {
+    return data.profiles[profile] || null;
+  }
+  return profile === config.DEFAULT_PROFILE && Object.keys(data).length > 0 ? data : null;
+}
+
+// Replace the section of a profile, keeping the others as they are on disk
+function writeProfileData(filePath, profile, section) {
+  let data;
+  try {
+    data = readFile(filePath);
+  } catch (error) {
+    // A corrupt file is replaced
+    data = {};
+  }
+
+  const profiles = data.profiles || (Object.keys(data).length > 0 ? { [config.DEFAULT_PROFILE]: data } : {});
+  profiles[profile] = section;
+  fs.writeFileSync(filePath, JSON.stringify({ profiles }, null, 2));
+}
+
+module.exports = {
+  currentProfile,
+  readProfileData,
+  writeProfileData
+};
@@ -0,0 +1,59 @@
+/**
+ * Tests for per-profile sections of local files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readProfileData, writeProfileData } = require('./profile-store');
+const { HandleIndex } = require('./handles');
+const { Journal } = require('./journal');
+
+describe('profile store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-profile-store-'));
+    filePath = path.join(tempDir, 'handles.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep a section per profile', () => {
+    expect(readProfileData(filePath, 'default')).toBeNull();
+
+    writeProfileData(filePath, 'default', { nextHandle: 2 });
+    writeProfileData(filePath, 'work', { nextHandle: 5 });
+
+    expect(readProfileData(filePath, 'default')).toEqual({ nextHandle: 2 });
+    expect(readProfileData(filePath, 'work')).toEqual({ nextHandle: 5 });
+    expect(readProfileData(filePath, 'home')).toBeNull();
+  });
+
+  it('should read a file without sections as the default profile', () => {
+    fs.writeFileSync(filePath, JSON.stringify({ nextHandle: 3, handles: { 'Tasks/a.md': 1 } }));
+
+    expect(readProfileData(filePath, 'default')).toEqual({ nextHandle: 3, handles: { 'Tasks/a.md': 1 } });
+    expect(readProfileData(filePath, 'work')).toBeNull();
+
+    writeProfileData(filePath, 'work', { nextHandle: 1 });
+    expect(readProfileData(filePath, 'default').handles).toEqual({ 'Tasks/a.md': 1 });
+  });
+
+  it('should not resolve handles or undo entries of another profile', () => {
+    const tasks = [{ path: 'Personal/Groceries.md', title: 'Groceries' }];
+    new HandleIndex(filePath, 'default').assign(tasks);
+    new HandleIndex(filePath, 'work').assign([{ path: 'Work/Report.md', title: 'Report' }]);
+
+    expect(new HandleIndex(filePath, 'default').lookup('#1')).toBe('Personal/Groceries.md');
+    expect(new HandleIndex(filePath, 'work').lookup('#1')).toBe('Work/Report.md');
+
+    const journalPath = path.join(tempDir, 'journal.json');
+    new Journal(journalPath, 'work').record({ operation: 'update', taskId: 'Work/Report.md', before: {}, after: {} });
+    expect(new Journal(journalPath, 'default').pending()).toEqual([]);
+    expect(new Journal(journalPath, 'work').pending()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Offline write queue
+ *
+ * When TaskNotes is not running, TaskNotesAPI saves task creation,
+ * updates, status toggles and timer starts and stops in
+ * ~/.tasknotes-cli/queue.json instead of failing. The queue is replayed
+ * before the next command's first request, or with `tn queue replay`.
+ * A replay holds queue.json.lock, so two tn processes started together
+ * don't send the same changes twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const { NotFoundError } = require('./errors');
+const { showWarning, showInfo } = require('./utils');
+
+// A replay lock this old was left behind by a process that crashed
+const LOCK_STALE_MS = 10 * 60 * 1000;
+
+// Thrown by TaskNotesAPI instead of the connection error when a change was queued
+class QueuedError extends Error {
+  constructor(entry) {
+    super(`TaskNotes is not running. Queued as #${entry.id}`);
+    this.name = 'QueuedError';
+    this.entry = entry;
+  }
+}
+
+class WriteQueue {
+  constructor(filePath = path.join(config.getDir(), 'queue.json')) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return { nextId: data.nextId || 1, entries: data.entries || [] };
+      }
+    } catch (error) {
+      // Unlike the cache, a corrupt queue holds unsent changes; keep the file for inspection
+      fs.renameSync(this.filePath, `${this.filePath}.corrupt`);
+      showWarning(`Could not read the write queue (${error.message}). Moved it to ${this.filePath}.corrupt`);
+    }
+    return { nextId: 1, entries: [] };
+  }
+
+  save() {
+    if (this.data.entries.length === 0) {
+      this.data.nextId = 1;
+    }
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  /**
+   * Queue a change: { operation, target, taskId?, text?, updates? }
+   * where target is the API base URL it was meant for
+   */
+  add(change) {
+    // Another process may have queued since this queue was loaded
+    this.data = this.load();
+
+    const entry = { id: this.data.nextId++, queuedAt: new Date().toISOString(), ...change };
+    this.data.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  // Entries oldest first, the order they are replayed in
+  list() {
+    return this.data.entries.slice();
+  }
+
+  remove(id) {
+    this.data = this.load();
+    const entry = this.data.entries.find(item => item.id === id);
+    this.data.entries = this.data.entries.filter(item => item.id !== id);
+    this.save();
+    return entry || null;
+  }
+
+  // Keep a failed entry for `tn queue list`; automatic replay skips it
+  markFailed(id, message) {
+    this.data = this.load();
+    const entry = this.data.entries.find(item => item.id === id);
+    if (entry) {
+      entry.error = message;
+      entry.failedAt = new Date().toISOString();
+      this.save();
+    }
+    return entry;
+  }
+
+  clear() {
+    this.data = { nextId: 1, entries: [] };
+    this.save();
+  }
+
+  /**
+   * Take the replay lock and reload the entries. Returns a function that
+   * releases the lock, or null while another process holds it.
+   */
+  lock() {
+    if (!this.createLock()) {
+      if (!this.isLockStale()) {
+        return null;
+      }
+      this.removeLock();
+      if (!this.createLock()) {
+        return null;
+      }
+    }
+
+    this.data = this.load();
+    return () => this.removeLock();
+  }
+
+  removeLock() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Create the lock file with this process's ID; false if it exists
+  createLock() {
+    try {
+      fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Whether the lock was left by a process that is no longer running
+  isLockStale() {
+    try {
+      const pid = parseInt(fs.readFileSync(this.lockPath, 'utf8'), 10);
+      if (Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS) {
+        return true;
+      }
+      process.kill(pid, 0);
+      return false;
+    } catch (error) {
+      // No such process (ESRCH) or an unreadable lock; EPERM means it is running as another user
+      return error.code !== 'EPERM';
+    }
+  }
+}
+
+function describeEntry(entry) {
+  switch (entry.operation) {
+    case 'create':
+      return `create "${entry.text}"`;
+    case 'update': {
+      const fields = Object.entries(entry.updates || {})
+        .map(([field, value]) => `${field}=${Array.isArray(value) ? value.join(',') : value}`)
+        .join(', ');
+      return `update ${entry.taskId} (${fields})`;
+    }
+    case 'toggle-status':
+      return `toggle status of ${entry.taskId}`;
+    case 'timer-start':
+      return `start timer on ${entry.taskId}`;
+    case 'timer-stop':
+      return `stop timer on ${entry.taskId}`;
+    default:
+      return `${entry.operation} ${entry.taskId || ''}`.trim();
+  }
+}
+
+/**
+ * The timer endpoints start and stop at the time they are called, so move
+ * the time entry the replay created back to when the change was queued
+ */
+async function backdateTimeEntry(api, task, entry) {
+  const timeEntries = (task && task.timeEntries) || [];
+  const last = timeEntries[timeEntries.length - 1];
+  const field = entry.operation === 'timer-start' ? 'startTime' : 'endTime';
+  if (!last || !last[field]) {
+    return task;
+  }
+
+  const updated = timeEntries.slice(0, -1).concat({ ...last, [field]: entry.queuedAt });
+  return api.updateTask(entry.taskId, { timeEntries: updated });
+}
+
+/**
+ * Send one queued change. Changes to a task that no longer exists are
+ * reported as conflicts rather than sent.
+ */
+async function replayEntry(api, entry) {
+  if (entry.taskId) {
+    try {
+      await api.getTask(entry.taskId);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        const conflict = new Error(`${entry.taskId} no longer exists`);
+        conflict.conflict = true;
+        throw conflict;
+      }
+      throw error;
+    }
+  }
+
+  switch (entry.operation) {
+    case 'create':
+      return (await api.createTask(entry.text)).task;
+    case 'update':
+      return api.updateTask(entry.taskId, entry.updates);
+    case 'toggle-status':
+      return api.toggleTaskStatus(entry.taskId);
+    case 'timer-start':
+      return backdateTimeEntry(api, await api.startTimer(entry.taskId), entry);
+    case 'timer-stop':
+      return backdateTimeEntry(api, await api.stopTimer(entry.taskId), entry);
+    default:
+      throw new Error(`Unknown queued operation: ${entry.operation}`);
+  }
+}
+
+/**
+ * Replay entries in order, removing the ones that were sent and marking
+ * the ones that failed. Stops at the first connection failure, leaving the
+ * rest queued. Returns [{ entry, status: 'success'|'conflict'|'failed', message }].
+ */
+async function replayEntries(api, queue, entries) {
+  const results = [];
+
+  for (const entry of entries) {
+    try {
+      const task = await replayEntry(api, entry);
+      queue.remove(entry.id);
+      results.push({ entry, status: 'success', message: task && task.title ? task.title : '' });
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        break;
+      }
+      queue.markFailed(entry.id, error.message);
+      results.push({ entry, status: error.conflict ? 'conflict' : 'failed', message: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Print replay results. Automatic replays write to stderr so they don't
+ * mix with a command's own output.
+ */
+function printReplayResults(results, log = console.log) {
+  results.forEach(({ entry, status, message }) => {
+    const label = `#${entry.id} ${describeEntry(entry)}`;
+    if (status === 'success') {
+      log(chalk.green(`✓ ${label}`));
+    } else {
+      log(chalk.red(`✗ ${label}: ${status === 'conflict' ? 'conflict, ' : ''}${message}`));
+    }
+  });
+
+  const sent = results.filter(result => result.status === 'success').length;
+  const failed = results.length - sent;
+  log(chalk.bold(`Replayed ${sent} queued change${sent === 1 ? '' : 's'}${failed ? `, ${failed} failed (see "tn queue list")` : ''}`));
+}
+
+// Tell the user a change was queued; returns false for any other error
+function reportQueued(error) {
+  if (!(error instanceof QueuedError)) {
+    return false;
+  }
+  showWarning(`TaskNotes is not running. Queued as #${error.entry.id} (${describeEntry(error.entry)})`);
+  showInfo('It will be sent the next time TaskNotes is reachable. See "tn queue list"');
+  return true;
+}
+
+module.exports = {
+  QueuedError,
+  WriteQueue,
+  describeEntry,
+  replayEntry,
+  replayEntries,
+  printReplayResults,
+  reportQueued
+};
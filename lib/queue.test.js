@@ -0,0 +1,235 @@
+/**
+ * Tests for the offline write queue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WriteQueue, describeEntry, replayEntries } = require('./queue');
+const { NotFoundError } = require('./errors');
+
+const refused = () => Object.assign(new Error('Cannot connect to TaskNotes API'), { code: 'ECONNREFUSED' });
+const notFound = () => new NotFoundError('HTTP 404: Task not found', { status: 404 });
+
+describe('WriteQueue', () => {
+  let tempDir;
+  let queuePath;
+  let queue;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-queue-'));
+    queuePath = path.join(tempDir, 'queue.json');
+    queue = new WriteQueue(queuePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep entries in order with the time they were queued', () => {
+    queue.add({ operation: 'create', text: 'Buy milk', target: 'http://localhost:8080' });
+    queue.add({ operation: 'toggle-status', taskId: 'Tasks/a.md', target: 'http://localhost:8080' });
+
+    const entries = new WriteQueue(path.join(tempDir, 'queue.json')).list();
+    expect(entries.map(entry => entry.id)).toEqual([1, 2]);
+    expect(entries[0]).toMatchObject({ operation: 'create', text: 'Buy milk', queuedAt: expect.any(String) });
+  });
+
+  it('should remove, mark failed and clear entries', () => {
+    queue.add({ operation: 'create', text: 'One' });
+    queue.add({ operation: 'create', text: 'Two' });
+
+    expect(queue.remove(1).text).toBe('One');
+    expect(queue.remove(1)).toBeNull();
+    queue.markFailed(2, 'HTTP 500');
+    expect(queue.list()[0]).toMatchObject({ id: 2, error: 'HTTP 500' });
+
+    queue.clear();
+    expect(queue.add({ operation: 'create', text: 'Three' }).id).toBe(1);
+  });
+
+  it('should let one process at a time hold the replay lock', () => {
+    const release = queue.lock();
+    expect(release).toEqual(expect.any(Function));
+    expect(new WriteQueue(queuePath).lock()).toBeNull();
+
+    release();
+    const again = new WriteQueue(queuePath).lock();
+    expect(again).toEqual(expect.any(Function));
+    again();
+  });
+
+  it('should take over a lock left by a process that is gone', () => {
+    fs.writeFileSync(`${queuePath}.lock`, '999999999');
+    const release = queue.lock();
+    expect(release).toEqual(expect.any(Function));
+    expect(fs.readFileSync(`${queuePath}.lock`, 'utf8')).toBe(String(process.pid));
+    release();
+    expect(fs.existsSync(`${queuePath}.lock`)).toBe(false);
+  });
+
+  it('should set a corrupt queue file aside', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.writeFileSync(path.join(tempDir, 'queue.json'), '{ not json');
+
+    expect(new WriteQueue(path.join(tempDir, 'queue.json')).list()).toEqual([]);
+    expect(fs.existsSync(path.join(tempDir, 'queue.json.corrupt'))).toBe(true);
+    warn.mockRestore();
+  });
+
+  it('should describe entries', () => {
+    expect(describeEntry({ operation: 'update', taskId: 'Tasks/a.md', updates: { priority: 'high', addTags: ['x', 'y'] } }))
+      .toBe('update Tasks/a.md (priority=high, addTags=x,y)');
+  });
+
+  describe('replayEntries', () => {
+    const createApi = () => ({
+      getTask: jest.fn().mockResolvedValue({ title: 'A' }),
+      createTask: jest.fn().mockResolvedValue({ task: { title: 'Buy milk' } }),
+      updateTask: jest.fn().mockResolvedValue({ title: 'A' }),
+      toggleTaskStatus: jest.fn().mockResolvedValue({ title: 'A' }),
+      startTimer: jest.fn(),
+      stopTimer: jest.fn()
+    });
+
+    it('should send entries in order and report conflicts per entry', async () => {
+      const api = createApi();
+      api.getTask.mockImplementation(async taskId => {
+        if (taskId === 'Tasks/gone.md') throw notFound();
+        return { title: 'A' };
+      });
+      queue.add({ operation: 'create', text: 'Buy milk' });
+      queue.add({ operation: 'toggle-status', taskId: 'Tasks/gone.md' });
+      queue.add({ operation: 'update', taskId: 'Tasks/a.md', updates: { priority: 'high' } });
+
+      const results = await replayEntries(api, queue, queue.list());
+
+      expect(results.map(result => result.status)).toEqual(['success', 'conflict', 'success']);
+      expect(results[1].message).toBe('Tasks/gone.md no longer exists');
+      expect(api.toggleTaskStatus).not.toHaveBeenCalled();
+      expect(api.updateTask).toHaveBeenCalledWith('Tasks/a.md', { priority: 'high' });
+      expect(queue.list()).toEqual([expect.objectContaining({ id: 2, error: 'Tasks/gone.md no longer exists' })]);
+    });
+
+    it('should stop and keep the rest when TaskNotes is still down', async () => {
+      const api = createApi();
+      api.createTask.mockRejectedValue(refused());
+      queue.add({ operation: 'create', text: 'One' });
+      queue.add({ operation: 'create', text: 'Two' });
+
+      expect(await replayEntries(api, queue, queue.list())).toEqual([]);
+      expect(api.createTask).toHaveBeenCalledTimes(1);
+      expect(queue.list()).toHaveLength(2);
+    });
+
+    it('should move replayed timer starts back to when they were queued', async () => {
+      const api = createApi();
+      api.startTimer.mockResolvedValue({ title: 'A', timeEntries: [{ startTime: '2025-01-01T08:00:00Z', endTime: '2025-01-01T09:00:00Z' }, { startTime: '2025-01-02T11:00:00Z' }] });
+      const entry = queue.add({ operation: 'timer-start', taskId: 'Tasks/a.md' });
+
+      await replayEntries(api, queue, queue.list());
+
+      expect(api.updateTask).toHaveBeenCalledWith('Tasks/a.md', {
+        timeEntries: [
+          { startTime: '2025-01-01T08:00:00Z', endTime: '2025-01-01T09:00:00Z' },
+          { startTime: entry.queuedAt }
+        ]
+      });
+    });
+  });
+});
+
+describe('TaskNotesAPI write queue', () => {
+  let tempHome;
+  let queue;
+  let api;
+  let IsolatedQueuedError;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-queue-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let TaskNotesAPI;
+    let IsolatedWriteQueue;
+    jest.isolateModules(() => {
+      TaskNotesAPI = require('./api');
+      ({ QueuedError: IsolatedQueuedError, WriteQueue: IsolatedWriteQueue } = require('./queue'));
+    });
+    queue = new IsolatedWriteQueue(path.join(tempHome, 'queue.json'));
+    api = new TaskNotesAPI({ journal: false, cache: false, backend: 'api', queue });
+    api.request = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should queue changes when the connection is refused', async () => {
+    api.request.mockRejectedValue(refused());
+
+    await expect(api.createTask('Buy milk')).rejects.toBeInstanceOf(IsolatedQueuedError);
+    await expect(api.updateTask('Tasks/a.md', { priority: 'high' })).rejects.toBeInstanceOf(IsolatedQueuedError);
+    expect(queue.list()).toEqual([
+      expect.objectContaining({ operation: 'create', text: 'Buy milk', target: api.baseURL }),
+      expect.objectContaining({ operation: 'update', taskId: 'Tasks/a.md', updates: { priority: 'high' } })
+    ]);
+  });
+
+  it('should not queue other errors', async () => {
+    api.request.mockRejectedValue(new Error('HTTP 400: bad request'));
+    await expect(api.toggleTaskStatus('Tasks/a.md')).rejects.toThrow('HTTP 400');
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('should send each queued change once when two replays start together', async () => {
+    queue.add({ operation: 'create', text: 'Buy milk', target: api.baseURL });
+    const other = new api.constructor({ journal: false, cache: false, backend: 'api', queue: new queue.constructor(queue.filePath) });
+    const send = jest.fn(async () => ({ task: { title: 'Buy milk' } }));
+    delete api.request;
+    api.send = send;
+    other.send = send;
+
+    const results = await Promise.allSettled([api.replayQueue(), other.replayQueue()]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toContain('Another tn process is replaying');
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('should replay the queue after a health check before the first request', async () => {
+    queue.add({ operation: 'create', text: 'Buy milk', target: api.baseURL });
+    queue.add({ operation: 'create', text: 'Elsewhere', target: 'http://otherhost:8080' });
+    delete api.request;
+    api.send = jest.fn(async endpoint => (endpoint === '/api/nlp/create' ? { task: { title: 'Buy milk' } } : { total: 1 }));
+
+    await api.getStats();
+    await api.getStats();
+
+    expect(api.send.mock.calls.map(([endpoint]) => endpoint)).toEqual(['/api/health', '/api/nlp/create', '/api/stats', '/api/stats']);
+    expect(queue.list().map(entry => entry.text)).toEqual(['Elsewhere']);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Replayed 1 queued change'));
+  });
+
+  it('should not check health without queued changes', async () => {
+    delete api.request;
+    api.send = jest.fn(async () => ({ total: 1 }));
+
+    await api.getStats();
+    expect(api.send.mock.calls.map(([endpoint]) => endpoint)).toEqual(['/api/stats']);
+  });
+
+  it('should leave the queue unlocked while TaskNotes is down', async () => {
+    queue.add({ operation: 'create', text: 'Buy milk', target: api.baseURL });
+    delete api.request;
+    api.send = jest.fn().mockRejectedValue(refused());
+    jest.spyOn(queue, 'lock');
+
+    await expect(api.getStats()).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(api.send.mock.calls.map(([endpoint]) => endpoint)).toEqual(['/api/health', '/api/stats']);
+    expect(queue.lock).not.toHaveBeenCalled();
+    expect(queue.list()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Shared command runner
+ *
+ * Commands send their real request straight away instead of checking
+ * /api/health first. TaskNotesAPI falls back to the task files, cached
+ * reads or the write queue when that request cannot reach TaskNotes;
+ * runCommand reports whatever still fails the same way for every command.
+ */
+
+const { ConnectionError } = require('./errors');
+const { QueuedError, reportQueued } = require('./queue');
+const { showError, showErrorHint } = require('./utils');
+
+/**
+ * Run a command body and exit non-zero if it throws. failure prefixes the
+ * error message ("Failed to update task: ..."); connection failures get
+ * the standard message instead, and queued changes are reported as such.
+ *
+ * options.spinner     - ora spinner still running when the body throws
+ * options.spinnerText - text to fail that spinner with
+ */
+async function runCommand(failure, body, options = {}) {
+  try {
+    return await body();
+  } catch (error) {
+    const { spinner } = options;
+    if (error instanceof QueuedError) {
+      if (spinner) spinner.stop();
+      reportQueued(error);
+      return undefined;
+    }
+    if (spinner && spinner.isSpinning) {
+      spinner.fail(options.spinnerText);
+    }
+
+    if (error instanceof ConnectionError || !failure) {
+      showError(error.message);
+    } else {
+      showError(`${failure}: ${error.message}`);
+    }
+    showErrorHint(error);
+    process.exit(1);
+  }
+}
+
+module.exports = { runCommand };
@@ -0,0 +1,160 @@
+/**
+ * Tests for the shared command runner and commands without a health check
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./runner');
+const { ConnectionError, AuthError } = require('./errors');
+const { QueuedError } = require('./queue');
+
+const refused = () => new ConnectionError('Cannot connect to TaskNotes API at http://localhost:8080. Make sure TaskNotes is running with API enabled.', { code: 'ECONNREFUSED', hint: 'Check that Obsidian is open' });
+
+describe('runCommand', () => {
+  let exit;
+
+  beforeEach(() => {
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return what the body returns', async () => {
+    expect(await runCommand('Failed to list', async () => 3)).toBe(3);
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it('should prefix errors and print their hint', async () => {
+    await expect(runCommand('Failed to update task', async () => {
+      throw new AuthError('HTTP 401: Invalid token', { status: 401 });
+    })).rejects.toThrow('process.exit');
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to update task: HTTP 401: Invalid token'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('authToken'));
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should show connection failures with the standard message', async () => {
+    const spinner = { isSpinning: true, fail: jest.fn(), stop: jest.fn() };
+    await expect(runCommand('Failed to fetch statistics', async () => {
+      throw refused();
+    }, { spinner, spinnerText: 'Failed' })).rejects.toThrow('process.exit');
+
+    expect(spinner.fail).toHaveBeenCalledWith('Failed');
+    expect(console.error).toHaveBeenCalledWith(expect.not.stringContaining('Failed to fetch statistics'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Make sure TaskNotes is running'));
+  });
+
+  it('should report queued changes without failing', async () => {
+    const spinner = { isSpinning: true, fail: jest.fn(), stop: jest.fn() };
+    await runCommand('Failed to toggle task status', async () => {
+      throw new QueuedError({ id: 4, operation: 'toggle-status', taskId: 'Tasks/a.md' });
+    }, { spinner });
+
+    expect(spinner.stop).toHaveBeenCalled();
+    expect(spinner.fail).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Queued as #4'));
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
+
+describe('TaskNotesAPI without a health check', () => {
+  let tempHome;
+  let vault;
+  let TaskNotesAPI;
+  let config;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-runner-home-'));
+    vault = path.join(tempHome, 'Vault');
+    fs.mkdirSync(path.join(vault, '.obsidian'), { recursive: true });
+    fs.mkdirSync(path.join(vault, 'TaskNotes/Tasks'), { recursive: true });
+    fs.writeFileSync(path.join(vault, 'TaskNotes/Tasks/Offline.md'), '---\ntitle: Offline\nstatus: open\ntags: [task]\n---\n');
+
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.isolateModules(() => {
+      TaskNotesAPI = require('./api');
+      config = require('./config');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should switch the auto backend to the task files when the first request fails', async () => {
+    const api = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'auto' });
+    api.config.vaultPath = vault;
+    api.request = jest.fn().mockRejectedValue(refused());
+
+    const result = await api.listTasks({ limit: 10 });
+
+    expect(result.tasks.map(task => task.title)).toEqual(['Offline']);
+    expect(api.backend.name).toBe('files');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`using the task files in ${vault}`));
+
+    await api.getTask('TaskNotes/Tasks/Offline.md');
+    expect(api.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to the vault of the profile in use', async () => {
+    const workVault = path.join(tempHome, 'Work');
+    fs.mkdirSync(path.join(workVault, 'TaskNotes/Tasks'), { recursive: true });
+    fs.writeFileSync(path.join(workVault, 'TaskNotes/Tasks/Report.md'), '---\ntitle: Report\nstatus: open\ntags: [task]\n---\n');
+    config.set({ vaultPath: vault });
+    config.addProfile('work', { port: 8081 });
+    config.setSessionProfile('work');
+    config.setValue('vaultPath', workVault);
+
+    expect(config.getUserConfig().vaultPath).toBe(vault);
+    const work = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'auto' });
+    work.request = jest.fn().mockRejectedValue(refused());
+    expect((await work.listTasks({ limit: 10 })).tasks.map(task => task.title)).toEqual(['Report']);
+
+    // A profile without a vault never falls back to the top-level one
+    config.addProfile('home', { port: 8082 });
+    config.setSessionProfile('home');
+    const home = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'auto' });
+    home.request = jest.fn().mockRejectedValue(refused());
+    await expect(home.listTasks({ limit: 10 })).rejects.toThrow('Cannot connect');
+    expect(home.backend).toBeNull();
+    expect(() => new TaskNotesAPI({ backend: 'files' })).toThrow('Profile home has no vault folder');
+  });
+
+  it('should queue changes without another request once TaskNotes refused a connection', async () => {
+    const { WriteQueue } = require('./queue');
+    const queue = new WriteQueue(path.join(tempHome, 'queue.json'));
+    const api = new TaskNotesAPI({ journal: false, cache: false, queue, backend: 'api' });
+    api.send = jest.fn().mockRejectedValue(refused());
+
+    await expect(api.getTask('Tasks/a.md')).rejects.toThrow('Cannot connect');
+    expect(api.offline).toBe(true);
+
+    await expect(api.toggleTaskStatus('Tasks/a.md')).rejects.toThrow('Queued as #1');
+    expect(api.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fetch filter options once per process', async () => {
+    const first = new TaskNotesAPI({ journal: false, cache: false, backend: 'api' });
+    const second = new TaskNotesAPI({ journal: false, cache: false, backend: 'api' });
+    first.request = jest.fn().mockResolvedValue({ statuses: [] });
+    second.request = jest.fn().mockResolvedValue({ statuses: [] });
+
+    await first.getFilterOptions();
+    await first.getFilterOptions();
+    await second.getFilterOptions();
+
+    expect(first.request).toHaveBeenCalledTimes(1);
+    expect(second.request).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Ranked full-text search over tasks
+ *
+ * A query is made of words, "quoted phrases", -excluded terms and field
+ * qualifiers:
+ *   report "quarterly review" -draft tag:work project:"Website redesign"
+ *
+ * Every term that is not excluded must match the task somewhere. Matches
+ * score by field (title over tags, contexts and projects, over details)
+ * and by closeness: a whole word beats a prefix, which beats a word one or
+ * two typos away, which beats a match inside a longer word.
+ */
+
+// Fields searched, with the weight of a match in each
+const SEARCH_FIELDS = {
+  title: { weight: 10, values: task => [task.title] },
+  tags: { weight: 5, values: task => task.tags },
+  contexts: { weight: 5, values: task => task.contexts },
+  projects: { weight: 5, values: task => task.projects },
+  path: { weight: 2, values: task => [task.id || task.path] },
+  details: { weight: 1, values: task => [task.details] }
+};
+
+// Qualifier names accepted in queries ("tag:work")
+const FIELD_QUALIFIERS = {
+  title: 'title',
+  tag: 'tags',
+  tags: 'tags',
+  context: 'contexts',
+  contexts: 'contexts',
+  project: 'projects',
+  projects: 'projects',
+  path: 'path',
+  id: 'path',
+  details: 'details',
+  body: 'details'
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5,
+  substring: 0.4
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const TERM_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Split a query into terms. Each term has the words to match, whether they
+ * form a phrase, the field it is limited to (or null) and whether it
+ * excludes tasks. Unknown qualifiers ("http:") are kept as plain text.
+ */
+function parseSearchQuery(query) {
+  const include = [];
+  const exclude = [];
+
+  for (const match of String(query).matchAll(TERM_PATTERN)) {
+    const [raw, minus, qualifier, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    let field = null;
+    let text = quoted !== undefined ? quoted : bare;
+    if (qualifier) {
+      field = FIELD_QUALIFIERS[qualifier.toLowerCase()] || null;
+      if (!field) {
+        text = `${qualifier}:${text}`;
+      }
+    }
+
+    const words = tokenize(text);
+    if (words.length === 0) continue;
+
+    const term = { words, phrase: words.length > 1, field };
+    (minus ? exclude : include).push(term);
+  }
+
+  if (include.length === 0) {
+    throw new Error('Search for at least one word that is not excluded');
+  }
+  return { include, exclude };
+}
+
+// Typos allowed for a word: none for short words, two for long ones
+function allowedTypos(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+// Edit distance counting swapped neighbours as one edit, or max + 1 once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well one query word matches one word of a field, from 0 to 1
+function wordQuality(word, candidate, fuzzy = true) {
+  if (candidate === word) return MATCH_QUALITY.exact;
+  if (word.length >= 2 && candidate.startsWith(word)) return MATCH_QUALITY.prefix;
+  if (!fuzzy) return 0;
+
+  const typos = allowedTypos(word);
+  if (typos > 0 && editDistance(word, candidate, typos) <= typos) return MATCH_QUALITY.typo;
+  if (word.length >= 3 && candidate.includes(word)) return MATCH_QUALITY.substring;
+  return 0;
+}
+
+/**
+ * Best match of a term in a list of field words: { quality, words } with
+ * the field words that matched. Phrases must appear in order, the last
+ * word of a phrase may be a prefix.
+ */
+function matchTerm(term, fieldWords, fuzzy = true) {
+  if (term.phrase) {
+    const last = term.words.length - 1;
+    for (let start = 0; start + last < fieldWords.length; start++) {
+      const found = term.words.every((word, offset) => {
+        const candidate = fieldWords[start + offset];
+        return offset === last ? candidate.startsWith(word) : candidate === word;
+      });
+      if (found) {
+        return { quality: MATCH_QUALITY.exact, words: fieldWords.slice(start, start + last + 1) };
+      }
+    }
+    return { quality: 0, words: [] };
+  }
+
+  let best = { quality: 0, words: [] };
+  fieldWords.forEach(candidate => {
+    const quality = wordQuality(term.words[0], candidate, fuzzy);
+    if (quality > best.quality) {
+      best = { quality, words: [candidate] };
+    } else if (quality > 0 && quality === best.quality) {
+      best.words.push(candidate);
+    }
+  });
+  return best;
+}
+
+function fieldWordsOf(task) {
+  const words = {};
+  Object.entries(SEARCH_FIELDS).forEach(([field, { values }]) => {
+    words[field] = [].concat(values(task) || [])
+      .filter(value => value && (typeof value === 'string' || typeof value === 'number'))
+      .flatMap(value => tokenize(value));
+  });
+  return words;
+}
+
+/**
+ * Score one task against a parsed query. Returns null when a term is
+ * missing or an excluded term is present, otherwise { score, words, fields }
+ * with the matched words (for highlighting) and the fields they were in.
+ */
+function scoreTask(task, parsedQuery) {
+  const words = fieldWordsOf(task);
+  const fieldsFor = term => (term.field ? [term.field] : Object.keys(SEARCH_FIELDS));
+
+  // Exclusions only count whole words and prefixes, so a typo can't hide a task
+  const excluded = parsedQuery.exclude.some(term => fieldsFor(term).some(field => matchTerm(term, words[field], false).quality > 0));
+  if (excluded) {
+    return null;
+  }
+
+  let score = 0;
+  const matchedWords = new Set();
+  const matchedFields = new Set();
+
+  for (const term of parsedQuery.include) {
+    let best = 0;
+    fieldsFor(term).forEach(field => {
+      const match = matchTerm(term, words[field]);
+      if (match.quality === 0) return;
+
+      match.words.forEach(word => matchedWords.add(word));
+      matchedFields.add(field);
+      best = Math.max(best, SEARCH_FIELDS[field].weight * match.quality * term.words.length);
+    });
+
+    if (best === 0) {
+      return null;
+    }
+    score += best;
+  }
+
+  return { score, words: Array.from(matchedWords), fields: Array.from(matchedFields) };
+}
+
+/**
+ * Search tasks with a query string. Returns the matching tasks as
+ * { task, score, words, fields }, best first; ties keep title order.
+ */
+function searchTasks(tasks, query) {
+  const parsedQuery = parseSearchQuery(query);
+
+  return tasks
+    .map(task => ({ task, ...scoreTask(task, parsedQuery) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.task.title || '').localeCompare(String(b.task.title || '')));
+}
+
+/**
+ * Wrap the words of text that appear in matchedWords with style.
+ *   highlightMatches('Write report', ['report'], chalk.bold) => 'Write ' + bold('report')
+ */
+function highlightMatches(text, matchedWords, style) {
+  if (!text || matchedWords.length === 0) {
+    return text;
+  }
+  const wanted = new Set(matchedWords);
+  return String(text).replace(WORD_PATTERN, word => (wanted.has(word.toLowerCase()) ? style(word) : word));
+}
+
+/**
+ * A highlighted excerpt of about width characters around the first
+ * matched word in text, or null when none of the words is in it.
+ */
+function matchSnippet(text, matchedWords, style, width = 80) {
+  if (!text) {
+    return null;
+  }
+
+  const wanted = new Set(matchedWords);
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  let position = -1;
+  for (const match of flat.matchAll(WORD_PATTERN)) {
+    if (wanted.has(match[0].toLowerCase())) {
+      position = match.index;
+      break;
+    }
+  }
+  if (position === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, position - Math.floor(width / 3));
+  const end = Math.min(flat.length, start + width);
+  const excerpt = `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+  return highlightMatches(excerpt, matchedWords, style);
+}
+
+/**
+ * The lines of text that contain a matched word, highlighted, as
+ * { line, text } with 1-based line numbers; at most max lines.
+ */
+function matchingLines(text, matchedWords, style, max = 3) {
+  if (!text) {
+    return [];
+  }
+
+  const wanted = new Set(matchedWords);
+  const lines = [];
+  String(text).split(/\r?\n/).some((lineText, index) => {
+    if (tokenize(lineText).some(word => wanted.has(word))) {
+      lines.push({ line: index + 1, text: highlightMatches(lineText.trim(), matchedWords, style) });
+    }
+    return lines.length >= max;
+  });
+  return lines;
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  searchTasks,
+  highlightMatches,
+  matchSnippet,
+  matchingLines,
+  editDistance
+};
@@ -0,0 +1,130 @@
+/**
+ * Tests for ranked task search
+ */
+
+const { parseSearchQuery, searchTasks, highlightMatches, matchSnippet, matchingLines, editDistance } = require('./search');
+
+describe('search', () => {
+  const tasks = [
+    { path: 'Tasks/Write quarterly report.md', title: 'Write quarterly report', tags: ['work'], projects: ['[[Finance]]'] },
+    { path: 'Tasks/Review draft report.md', title: 'Review draft report', tags: ['work', 'draft'] },
+    { path: 'Tasks/Call plumber.md', title: 'Call plumber', tags: ['home'], details: 'Ask about the quarterly report on the boiler service' },
+    { path: 'Tasks/Plan offsite.md', title: 'Plan offsite', contexts: ['office'], projects: ['Quarterly review'] },
+    { path: 'Tasks/Buy milk.md', title: 'Buy milk', tags: ['errands'] }
+  ];
+  const titles = results => results.map(result => result.task.title);
+
+  describe('parseSearchQuery', () => {
+    it('should split words, phrases, exclusions and qualifiers', () => {
+      expect(parseSearchQuery('Report "quarterly review" -draft tag:work project:"Website redesign"')).toEqual({
+        include: [
+          { words: ['report'], phrase: false, field: null },
+          { words: ['quarterly', 'review'], phrase: true, field: null },
+          { words: ['work'], phrase: false, field: 'tags' },
+          { words: ['website', 'redesign'], phrase: true, field: 'projects' }
+        ],
+        exclude: [
+          { words: ['draft'], phrase: false, field: null }
+        ]
+      });
+    });
+
+    it('should keep unknown qualifiers as text', () => {
+      expect(parseSearchQuery('see:notes').include).toEqual([{ words: ['see', 'notes'], phrase: true, field: null }]);
+    });
+
+    it('should need a term that is not excluded', () => {
+      expect(() => parseSearchQuery('-draft')).toThrow('at least one word');
+      expect(() => parseSearchQuery('"" -')).toThrow('at least one word');
+    });
+  });
+
+  describe('searchTasks', () => {
+    it('should rank title matches over tags, projects and details', () => {
+      expect(titles(searchTasks(tasks, 'quarterly'))).toEqual(['Write quarterly report', 'Plan offsite', 'Call plumber']);
+    });
+
+    it('should need every term to match', () => {
+      expect(titles(searchTasks(tasks, 'report work'))).toEqual(['Review draft report', 'Write quarterly report']);
+      expect(searchTasks(tasks, 'report milk')).toEqual([]);
+    });
+
+    it('should tolerate typos and match prefixes', () => {
+      expect(titles(searchTasks(tasks, 'plumbr'))).toEqual(['Call plumber']);
+      expect(titles(searchTasks(tasks, 'quartelry'))[0]).toBe('Write quarterly report');
+      expect(titles(searchTasks(tasks, 'plum'))).toEqual(['Call plumber']);
+      expect(searchTasks(tasks, 'mlk')).toEqual([]);
+    });
+
+    it('should rank exact words over typos', () => {
+      const [exact, typo] = searchTasks([{ title: 'Plan trip' }, { title: 'Plant trees' }], 'plan');
+      expect(exact.task.title).toBe('Plan trip');
+      expect(exact.score).toBeGreaterThan(typo.score);
+    });
+
+    it('should match phrases in order', () => {
+      expect(titles(searchTasks(tasks, '"quarterly report"'))).toEqual(['Write quarterly report', 'Call plumber']);
+      expect(searchTasks(tasks, '"report quarterly"')).toEqual([]);
+    });
+
+    it('should drop tasks with excluded terms', () => {
+      expect(titles(searchTasks(tasks, 'report -draft'))).toEqual(['Write quarterly report', 'Call plumber']);
+    });
+
+    it('should limit qualified terms to their field', () => {
+      expect(titles(searchTasks(tasks, 'title:quarterly'))).toEqual(['Write quarterly report']);
+      expect(titles(searchTasks(tasks, 'project:finance'))).toEqual(['Write quarterly report']);
+      expect(titles(searchTasks(tasks, 'body:boiler'))).toEqual(['Call plumber']);
+      expect(titles(searchTasks(tasks, 'context:office'))).toEqual(['Plan offsite']);
+    });
+
+    it('should report the matched words and fields', () => {
+      const [result] = searchTasks(tasks, 'boiler');
+      expect(result.words).toEqual(['boiler']);
+      expect(result.fields).toEqual(['details']);
+    });
+
+    it('should skip values that are not text', () => {
+      expect(titles(searchTasks([{ title: 'Odd', tags: [null, 3, { x: 1 }] }], 'odd'))).toEqual(['Odd']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count swapped letters as one edit', () => {
+      expect(editDistance('form', 'from', 2)).toBe(1);
+      expect(editDistance('kitten', 'sitting', 5)).toBe(3);
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('highlighting', () => {
+    const mark = text => `[${text}]`;
+
+    it('should wrap matched words in the original case', () => {
+      expect(highlightMatches('Write Quarterly report', ['quarterly', 'report'], mark)).toBe('Write [Quarterly] [report]');
+      expect(highlightMatches('Write report', [], mark)).toBe('Write report');
+    });
+
+    it('should excerpt text around the first match', () => {
+      const details = `${'intro '.repeat(20)}call the boiler company\nabout the service ${'outro '.repeat(20)}`;
+      const snippet = matchSnippet(details, ['boiler'], mark, 40);
+
+      expect(snippet).toMatch(/^….*\[boiler\].*…$/);
+      expect(snippet.length).toBeLessThan(50);
+      expect(snippet).not.toContain('\n');
+      expect(matchSnippet(details, ['missing'], mark)).toBeNull();
+    });
+
+    it('should list the lines with matches', () => {
+      const body = 'Call the plumber\n\n  Ask about the BOILER service\nPay the boiler invoice\nboiler again\nboiler once more';
+
+      expect(matchingLines(body, ['boiler'], mark)).toEqual([
+        { line: 3, text: 'Ask about the [BOILER] service' },
+        { line: 4, text: 'Pay the [boiler] invoice' },
+        { line: 5, text: '[boiler] again' }
+      ]);
+      expect(matchingLines(body, ['boiler'], mark, 1)).toHaveLength(1);
+      expect(matchingLines(undefined, ['boiler'], mark)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Sorting and grouping for task lists
+ *
+ * Sort specs are comma-separated keys, with "-" for descending order:
+ *   due,-priority,title
+ *
+ * Priority and status order come from /api/filter-options, so they follow
+ * the user's TaskNotes settings rather than alphabetical order.
+ */
+
+const { format, parseISO, isValid, addDays, endOfWeek } = require('date-fns');
+
+// Fallback priority order (lowest first) when filter options are unavailable
+const DEFAULT_PRIORITIES = ['none', 'low', 'normal', 'medium', 'high', 'urgent'];
+
+// Sort key aliases, matching the filter property names where possible
+const SORT_FIELDS = {
+  'due': 'due',
+  'scheduled': 'scheduled',
+  'priority': 'priority',
+  'status': 'status',
+  'title': 'title',
+  'estimate': 'timeEstimate',
+  'timeEstimate': 'timeEstimate',
+  'created': 'dateCreated',
+  'modified': 'dateModified',
+  'completed': 'completedDate',
+  'completedDate': 'completedDate'
+};
+
+const GROUP_FIELDS = ['project', 'status', 'priority', 'context', 'due-bucket'];
+
+const DUE_BUCKETS = ['Overdue', 'Today', 'Tomorrow', 'This week', 'Later', 'No due date'];
+
+function parseSortSpec(spec) {
+  if (!spec || !spec.trim()) {
+    return [];
+  }
+
+  return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const descending = part.startsWith('-');
+    const key = descending ? part.slice(1) : part;
+
+    if (!SORT_FIELDS[key]) {
+      throw new Error(`Unknown sort key: ${key}. Valid keys: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    return { key, field: SORT_FIELDS[key], descending };
+  });
+}
+
+/**
+ * Build a value -> rank map from a list of filter option entries (strings or
+ * { value, weight } objects). Entries with a weight are ranked by weight,
+ * others keep their position in the list.
+ */
+function buildRanking(entries) {
+  const ranking = {};
+  (entries || []).forEach((entry, index) => {
+    const value = typeof entry === 'object' ? entry.value : entry;
+    const weight = typeof entry === 'object' && typeof entry.weight === 'number' ? entry.weight : index;
+    ranking[value] = weight;
+  });
+  return ranking;
+}
+
+/**
+ * Create the context used for ordering priorities and statuses
+ */
+function createSortContext(filterOptions) {
+  const priorities = filterOptions && filterOptions.priorities && filterOptions.priorities.length > 0
+    ? filterOptions.priorities
+    : DEFAULT_PRIORITIES;
+
+  return {
+    priorityRank: buildRanking(priorities),
+    statusRank: buildRanking(filterOptions && filterOptions.statuses)
+  };
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function getSortValue(task, field, context) {
+  const value = field === 'timeEstimate' && isMissing(task.timeEstimate) ? task.estimate : task[field];
+  if (isMissing(value)) {
+    return null;
+  }
+
+  if (field === 'priority') {
+    return context.priorityRank[value] !== undefined ? context.priorityRank[value] : null;
+  }
+  if (field === 'status') {
+    return context.statusRank[value] !== undefined ? context.statusRank[value] : value;
+  }
+  if (field === 'timeEstimate') {
+    return Number(value);
+  }
+  if (field === 'title') {
+    return String(value).toLowerCase();
+  }
+  return String(value);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Sort tasks by a parsed or raw sort spec. Tasks without a value for a key
+ * always sort last, whichever direction is requested.
+ */
+function sortTasks(tasks, spec, context = createSortContext()) {
+  const keys = typeof spec === 'string' ? parseSortSpec(spec) : spec;
+  if (!keys || keys.length === 0) {
+    return tasks.slice();
+  }
+
+  return tasks.slice().sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const aValue = getSortValue(a, field, context);
+      const bValue = getSortValue(b, field, context);
+
+      if (aValue === null && bValue === null) continue;
+      if (aValue === null) return 1;
+      if (bValue === null) return -1;
+
+      const result = compareValues(aValue, bValue);
+      if (result !== 0) {
+        return descending ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+function getDueBucket(task, now) {
+  if (!task.due) {
+    return 'No due date';
+  }
+
+  const due = parseISO(task.due);
+  if (!isValid(due)) {
+    return 'No due date';
+  }
+
+  const dueDay = format(due, 'yyyy-MM-dd');
+  const today = format(now, 'yyyy-MM-dd');
+
+  if (dueDay < today) return 'Overdue';
+  if (dueDay === today) return 'Today';
+  if (dueDay === format(addDays(now, 1), 'yyyy-MM-dd')) return 'Tomorrow';
+  if (dueDay <= format(endOfWeek(now, { weekStartsOn: 1 }), 'yyyy-MM-dd')) return 'This week';
+  return 'Later';
+}
+
+function cleanName(value) {
+  return String(value).replace(/^\[\[|\]\]$/g, '');
+}
+
+// Group keys for a task; tasks in several projects or contexts appear in each group
+function getGroupKeys(task, groupBy, now) {
+  switch (groupBy) {
+    case 'project': {
+      const projects = (task.projects || []).filter(p => p && typeof p === 'string').map(cleanName);
+      return projects.length > 0 ? projects : [null];
+    }
+    case 'context': {
+      const contexts = (task.contexts || []).filter(c => c && typeof c === 'string');
+      return contexts.length > 0 ? contexts : [null];
+    }
+    case 'status':
+      return [task.status || null];
+    case 'priority':
+      return [task.priority || null];
+    case 'due-bucket':
+      return [getDueBucket(task, now)];
+    default:
+      throw new Error(`Unknown group: ${groupBy}. Valid groups: ${GROUP_FIELDS.join(', ')}`);
+  }
+}
+
+function getGroupLabel(key, groupBy) {
+  if (key !== null) {
+    return key;
+  }
+  return `(no ${groupBy})`;
+}
+
+/**
+ * Group tasks, keeping the existing task order within each group.
+ * Returns [{ key, label, count, tasks }] ordered by the group's natural order.
+ */
+function groupTasks(tasks, groupBy, context = createSortContext(), now = new Date()) {
+  if (!GROUP_FIELDS.includes(groupBy)) {
+    throw new Error(`Unknown group: ${groupBy}. Valid groups: ${GROUP_FIELDS.join(', ')}`);
+  }
+
+  const groups = new Map();
+  tasks.forEach(task => {
+    getGroupKeys(task, groupBy, now).forEach(key => {
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: getGroupLabel(key, groupBy), count: 0, tasks: [] });
+      }
+      const group = groups.get(key);
+      group.tasks.push(task);
+      group.count++;
+    });
+  });
+
+  const rank = (key) => {
+    if (groupBy === 'due-bucket') return DUE_BUCKETS.indexOf(key);
+    // Highest priority first
+    if (groupBy === 'priority') return context.priorityRank[key] !== undefined ? -context.priorityRank[key] : null;
+    if (groupBy === 'status') return context.statusRank[key] !== undefined ? context.statusRank[key] : null;
+    return null;
+  };
+
+  return Array.from(groups.values()).sort((a, b) => {
+    // The "no value" group always goes last
+    if (a.key === null) return 1;
+    if (b.key === null) return -1;
+
+    const aRank = rank(a.key);
+    const bRank = rank(b.key);
+    if (aRank !== null && bRank !== null && aRank !== bRank) return aRank - bRank;
+    if (aRank !== null && bRank === null) return -1;
+    if (aRank === null && bRank !== null) return 1;
+    return String(a.key).localeCompare(String(b.key));
+  });
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  parseSortSpec,
+  createSortContext,
+  sortTasks,
+  groupTasks,
+  getDueBucket
+};
@@ -0,0 +1,109 @@
+/**
+ * Tests for task sorting and grouping
+ */
+
+const { parseSortSpec, createSortContext, sortTasks, groupTasks, getDueBucket } = require('./sorting');
+
+describe('sorting', () => {
+  const filterOptions = {
+    statuses: [{ value: 'open' }, { value: 'in-progress' }, { value: 'done' }],
+    priorities: [
+      { value: 'high', weight: 3 },
+      { value: 'low', weight: 1 },
+      { value: 'normal', weight: 2 }
+    ]
+  };
+  const context = createSortContext(filterOptions);
+
+  const tasks = [
+    { title: 'Beta', priority: 'low', status: 'done', due: '2025-08-22', projects: ['[[Website]]'] },
+    { title: 'alpha', priority: 'high', status: 'open', due: '2025-08-20', projects: ['Website', 'Blog'] },
+    { title: 'Gamma', priority: 'normal', status: 'in-progress', contexts: ['office'] },
+    { title: 'Delta', priority: 'high', status: 'open', due: '2025-08-20' }
+  ];
+
+  const titles = (list) => list.map(task => task.title);
+
+  describe('parseSortSpec', () => {
+    it('should parse keys and directions', () => {
+      expect(parseSortSpec('due,-priority,title')).toEqual([
+        { key: 'due', field: 'due', descending: false },
+        { key: 'priority', field: 'priority', descending: true },
+        { key: 'title', field: 'title', descending: false }
+      ]);
+    });
+
+    it('should reject unknown keys', () => {
+      expect(() => parseSortSpec('due,colour')).toThrow('Unknown sort key: colour');
+    });
+  });
+
+  describe('sortTasks', () => {
+    it('should sort priority by filter option weight, not alphabetically', () => {
+      expect(titles(sortTasks(tasks, '-priority,title', context))).toEqual(['alpha', 'Delta', 'Gamma', 'Beta']);
+    });
+
+    it('should apply keys in order and put missing values last', () => {
+      expect(titles(sortTasks(tasks, 'due,-priority,title', context))).toEqual(['alpha', 'Delta', 'Beta', 'Gamma']);
+      expect(titles(sortTasks(tasks, '-due', context))).toEqual(['Beta', 'alpha', 'Delta', 'Gamma']);
+    });
+
+    it('should sort statuses in filter option order', () => {
+      expect(titles(sortTasks(tasks, 'status,title', context))).toEqual(['alpha', 'Delta', 'Gamma', 'Beta']);
+    });
+
+    it('should not modify the input array', () => {
+      const copy = tasks.slice();
+      sortTasks(tasks, 'title', context);
+      expect(tasks).toEqual(copy);
+    });
+  });
+
+  describe('groupTasks', () => {
+    it('should group by project with a trailing no-project group', () => {
+      const groups = groupTasks(tasks, 'project', context);
+
+      expect(groups.map(g => [g.label, g.count])).toEqual([
+        ['Blog', 1],
+        ['Website', 2],
+        ['(no project)', 2]
+      ]);
+    });
+
+    it('should order priority groups highest first', () => {
+      const groups = groupTasks(tasks, 'priority', context);
+      expect(groups.map(g => g.key)).toEqual(['high', 'normal', 'low']);
+    });
+
+    it('should group by due bucket', () => {
+      const now = new Date(2025, 7, 20, 12, 0);
+      const groups = groupTasks(tasks, 'due-bucket', context, now);
+
+      expect(groups.map(g => [g.key, g.count])).toEqual([
+        ['Today', 2],
+        ['This week', 1],
+        ['No due date', 1]
+      ]);
+    });
+
+    it('should reject unknown groups', () => {
+      expect(() => groupTasks(tasks, 'colour', context)).toThrow('Unknown group: colour');
+    });
+  });
+
+  describe('getDueBucket', () => {
+    // Wednesday
+    const now = new Date(2025, 7, 20, 12, 0);
+
+    it.each([
+      ['2025-08-19', 'Overdue'],
+      ['2025-08-20T18:00', 'Today'],
+      ['2025-08-21', 'Tomorrow'],
+      ['2025-08-24', 'This week'],
+      ['2025-08-25', 'Later'],
+      [undefined, 'No due date']
+    ])('should put %s in %s', (due, bucket) => {
+      expect(getDueBucket({ due }, now)).toBe(bucket);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Task fields from command-line options
+ *
+ * Commands that take task fields as flags (--title, --priority, --tags,
+ * ...) turn them into the task data sent to createTaskFromData. `tn create`
+ * also lays them over the natural language result from parseText, which
+ * names some fields differently (dueDate and dueTime, estimate).
+ */
+
+// Flags that take a comma-separated list
+const LIST_FIELDS = ['tags', 'contexts', 'projects'];
+
+// A whole --estimate of one template variable, filled in at create time
+const VARIABLE_ESTIMATE = /^\{\{\s*[\w-]+\s*\}\}$/;
+
+// Flags copied as they are
+const TEXT_FIELDS = ['title', 'status', 'priority', 'due', 'scheduled', 'recurrence', 'details'];
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Task data from the field flags that were given; the estimate is in
+ * minutes and goes to timeEstimate.
+ *   taskDataFromOptions({ title: 'Ship', tags: 'release,q3', estimate: '90' })
+ *     => { title: 'Ship', tags: ['release', 'q3'], timeEstimate: 90 }
+ *
+ * settings.variables - accept a "{{minutes}}" estimate, kept as text (templates)
+ */
+function taskDataFromOptions(options = {}, settings = {}) {
+  const taskData = {};
+
+  TEXT_FIELDS.forEach(field => {
+    if (options[field] !== undefined) {
+      taskData[field] = options[field];
+    }
+  });
+
+  LIST_FIELDS.forEach(field => {
+    if (options[field] !== undefined) {
+      taskData[field] = parseList(options[field]);
+    }
+  });
+
+  if (options.estimate !== undefined) {
+    const estimate = String(options.estimate).trim();
+    const minutes = Number(options.estimate);
+    if (settings.variables && VARIABLE_ESTIMATE.test(estimate)) {
+      taskData.timeEstimate = estimate;
+    } else if (!Number.isInteger(minutes) || minutes < 0) {
+      throw new Error(`--estimate must be a whole number of minutes${settings.variables ? ' or a {{variable}}' : ''}`);
+    } else {
+      taskData.timeEstimate = minutes;
+    }
+  }
+
+  return taskData;
+}
+
+/**
+ * Lay explicit task data over a parseText result; the explicit fields win,
+ * lists included. The result keeps the parseText field names, so it can
+ * be shown with formatPreview.
+ */
+function mergeParsed(parsed = {}, taskData = {}) {
+  const merged = { ...parsed };
+  Object.entries(taskData).forEach(([field, value]) => {
+    if (field === 'due' || field === 'scheduled') {
+      merged[`${field}Date`] = value;
+      delete merged[`${field}Time`];
+    } else if (field === 'timeEstimate') {
+      merged.estimate = value;
+    } else {
+      merged[field] = value;
+    }
+  });
+  return merged;
+}
+
+// Task data for createTaskFromData from a (merged) parseText result
+function parsedToTaskData(parsed) {
+  const dateTime = (date, time) => (date && time ? `${date}T${time}` : date);
+  const taskData = {
+    title: parsed.title,
+    status: parsed.status,
+    priority: parsed.priority,
+    due: dateTime(parsed.dueDate, parsed.dueTime),
+    scheduled: dateTime(parsed.scheduledDate, parsed.scheduledTime),
+    tags: parsed.tags,
+    contexts: parsed.contexts,
+    projects: parsed.projects,
+    timeEstimate: parsed.estimate,
+    recurrence: parsed.recurrence,
+    details: parsed.details
+  };
+
+  Object.keys(taskData).forEach(field => {
+    const value = taskData[field];
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete taskData[field];
+    }
+  });
+  return taskData;
+}
+
+/**
+ * Create a task from natural language text with taskData laid over what
+ * was parsed from it. Returns { task, parsed } like createTask.
+ */
+async function createTaskWithFields(api, text, taskData) {
+  const result = await api.parseText(text);
+  const parsed = mergeParsed(result.parsed, taskData);
+  const task = await api.createTaskFromData(parsedToTaskData(parsed));
+  return { task, parsed };
+}
+
+module.exports = {
+  parseList,
+  taskDataFromOptions,
+  mergeParsed,
+  parsedToTaskData,
+  createTaskWithFields
+};
@@ -0,0 +1,74 @@
+/**
+ * Tests for task fields from command-line options
+ */
+
+const { mergeParsed, parsedToTaskData, createTaskWithFields } = require('./task-fields');
+
+describe('task fields', () => {
+  const parsed = {
+    title: 'Review budget',
+    priority: 'low',
+    dueDate: '2026-03-10',
+    dueTime: '14:00',
+    scheduledDate: '2026-03-09',
+    tags: ['finance'],
+    contexts: [],
+    projects: ['Budget'],
+    estimate: 30
+  };
+
+  describe('mergeParsed', () => {
+    it('should let explicit fields win and keep the parseText names', () => {
+      const merged = mergeParsed(parsed, { priority: 'high', due: '2026-03-12', tags: ['q3'], timeEstimate: 90 });
+
+      expect(merged).toMatchObject({
+        title: 'Review budget',
+        priority: 'high',
+        dueDate: '2026-03-12',
+        scheduledDate: '2026-03-09',
+        tags: ['q3'],
+        estimate: 90
+      });
+      expect(merged).not.toHaveProperty('dueTime');
+      expect(parsed.dueTime).toBe('14:00');
+    });
+
+    it('should handle a missing parse result', () => {
+      expect(mergeParsed(undefined, { status: 'open' })).toEqual({ status: 'open' });
+    });
+  });
+
+  describe('parsedToTaskData', () => {
+    it('should join dates and times and drop empty fields', () => {
+      expect(parsedToTaskData(parsed)).toEqual({
+        title: 'Review budget',
+        priority: 'low',
+        due: '2026-03-10T14:00',
+        scheduled: '2026-03-09',
+        tags: ['finance'],
+        projects: ['Budget'],
+        timeEstimate: 30
+      });
+    });
+  });
+
+  describe('createTaskWithFields', () => {
+    it('should parse the text and create the merged task', async () => {
+      const api = {
+        parseText: jest.fn(async () => ({ parsed })),
+        createTaskFromData: jest.fn(async taskData => ({ ...taskData, id: 'Tasks/Review budget.md' }))
+      };
+
+      const result = await createTaskWithFields(api, 'Review budget tomorrow 2pm', { status: 'in-progress', recurrence: 'FREQ=WEEKLY' });
+
+      expect(api.parseText).toHaveBeenCalledWith('Review budget tomorrow 2pm');
+      expect(api.createTaskFromData).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'in-progress',
+        recurrence: 'FREQ=WEEKLY',
+        due: '2026-03-10T14:00'
+      }));
+      expect(result.task.id).toBe('Tasks/Review budget.md');
+      expect(result.parsed.status).toBe('in-progress');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Task templates
+ *
+ * A template is a JSON file in ~/.tasknotes-cli/templates/ holding the
+ * fields of a task that gets created again and again, with {{variable}}
+ * placeholders:
+ *
+ *   {
+ *     "description": "Release checklist",
+ *     "variables": { "version": null, "owner": "me" },
+ *     "task": {
+ *       "title": "Release {{version}}",
+ *       "tags": ["release"],
+ *       "timeEstimate": 120,
+ *       "due": "{{today}}"
+ *     }
+ *   }
+ *
+ * Variables set to null must be given with --var; the others are defaults.
+ * {{today}} and {{tomorrow}} are always available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format, addDays } = require('date-fns');
+const config = require('./config');
+
+const NAME_PATTERN = /^[\w-]+$/;
+const PLACEHOLDER = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// Filled in without --var
+const BUILT_IN_VARIABLES = ['today', 'tomorrow'];
+
+function builtInVariables(now = new Date()) {
+  return {
+    today: format(now, 'yyyy-MM-dd'),
+    tomorrow: format(addDays(now, 1), 'yyyy-MM-dd')
+  };
+}
+
+function validateName(name) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid template name: ${name || '(none)'}. Use letters, numbers, "-" and "_"`);
+  }
+}
+
+// Check the shape of a template read from disk or given to save()
+function validateTemplate(name, template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error(`Template ${name} must be a JSON object`);
+  }
+  if (!template.task || typeof template.task !== 'object' || Array.isArray(template.task)) {
+    throw new Error(`Template ${name} needs a "task" object with the task fields`);
+  }
+  if (!template.task.title) {
+    throw new Error(`Template ${name} needs a task title`);
+  }
+  if (template.variables !== undefined && (typeof template.variables !== 'object' || Array.isArray(template.variables))) {
+    throw new Error(`"variables" in template ${name} must map names to default values`);
+  }
+}
+
+class TemplateStore {
+  constructor(dirPath = path.join(config.getDir(), 'templates')) {
+    this.dirPath = dirPath;
+  }
+
+  filePath(name) {
+    validateName(name);
+    return path.join(this.dirPath, `${name}.json`);
+  }
+
+  // Template names, sorted
+  names() {
+    if (!fs.existsSync(this.dirPath)) {
+      return [];
+    }
+    return fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(name => NAME_PATTERN.test(name))
+      .sort();
+  }
+
+  // Whether there is a file for this template, readable or not
+  has(name) {
+    return fs.existsSync(this.filePath(name));
+  }
+
+  // Every template as { name, template }, or { name, error } when its file can't be used
+  entries() {
+    return this.names().map(name => {
+      try {
+        return { name, template: this.get(name) };
+      } catch (error) {
+        return { name, error: error.message };
+      }
+    });
+  }
+
+  // The template with this name, or null
+  get(name) {
+    const filePath = this.filePath(name);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read template ${name} (${filePath}): ${error.message}`);
+    }
+    validateTemplate(name, template);
+    return template;
+  }
+
+  save(name, template) {
+    const filePath = this.filePath(name);
+    validateTemplate(name, template);
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(template, null, 2) + '\n');
+    return filePath;
+  }
+
+  // Whether there was a template to remove
+  remove(name) {
+    const filePath = this.filePath(name);
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+  }
+}
+
+// Names of the placeholders used in the template's task fields, in order of appearance
+function templateVariables(template) {
+  const names = new Set();
+  const visit = value => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER)) {
+        names.add(match[1]);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(template.task);
+  return Array.from(names);
+}
+
+/**
+ * Parse --var values ("version=2.3") into { version: '2.3' }
+ */
+function parseVariables(assignments = []) {
+  const variables = {};
+  [].concat(assignments).forEach(assignment => {
+    const match = String(assignment).match(/^([\w-]+)=(.*)$/s);
+    if (!match) {
+      throw new Error(`Invalid --var ${assignment}. Use name=value`);
+    }
+    variables[match[1]] = match[2];
+  });
+  return variables;
+}
+
+/**
+ * The task data for a template with its placeholders filled in. given
+ * values win over the template's defaults, which win over {{today}} and
+ * {{tomorrow}}. Throws if a placeholder has no value or a given variable
+ * is not used by the template.
+ */
+function fillTemplate(name, template, given = {}, now = new Date()) {
+  const used = templateVariables(template);
+  const declared = Object.keys(template.variables || {});
+
+  const unknown = Object.keys(given).filter(variable => !used.includes(variable) && !declared.includes(variable));
+  if (unknown.length > 0) {
+    throw new Error(`Template ${name} has no variable ${unknown.join(', ')}${used.length > 0 ? `. Its variables: ${used.join(', ')}` : ''}`);
+  }
+
+  const defaults = Object.fromEntries(Object.entries(template.variables || {}).filter(([, value]) => value !== null && value !== undefined));
+  const values = { ...builtInVariables(now), ...defaults, ...given };
+
+  const missing = used.filter(variable => values[variable] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Template ${name} needs ${missing.map(variable => `--var ${variable}=<value>`).join(' ')}`);
+  }
+
+  const fill = value => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, (placeholder, variable) => String(values[variable]));
+    }
+    if (Array.isArray(value)) {
+      return value.map(fill).filter(item => item !== '');
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+    }
+    return value;
+  };
+
+  const taskData = fill(template.task);
+  // A placeholder for the estimate ("{{minutes}}") still has to be sent as a number
+  if (typeof taskData.timeEstimate === 'string') {
+    if (!/^\d+$/.test(taskData.timeEstimate.trim())) {
+      throw new Error(`Template ${name} needs a whole number of minutes for its estimate, not "${taskData.timeEstimate}"`);
+    }
+    taskData.timeEstimate = parseInt(taskData.timeEstimate, 10);
+  }
+  return taskData;
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  TemplateStore,
+  templateVariables,
+  parseVariables,
+  fillTemplate,
+  validateName
+};
@@ -0,0 +1,150 @@
+/**
+ * Tests for task templates and task fields from options
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateStore, templateVariables, parseVariables, fillTemplate } = require('./templates');
+const { taskDataFromOptions } = require('./task-fields');
+
+describe('templates', () => {
+  const release = {
+    description: 'Release checklist',
+    variables: { version: null, owner: 'me' },
+    task: {
+      title: 'Release {{version}}',
+      tags: ['release', '{{ area }}'],
+      projects: ['[[Releases]]'],
+      timeEstimate: '{{minutes}}',
+      due: '{{tomorrow}}',
+      details: 'Owner: {{owner}}\n- [ ] Tag {{version}}'
+    }
+  };
+  const now = new Date(2026, 2, 9, 12, 0);
+
+  describe('TemplateStore', () => {
+    let tempDir;
+    let store;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-templates-'));
+      store = new TemplateStore(path.join(tempDir, 'templates'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should save, list, read and remove templates', () => {
+      expect(store.names()).toEqual([]);
+
+      const filePath = store.save('release', release);
+      store.save('bug-report', { task: { title: 'Bug: {{summary}}' } });
+
+      expect(filePath).toBe(path.join(tempDir, 'templates', 'release.json'));
+      expect(store.names()).toEqual(['bug-report', 'release']);
+      expect(store.get('release')).toEqual(release);
+      expect(store.get('missing')).toBeNull();
+
+      expect(store.remove('release')).toBe(true);
+      expect(store.remove('release')).toBe(false);
+      expect(store.names()).toEqual(['bug-report']);
+    });
+
+    it('should reject bad names and templates', () => {
+      expect(() => store.save('../escape', release)).toThrow('Invalid template name');
+      expect(() => store.save('empty', {})).toThrow('needs a "task" object');
+      expect(() => store.save('untitled', { task: { tags: ['x'] } })).toThrow('needs a task title');
+      expect(() => store.save('vars', { task: { title: 'x' }, variables: ['a'] })).toThrow('must map names');
+    });
+
+    it('should name the file of a template that is not valid JSON', () => {
+      fs.mkdirSync(store.dirPath, { recursive: true });
+      fs.writeFileSync(path.join(store.dirPath, 'broken.json'), '{ "task": ');
+      expect(() => store.get('broken')).toThrow(`Could not read template broken (${path.join(store.dirPath, 'broken.json')})`);
+    });
+
+    it('should list broken templates next to the others and let them be replaced', () => {
+      store.save('release', release);
+      fs.writeFileSync(path.join(store.dirPath, 'broken.json'), '{ "task": ');
+      fs.writeFileSync(path.join(store.dirPath, 'untitled.json'), '{ "task": {} }');
+
+      const entries = store.entries();
+      expect(entries.map(entry => entry.name)).toEqual(['broken', 'release', 'untitled']);
+      expect(entries[0].error).toMatch('Could not read template broken');
+      expect(entries[1]).toEqual({ name: 'release', template: release });
+      expect(entries[2].error).toBe('Template untitled needs a task title');
+
+      expect(store.has('broken')).toBe(true);
+      store.save('broken', release);
+      expect(store.get('broken')).toEqual(release);
+    });
+  });
+
+  describe('templateVariables', () => {
+    it('should list the placeholders in order', () => {
+      expect(templateVariables(release)).toEqual(['version', 'area', 'minutes', 'tomorrow', 'owner']);
+    });
+  });
+
+  describe('parseVariables', () => {
+    it('should split name=value, keeping "=" in values', () => {
+      expect(parseVariables(['version=2.3', 'note=a=b', 'empty='])).toEqual({ version: '2.3', note: 'a=b', empty: '' });
+      expect(() => parseVariables(['version'])).toThrow('Invalid --var version');
+    });
+  });
+
+  describe('fillTemplate', () => {
+    it('should fill placeholders from --var, defaults and the date', () => {
+      const taskData = fillTemplate('release', release, { version: '2.3', area: 'api', minutes: '90' }, now);
+
+      expect(taskData).toEqual({
+        title: 'Release 2.3',
+        tags: ['release', 'api'],
+        projects: ['[[Releases]]'],
+        timeEstimate: 90,
+        due: '2026-03-10',
+        details: 'Owner: me\n- [ ] Tag 2.3'
+      });
+      expect(release.task.title).toBe('Release {{version}}');
+    });
+
+    it('should let --var override defaults and drop emptied list items', () => {
+      const taskData = fillTemplate('release', release, { version: '3.0', owner: 'sam', area: '', minutes: '30' }, now);
+      expect(taskData.details).toContain('Owner: sam');
+      expect(taskData.tags).toEqual(['release']);
+    });
+
+    it('should name missing and unknown variables', () => {
+      expect(() => fillTemplate('release', release, { area: 'api', minutes: '5' }, now)).toThrow('Template release needs --var version=<value>');
+      expect(() => fillTemplate('release', release, { verison: '2.3' }, now)).toThrow('Template release has no variable verison');
+    });
+
+    it('should reject an estimate that is not whole minutes once filled in', () => {
+      expect(() => fillTemplate('release', release, { version: '2.3', area: 'api', minutes: 'soon' }, now)).toThrow('whole number of minutes for its estimate, not "soon"');
+    });
+  });
+
+  describe('taskDataFromOptions', () => {
+    it('should keep the fields given and split lists', () => {
+      expect(taskDataFromOptions({ title: 'Ship', tags: 'release, q3', projects: '[[Site]]', estimate: '90', var: [] })).toEqual({
+        title: 'Ship',
+        tags: ['release', 'q3'],
+        projects: ['[[Site]]'],
+        timeEstimate: 90
+      });
+      expect(taskDataFromOptions({})).toEqual({});
+    });
+
+    it('should reject an estimate that is not whole minutes', () => {
+      expect(() => taskDataFromOptions({ title: 'Ship', estimate: '1h' })).toThrow('--estimate must be a whole number of minutes');
+    });
+
+    it('should keep a {{variable}} estimate for templates only', () => {
+      expect(taskDataFromOptions({ title: 'Ship', estimate: '{{minutes}}' }, { variables: true })).toEqual({ title: 'Ship', timeEstimate: '{{minutes}}' });
+      expect(() => taskDataFromOptions({ title: 'Ship', estimate: '{{minutes}}' })).toThrow('--estimate must be a whole number of minutes');
+      expect(() => taskDataFromOptions({ title: 'Ship', estimate: 'about {{minutes}}' }, { variables: true })).toThrow('or a {{variable}}');
+    });
+  });
+});
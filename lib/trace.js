@@ -0,0 +1,165 @@
+/**
+ * HTTP tracing for --debug and --trace-file
+ *
+ * TaskNotesAPI hands every request it sends to a Tracer. With debug on,
+ * the method, URL, headers, bodies, status and timing go to stderr; with a
+ * trace file, the same exchanges are written as HAR-style JSON that can be
+ * attached to bug reports. The auth token is never written out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const pkg = require('../package.json');
+const { showWarning } = require('./utils');
+
+const REDACTED = '<redacted>';
+const MAX_LOGGED_BODY = 4000;
+
+// Entries written to each trace file by this process; the first write starts the file over
+const traceEntries = new Map();
+
+function redactHeaders(headers = {}) {
+  const redacted = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (name.toLowerCase() === 'authorization') {
+      redacted[name] = String(value).replace(/^(\w+\s+).*/, `$1${REDACTED}`);
+    } else {
+      redacted[name] = value;
+    }
+  });
+  return redacted;
+}
+
+function truncate(text) {
+  if (text.length <= MAX_LOGGED_BODY) {
+    return text;
+  }
+  return `${text.slice(0, MAX_LOGGED_BODY)}… (${text.length - MAX_LOGGED_BODY} more characters)`;
+}
+
+function headerList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * One request and its outcome as a HAR entry
+ * (http://www.softwareishard.com/blog/har-12-spec/). Failed requests have
+ * status 0 and the error in _error.
+ */
+function toHarEntry(exchange) {
+  const url = new URL(exchange.url);
+  const entry = {
+    startedDateTime: exchange.startedAt.toISOString(),
+    time: exchange.time,
+    request: {
+      method: exchange.method,
+      url: exchange.url,
+      httpVersion: 'HTTP/1.1',
+      headers: headerList(redactHeaders(exchange.requestHeaders)),
+      queryString: Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: exchange.requestBody ? exchange.requestBody.length : 0
+    },
+    response: {
+      status: exchange.status || 0,
+      statusText: exchange.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      headers: headerList(exchange.responseHeaders || {}),
+      content: {
+        size: exchange.responseBody ? exchange.responseBody.length : 0,
+        mimeType: (exchange.responseHeaders && exchange.responseHeaders['content-type']) || 'application/json',
+        text: exchange.responseBody || ''
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: exchange.responseBody ? exchange.responseBody.length : -1
+    },
+    cache: {},
+    timings: { send: 0, wait: exchange.time, receive: 0 }
+  };
+
+  if (exchange.requestBody) {
+    entry.request.postData = { mimeType: 'application/json', text: exchange.requestBody };
+  }
+  if (exchange.error) {
+    entry._error = exchange.error.message;
+  }
+  return entry;
+}
+
+class Tracer {
+  /**
+   * options.debug     - log each exchange to stderr
+   * options.traceFile - write the exchanges to this file as HAR JSON
+   * options.log       - where debug lines go (console.error)
+   */
+  constructor(options = {}) {
+    this.debug = Boolean(options.debug);
+    this.traceFile = options.traceFile ? path.resolve(options.traceFile) : null;
+    this.log = options.log || console.error;
+    this.writeFailed = false;
+  }
+
+  /**
+   * Record an exchange: { method, url, requestHeaders, requestBody,
+   * startedAt, time, status, statusText, responseHeaders, responseBody, error }
+   */
+  record(exchange) {
+    if (this.debug) {
+      this.logExchange(exchange);
+    }
+    if (this.traceFile) {
+      this.writeEntry(toHarEntry(exchange));
+    }
+  }
+
+  logExchange(exchange) {
+    const line = text => this.log(chalk.dim(`[debug] ${text}`));
+
+    line(`→ ${exchange.method} ${exchange.url}`);
+    Object.entries(redactHeaders(exchange.requestHeaders)).forEach(([name, value]) => line(`  ${name}: ${value}`));
+    if (exchange.requestBody) {
+      line(`  ${truncate(exchange.requestBody)}`);
+    }
+
+    if (exchange.status) {
+      line(`← ${[exchange.status, exchange.statusText].filter(Boolean).join(' ')} in ${exchange.time} ms`);
+    } else {
+      line(`← failed after ${exchange.time} ms: ${exchange.error ? exchange.error.message : 'no response'}`);
+    }
+    if (exchange.responseBody) {
+      line(`  ${truncate(exchange.responseBody)}`);
+    }
+  }
+
+  // Rewrite the whole file each time, so the trace is complete even if the command exits early
+  writeEntry(entry) {
+    const entries = traceEntries.get(this.traceFile) || [];
+    entries.push(entry);
+    traceEntries.set(this.traceFile, entries);
+
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: pkg.name, version: pkg.version },
+        entries
+      }
+    };
+    try {
+      fs.writeFileSync(this.traceFile, JSON.stringify(har, null, 2));
+    } catch (error) {
+      // A trace that can't be written must not break the command
+      if (!this.writeFailed) {
+        this.writeFailed = true;
+        showWarning(`Could not write the trace file: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  Tracer,
+  redactHeaders,
+  toHarEntry
+};
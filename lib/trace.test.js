@@ -0,0 +1,177 @@
+/**
+ * Tests for --debug logging and --trace-file HAR output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Tracer, redactHeaders, toHarEntry } = require('./trace');
+
+jest.mock('node-fetch', () => jest.fn());
+
+const exchange = (overrides = {}) => ({
+  method: 'POST',
+  url: 'http://localhost:8080/api/tasks?limit=5',
+  requestHeaders: { 'Content-Type': 'application/json', Authorization: 'Bearer secret-token' },
+  requestBody: '{"title":"Buy milk"}',
+  startedAt: new Date('2026-01-05T10:00:00Z'),
+  time: 42,
+  status: 200,
+  statusText: 'OK',
+  responseHeaders: { 'content-type': 'application/json' },
+  responseBody: '{"success":true,"data":{"id":"Tasks/buy-milk.md"}}',
+  ...overrides
+});
+
+describe('redactHeaders', () => {
+  it('should hide the auth token but keep the scheme', () => {
+    expect(redactHeaders({ Authorization: 'Bearer secret-token', Accept: 'application/json' })).toEqual({
+      Authorization: 'Bearer <redacted>',
+      Accept: 'application/json'
+    });
+  });
+});
+
+describe('toHarEntry', () => {
+  it('should describe the request and response', () => {
+    const entry = toHarEntry(exchange());
+
+    expect(entry.startedDateTime).toBe('2026-01-05T10:00:00.000Z');
+    expect(entry.time).toBe(42);
+    expect(entry.request.method).toBe('POST');
+    expect(entry.request.queryString).toEqual([{ name: 'limit', value: '5' }]);
+    expect(entry.request.headers).toContainEqual({ name: 'Authorization', value: 'Bearer <redacted>' });
+    expect(entry.request.postData.text).toBe('{"title":"Buy milk"}');
+    expect(entry.response.status).toBe(200);
+    expect(entry.response.content.text).toContain('buy-milk.md');
+    expect(entry._error).toBeUndefined();
+  });
+
+  it('should record failed requests with status 0', () => {
+    const entry = toHarEntry(exchange({
+      status: undefined,
+      statusText: undefined,
+      responseHeaders: undefined,
+      responseBody: undefined,
+      error: new Error('connect ECONNREFUSED')
+    }));
+
+    expect(entry.response.status).toBe(0);
+    expect(entry._error).toBe('connect ECONNREFUSED');
+  });
+});
+
+describe('Tracer', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-trace-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should log exchanges without the auth token', () => {
+    const log = jest.fn();
+    new Tracer({ debug: true, log }).record(exchange());
+
+    const output = log.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('→ POST http://localhost:8080/api/tasks?limit=5');
+    expect(output).toContain('{"title":"Buy milk"}');
+    expect(output).toContain('← 200 OK in 42 ms');
+    expect(output).toContain('buy-milk.md');
+    expect(output).not.toContain('secret-token');
+  });
+
+  it('should log requests that got no response', () => {
+    const log = jest.fn();
+    new Tracer({ debug: true, log }).record(exchange({ status: undefined, responseBody: undefined, error: new Error('socket hang up') }));
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('← failed after 42 ms: socket hang up'));
+  });
+
+  it('should write every exchange to the trace file', () => {
+    const traceFile = path.join(tempDir, 'trace.har');
+    const log = jest.fn();
+    const tracer = new Tracer({ traceFile, log });
+
+    tracer.record(exchange());
+    tracer.record(exchange({ method: 'GET', requestBody: null }));
+
+    const har = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.creator.name).toBe('tasknotes-cli');
+    expect(har.log.entries.map(entry => entry.request.method)).toEqual(['POST', 'GET']);
+    expect(fs.readFileSync(traceFile, 'utf8')).not.toContain('secret-token');
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('should warn once when the trace file cannot be written', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const tracer = new Tracer({ traceFile: path.join(tempDir, 'missing', 'trace.har') });
+
+    tracer.record(exchange());
+    tracer.record(exchange());
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not write the trace file'));
+  });
+});
+
+describe('TaskNotesAPI tracing', () => {
+  let tempHome;
+  let fetch;
+  let TaskNotesAPI;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-trace-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    jest.isolateModules(() => {
+      fetch = require('node-fetch');
+      TaskNotesAPI = require('./api');
+    });
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('should not trace unless debug or a trace file is set', () => {
+    const api = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'api' });
+    expect(api.getTracer()).toBeNull();
+  });
+
+  it('should record successful and failed requests', async () => {
+    const tracer = { record: jest.fn() };
+    const api = new TaskNotesAPI({ journal: false, cache: false, queue: false, backend: 'api', tracer });
+    api.config.retries = 0;
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Map([['content-type', 'application/json']]),
+        text: async () => '{"success":true,"data":{"total":3}}'
+      })
+      .mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    expect(await api.request('/api/stats')).toEqual({ total: 3 });
+    await expect(api.request('/api/tasks', { method: 'POST', body: '{"title":"Buy milk"}' })).rejects.toThrow('Cannot connect');
+
+    const [success, failure] = tracer.record.mock.calls.map(call => call[0]);
+    expect(success).toMatchObject({
+      method: 'GET',
+      url: `${api.baseURL}/api/stats`,
+      status: 200,
+      responseHeaders: { 'content-type': 'application/json' },
+      responseBody: '{"success":true,"data":{"total":3}}'
+    });
+    expect(success.time).toEqual(expect.any(Number));
+    expect(failure).toMatchObject({ method: 'POST', requestBody: '{"title":"Buy milk"}' });
+    expect(failure.error.code).toBe('ECONNREFUSED');
+  });
+});
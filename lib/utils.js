@@ -1,5 +1,5 @@
 const chalk = require('chalk');
-const { format } = require('date-fns');
+const { format, parseISO, isValid, differenceInCalendarDays } = require('date-fns');
 
 // Color scheme for different elements
 const colors = {
@@ -9,6 +9,7 @@ const colors = {
   info: chalk.blue,
   dim: chalk.gray,
   highlight: chalk.cyan,
+  match: chalk.bold.underline,
   priority: {
     high: chalk.red,
     medium: chalk.yellow,
@@ -27,6 +28,11 @@ function formatTask(task, options = {}) {
   
   let output = '';
   
+  // Short handle from the last listing, if any
+  if (task.handle) {
+    output += `${colors.dim(task.handle)} `;
+  }
+  
   // Task title with status color
   const statusColor = colors.status[task.status] || chalk.white;
   output += statusColor(`${getStatusIcon(task.status)} ${task.title}`);
@@ -160,6 +166,11 @@ function formatPreview(parsed) {
     output += `${colors.highlight('Recurrence:')} ${colors.info(parsed.recurrence)}\n`;
   }
   
+  // Details
+  if (parsed.details) {
+    output += `${colors.highlight('Details:')} ${parsed.details}\n`;
+  }
+  
   return output.trim();
 }
 
@@ -167,6 +178,13 @@ function showError(message) {
   console.error(colors.error(`Error: ${message}`));
 }
 
+// Print the hint TaskNotesAPI errors carry, e.g. to check the auth token on a 401
+function showErrorHint(error) {
+  if (error && error.hint) {
+    showInfo(error.hint);
+  }
+}
+
 function showSuccess(message) {
   console.log(colors.success(`✓ ${message}`));
 }
@@ -184,6 +202,292 @@ function truncateString(str, maxLength) {
   return str.substring(0, maxLength - 3) + '...';
 }
 
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  // Only show the time when the stored value has one
+  return /T\d{2}:\d{2}/.test(String(value)) ? format(date, 'yyyy-MM-dd HH:mm') : format(date, 'yyyy-MM-dd');
+}
+
+function cleanLink(value) {
+  return String(value).replace(/^\[\[|\]\]$/g, '');
+}
+
+function listValues(values, prefix = '') {
+  return (values || [])
+    .filter(value => value && typeof value === 'string')
+    .map(value => `${prefix}${cleanLink(value)}`)
+    .join(', ');
+}
+
+// Columns available to --columns, with the plain text value and an optional color
+const TABLE_COLUMNS = {
+  handle: { header: '#', value: task => task.handle || '', color: text => colors.dim(text) },
+  id: { header: 'ID', value: task => task.id || task.path || '', color: text => colors.dim(text) },
+  title: { header: 'TITLE', value: task => task.title || '' },
+  status: { header: 'STATUS', value: task => task.status || '', color: (text, task) => (colors.status[task.status] || chalk.white)(text) },
+  priority: { header: 'PRIORITY', value: task => task.priority || '', color: (text, task) => (colors.priority[task.priority] || chalk.white)(text) },
+  due: {
+    header: 'DUE',
+    value: task => formatDate(task.due),
+    color: (text, task) => {
+      const isOverdue = task.due && new Date(task.due) < new Date() && task.status !== 'completed';
+      return isOverdue ? colors.error(text) : text;
+    }
+  },
+  scheduled: { header: 'SCHEDULED', value: task => formatDate(task.scheduled) },
+  projects: { header: 'PROJECTS', value: task => listValues(task.projects), color: text => colors.highlight(text) },
+  tags: { header: 'TAGS', value: task => listValues(task.tags, '#'), color: text => colors.highlight(text) },
+  contexts: { header: 'CONTEXTS', value: task => listValues(task.contexts, '@'), color: text => colors.highlight(text) },
+  estimate: { header: 'ESTIMATE', value: task => task.timeEstimate ? formatDuration(task.timeEstimate) : '' }
+};
+
+const DEFAULT_TABLE_COLUMNS = ['handle', 'title', 'status', 'priority', 'due', 'projects'];
+
+function parseColumns(spec) {
+  if (!spec) {
+    return DEFAULT_TABLE_COLUMNS.slice();
+  }
+
+  const columns = spec.split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !TABLE_COLUMNS[column]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column: ${unknown.join(', ')}. Valid columns: ${Object.keys(TABLE_COLUMNS).join(', ')}`);
+  }
+  return columns;
+}
+
+/**
+ * Format tasks as a table with aligned columns, shrinking the widest
+ * columns until the table fits the terminal width.
+ */
+function formatTaskTable(tasks, options = {}) {
+  const columns = Array.isArray(options.columns) ? options.columns : parseColumns(options.columns);
+  const maxWidth = options.width || process.stdout.columns || 120;
+  const gap = 2;
+
+  const rows = tasks.map(task => columns.map(column => String(TABLE_COLUMNS[column].value(task))));
+  const headers = columns.map(column => TABLE_COLUMNS[column].header);
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...rows.map(row => row[index].length))
+  );
+
+  // Never shrink a column below its header or a few readable characters
+  const minWidths = headers.map(header => Math.max(header.length, 6));
+  let total = widths.reduce((sum, width) => sum + width, 0) + gap * (columns.length - 1);
+  while (total > maxWidth) {
+    let widest = -1;
+    widths.forEach((width, index) => {
+      if (width > minWidths[index] && (widest === -1 || width > widths[widest])) {
+        widest = index;
+      }
+    });
+    if (widest === -1) break;
+    widths[widest]--;
+    total--;
+  }
+
+  const separator = ' '.repeat(gap);
+  const lines = [headers.map((header, index) => chalk.bold(header.padEnd(widths[index]))).join(separator).trimEnd()];
+
+  rows.forEach((row, rowIndex) => {
+    const cells = row.map((text, index) => {
+      const cell = truncateString(text, widths[index]).padEnd(widths[index]);
+      const color = TABLE_COLUMNS[columns[index]].color;
+      return color ? color(cell, tasks[rowIndex]) : cell;
+    });
+    lines.push(cells.join(separator).trimEnd());
+  });
+
+  return lines.join('\n');
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const date = typeof value === 'string' ? parseISO(value) : new Date(value);
+  return isValid(date) ? date : null;
+}
+
+function isBlank(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || value === '' || value === false;
+}
+
+function formatRelativeDate(value) {
+  const date = toDate(value);
+  if (!date) return String(value);
+
+  const days = differenceInCalendarDays(date, new Date());
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days === -1) return 'yesterday';
+  return days > 0 ? `in ${days} days` : `${-days} days ago`;
+}
+
+// Filters available in {{field|filter:arg}} placeholders
+const TEMPLATE_FILTERS = {
+  relative: (value) => isBlank(value) ? value : formatRelativeDate(value),
+  date: (value, pattern = 'yyyy-MM-dd') => {
+    if (isBlank(value)) return value;
+    const date = toDate(value);
+    return date ? format(date, pattern) : value;
+  },
+  upper: (value) => isBlank(value) ? value : String(value).toUpperCase(),
+  lower: (value) => isBlank(value) ? value : String(value).toLowerCase(),
+  join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value,
+  default: (value, fallback = '') => isBlank(value) ? fallback : value,
+  duration: (value) => isBlank(value) || isNaN(Number(value)) ? value : formatDuration(Number(value))
+};
+
+// Template fields that don't map directly onto a task property
+const TEMPLATE_FIELDS = {
+  id: task => task.id || task.path,
+  estimate: task => task.timeEstimate !== undefined ? task.timeEstimate : task.estimate
+};
+
+function getTemplateValue(task, field) {
+  if (TEMPLATE_FIELDS[field]) {
+    return TEMPLATE_FIELDS[field](task);
+  }
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), task);
+}
+
+// Split a placeholder into its field and filters, rejecting unknown filters
+function parsePlaceholder(expression) {
+  const [field, ...filters] = expression.split('|').map(part => part.trim());
+
+  return {
+    type: 'placeholder',
+    field,
+    filters: filters.map(filter => {
+      // Only split on the first colon so date patterns like HH:mm survive
+      const colon = filter.indexOf(':');
+      const name = colon === -1 ? filter : filter.slice(0, colon);
+      const arg = colon === -1 ? undefined : filter.slice(colon + 1);
+
+      if (!TEMPLATE_FILTERS[name]) {
+        throw new Error(`Unknown template filter: ${name}. Available filters: ${Object.keys(TEMPLATE_FILTERS).join(', ')}`);
+      }
+      return { name, arg };
+    })
+  };
+}
+
+function evaluatePlaceholder(placeholder, task) {
+  let value = getTemplateValue(task, placeholder.field);
+
+  placeholder.filters.forEach(({ name, arg }) => {
+    value = TEMPLATE_FILTERS[name](value, arg);
+  });
+
+  if (isBlank(value)) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Parse a template into text, placeholder and section nodes.
+ * {{#field}}...{{/field}} renders only when field has a value,
+ * {{^field}}...{{/field}} only when it is empty.
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#^/]?)([^}]*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const unescape = (text) => text.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+
+  while ((match = tagPattern.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: unescape(template.slice(lastIndex, match.index)) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const [, sigil, expression] = match;
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', field: expression.trim(), inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.field !== expression.trim()) {
+        throw new Error(`Unexpected closing tag: {{/${expression.trim()}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push(parsePlaceholder(expression));
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section: {{#${stack[stack.length - 1].field}}}`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: unescape(template.slice(lastIndex)) });
+  }
+  return root.children;
+}
+
+function renderNodes(nodes, task) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'placeholder') return evaluatePlaceholder(node, task);
+
+    const empty = isBlank(getTemplateValue(task, node.field));
+    return empty === node.inverted ? renderNodes(node.children, task) : '';
+  }).join('');
+}
+
+/**
+ * Render a task through an output template, e.g.
+ *   '{{title}}{{#due}} ({{due|relative}}){{/due}}'
+ */
+function renderTemplate(template, task) {
+  return renderNodes(parseTemplate(template), task);
+}
+
+/**
+ * Work out the task list layout from --format and --columns.
+ * --format is "list", "table", a template or the name of a template from
+ * the outputTemplates config key. --columns on its own implies the table layout.
+ */
+function resolveListFormat(options = {}, namedTemplates = {}) {
+  const format = options.format || (options.columns ? 'table' : 'list');
+
+  if (format === 'list' || format === 'table') {
+    return {
+      format,
+      columns: format === 'table' ? parseColumns(options.columns) : null
+    };
+  }
+
+  const template = (namedTemplates && namedTemplates[format]) || (format.includes('{{') ? format : null);
+  if (!template) {
+    const names = Object.keys(namedTemplates || {});
+    throw new Error(`Unknown format: ${format}. Use "list", "table", a template such as "{{title}}"${names.length > 0 ? ` or one of: ${names.join(', ')}` : ''}`);
+  }
+
+  // Parse once up front so template errors are reported before any requests
+  parseTemplate(template);
+  return { format: 'template', template, columns: null };
+}
+
+/**
+ * Format a list of tasks in the layout chosen by resolveListFormat.
+ * taskOptions are passed through to formatTask for the list layout.
+ */
+function formatTaskList(tasks, listFormat = {}, taskOptions = {}) {
+  if (listFormat.format === 'table') {
+    return formatTaskTable(tasks, { columns: listFormat.columns });
+  }
+  if (listFormat.format === 'template') {
+    return tasks.map(task => renderTemplate(listFormat.template, task)).join('\n');
+  }
+  return tasks.map(task => formatTask(task, taskOptions)).join('\n\n');
+}
+
 function parseKeyValue(input) {
   const match = input.match(/^([^=]+)=(.*)$/);
   if (!match) {
@@ -192,6 +496,58 @@ function parseKeyValue(input) {
   return { key: match[1].trim(), value: match[2].trim() };
 }
 
+// Natural language markers for the taskDefaults lists
+const TASK_DEFAULT_MARKERS = {
+  tags: '#',
+  contexts: '@',
+  projects: '+'
+};
+
+/**
+ * Append the configured default tags, contexts and projects to natural
+ * language task text, skipping any the text already mentions.
+ *   applyTaskDefaults('Fix bug', { tags: ['work'] }) => 'Fix bug #work'
+ */
+function applyTaskDefaults(text, defaults = {}) {
+  const lowerText = text.toLowerCase();
+  const additions = [];
+
+  Object.entries(TASK_DEFAULT_MARKERS).forEach(([field, marker]) => {
+    const values = [].concat(defaults[field] || []).filter(value => value && typeof value === 'string');
+    values.forEach(value => {
+      const name = cleanLink(value);
+      const token = field === 'projects' && /\s/.test(name) ? `${marker}[[${name}]]` : `${marker}${name}`;
+      if (!lowerText.includes(`${marker}${name.toLowerCase()}`) && !lowerText.includes(`${marker}[[${name.toLowerCase()}]]`)) {
+        additions.push(token);
+      }
+    });
+  });
+
+  return additions.length > 0 ? `${text} ${additions.join(' ')}` : text;
+}
+
+/**
+ * The same defaults added to task data (templates), skipping values the
+ * lists already have.
+ *   applyTaskDefaultFields({ title: 'Fix bug', tags: ['Work'] }, { tags: ['work', 'bug'] })
+ *     => { title: 'Fix bug', tags: ['Work', 'bug'] }
+ */
+function applyTaskDefaultFields(taskData, defaults = {}) {
+  const result = { ...taskData };
+
+  Object.keys(TASK_DEFAULT_MARKERS).forEach(field => {
+    const current = [].concat(result[field] || []);
+    const names = current.map(value => cleanLink(value).toLowerCase());
+    const additions = [].concat(defaults[field] || [])
+      .filter(value => value && typeof value === 'string' && !names.includes(cleanLink(value).toLowerCase()));
+    if (additions.length > 0) {
+      result[field] = current.concat(additions);
+    }
+  });
+
+  return result;
+}
+
 module.exports = {
   colors,
   formatTask,
@@ -199,9 +555,17 @@ module.exports = {
   formatDuration,
   getStatusIcon,
   showError,
+  showErrorHint,
   showSuccess,
   showWarning,
   showInfo,
   truncateString,
-  parseKeyValue
+  parseKeyValue,
+  formatTaskTable,
+  formatTaskList,
+  resolveListFormat,
+  renderTemplate,
+  parseColumns,
+  applyTaskDefaults,
+  applyTaskDefaultFields
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Tests for shared output helpers
+ */
+
+const { formatTaskTable, parseColumns, resolveListFormat, renderTemplate, applyTaskDefaults, applyTaskDefaultFields } = require('./utils');
+
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+describe('utils', () => {
+  const tasks = [
+    {
+      id: 'Tasks/Write newsletter.md',
+      title: 'Write the August newsletter for subscribers',
+      status: 'open',
+      priority: 'high',
+      due: '2025-08-20',
+      projects: ['[[Newsletter]]'],
+      timeEstimate: 90
+    },
+    { id: 'Tasks/Call Bob.md', title: 'Call Bob', status: 'done' }
+  ];
+
+  describe('parseColumns', () => {
+    it('should return the default columns when none are given', () => {
+      expect(parseColumns()).toEqual(['handle', 'title', 'status', 'priority', 'due', 'projects']);
+    });
+
+    it('should reject unknown columns', () => {
+      expect(() => parseColumns('title,colour')).toThrow('Unknown column: colour');
+    });
+  });
+
+  describe('resolveListFormat', () => {
+    it('should imply the table layout from --columns', () => {
+      expect(resolveListFormat({ columns: 'title,due' })).toEqual({ format: 'table', columns: ['title', 'due'] });
+    });
+
+    it('should default to the list layout', () => {
+      expect(resolveListFormat({})).toEqual({ format: 'list', columns: null });
+    });
+  });
+
+  describe('formatTaskTable', () => {
+    it('should align columns under their headers', () => {
+      const lines = stripAnsi(formatTaskTable(tasks, { columns: 'title,due,projects,estimate', width: 200 })).split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^TITLE\s+DUE\s+PROJECTS\s+ESTIMATE$/);
+      expect(lines[1].indexOf('2025-08-20')).toBe(lines[0].indexOf('DUE'));
+      expect(lines[1]).toContain('Newsletter');
+      expect(lines[1]).not.toContain('[[');
+      expect(lines[1]).toContain('1h 30m');
+    });
+
+    it('should shrink the widest column to fit the width', () => {
+      const lines = stripAnsi(formatTaskTable(tasks, { columns: 'title,status', width: 30 })).split('\n');
+
+      lines.forEach(line => expect(line.length).toBeLessThanOrEqual(30));
+      expect(lines[1]).toContain('...');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    const task = tasks[0];
+
+    it('should substitute fields and aliases', () => {
+      expect(renderTemplate('{{title}} [{{id}}]', task)).toBe('Write the August newsletter for subscribers [Tasks/Write newsletter.md]');
+    });
+
+    it('should apply filters in order', () => {
+      expect(renderTemplate('{{priority|upper}} {{due|date:dd/MM/yyyy}} {{estimate|duration}}', task)).toBe('HIGH 20/08/2025 1h 30m');
+      expect(renderTemplate('{{projects|join:;}} {{tags|join:,|default:-}}', task)).toBe('[[Newsletter]] -');
+    });
+
+    it('should keep colons in date patterns', () => {
+      expect(renderTemplate('{{due|date:yyyy-MM-dd HH:mm}}', { due: '2025-08-20T09:30' })).toBe('2025-08-20 09:30');
+    });
+
+    it('should describe dates relative to today', () => {
+      const today = new Date();
+      const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+      const lastWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7);
+
+      expect(renderTemplate('{{due|relative}}', { due: tomorrow.toISOString() })).toBe('tomorrow');
+      expect(renderTemplate('{{due|relative}}', { due: lastWeek.toISOString() })).toBe('7 days ago');
+    });
+
+    it('should render conditional sections', () => {
+      const template = '{{title}}{{#due}} (due {{due}}){{/due}}{{^due}} (no date){{/due}}';
+
+      expect(renderTemplate(template, task)).toBe(`${task.title} (due 2025-08-20)`);
+      expect(renderTemplate(template, tasks[1])).toBe('Call Bob (no date)');
+    });
+
+    it('should expand \\t and \\n escapes', () => {
+      expect(renderTemplate('{{title}}\\t{{id}}', tasks[1])).toBe('Call Bob\tTasks/Call Bob.md');
+    });
+
+    it('should reject unknown filters and unbalanced sections', () => {
+      expect(() => renderTemplate('{{title|shout}}', task)).toThrow('Unknown template filter: shout');
+      expect(() => renderTemplate('{{#due}}x', task)).toThrow('Unclosed section');
+      expect(() => renderTemplate('x{{/due}}', task)).toThrow('Unexpected closing tag');
+    });
+  });
+
+  describe('resolveListFormat with templates', () => {
+    it('should accept inline and named templates', () => {
+      expect(resolveListFormat({ format: '{{title}}' })).toMatchObject({ format: 'template', template: '{{title}}' });
+      expect(resolveListFormat({ format: 'line' }, { line: '{{title}}: {{due}}' })).toMatchObject({ template: '{{title}}: {{due}}' });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => resolveListFormat({ format: 'fancy' })).toThrow('Unknown format: fancy');
+    });
+
+    it('should reject unknown template filters before rendering', () => {
+      expect(() => resolveListFormat({ format: '{{due|relativ}}' })).toThrow('Unknown template filter: relativ');
+      expect(() => resolveListFormat({ format: '{{#due}}{{due|shout}}{{/due}}' })).toThrow('Unknown template filter: shout');
+    });
+  });
+
+  describe('applyTaskDefaults', () => {
+    it('should append default tags, contexts and projects', () => {
+      expect(applyTaskDefaults('Fix login bug', { tags: ['work'], contexts: ['office'], projects: ['Website'] }))
+        .toBe('Fix login bug #work @office +Website');
+    });
+
+    it('should skip values the text already has', () => {
+      expect(applyTaskDefaults('Fix login bug #Work', { tags: ['work', 'bug'] })).toBe('Fix login bug #Work #bug');
+    });
+
+    it('should wrap project names with spaces in a link', () => {
+      expect(applyTaskDefaults('Plan launch', { projects: ['[[Marketing Site]]'] })).toBe('Plan launch +[[Marketing Site]]');
+    });
+
+    it('should leave the text alone without defaults', () => {
+      expect(applyTaskDefaults('Plan launch')).toBe('Plan launch');
+    });
+  });
+
+  describe('applyTaskDefaultFields', () => {
+    it('should add default tags, contexts and projects the task data lacks', () => {
+      expect(applyTaskDefaultFields({ title: 'Ship', tags: ['Work'], projects: ['[[Website]]'] }, { tags: ['work', 'q3'], contexts: ['office'], projects: ['Website'] }))
+        .toEqual({ title: 'Ship', tags: ['Work', 'q3'], contexts: ['office'], projects: ['[[Website]]'] });
+    });
+
+    it('should leave the task data alone without defaults', () => {
+      expect(applyTaskDefaultFields({ title: 'Ship' })).toEqual({ title: 'Ship' });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Obsidian vault discovery and TaskNotes plugin settings
+ *
+ * The TaskNotes plugin keeps its settings, including the HTTP API port and
+ * auth token, in <vault>/.obsidian/plugins/tasknotes/data.json. Reading it
+ * lets `tn config --from-vault` and auto-discovery configure the CLI
+ * without copying the token by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const PLUGIN_SETTINGS = path.join('.obsidian', 'plugins', 'tasknotes', 'data.json');
+
+const DEFAULT_API_PORT = 8080;
+
+// Folders under the home directory where vaults usually live
+const COMMON_VAULT_DIRS = [
+  '',
+  'Documents',
+  'Documents/Obsidian',
+  'Obsidian',
+  'Notes',
+  'Vaults',
+  'vaults',
+  'Dropbox',
+  'OneDrive',
+  'iCloudDrive',
+  'Library/Mobile Documents/iCloud~md~obsidian/Documents'
+];
+
+// Obsidian's own list of known vaults, per platform
+const OBSIDIAN_REGISTRY_FILES = [
+  '.config/obsidian/obsidian.json',
+  'Library/Application Support/obsidian/obsidian.json',
+  'AppData/Roaming/obsidian/obsidian.json'
+];
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isVault(dirPath) {
+  return isDirectory(path.join(dirPath, '.obsidian'));
+}
+
+function hasTaskNotes(vaultPath) {
+  return fs.existsSync(path.join(vaultPath, PLUGIN_SETTINGS));
+}
+
+// The first setting present under any of the given names
+function pick(settings, names) {
+  const name = names.find(key => settings[key] !== undefined && settings[key] !== null);
+  return name ? settings[name] : undefined;
+}
+
+function expandPath(vaultPath) {
+  return path.resolve(vaultPath.replace(/^~(?=$|\/)/, os.homedir()));
+}
+
+/**
+ * Read a vault's TaskNotes plugin data.json as-is.
+ * Returns { vaultPath, settingsPath, settings }.
+ */
+function readPluginSettings(vaultPath) {
+  const resolved = expandPath(vaultPath);
+
+  if (!isVault(resolved)) {
+    throw new Error(`${resolved} is not an Obsidian vault (no .obsidian folder)`);
+  }
+
+  const settingsPath = path.join(resolved, PLUGIN_SETTINGS);
+  if (!fs.existsSync(settingsPath)) {
+    throw new Error(`TaskNotes plugin settings not found in ${resolved}. Is the TaskNotes plugin installed?`);
+  }
+
+  try {
+    return { vaultPath: resolved, settingsPath, settings: JSON.parse(fs.readFileSync(settingsPath, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Could not read ${settingsPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the HTTP API settings from a vault's TaskNotes plugin data.json.
+ * Returns { vaultPath, settingsPath, enabled, port, authToken }.
+ */
+function readVaultSettings(vaultPath) {
+  const { vaultPath: resolved, settingsPath, settings } = readPluginSettings(vaultPath);
+  const port = parseInt(pick(settings, ['apiPort', 'httpApiPort', 'port']));
+  const authToken = pick(settings, ['apiAuthToken', 'apiToken', 'authToken']);
+
+  return {
+    vaultPath: resolved,
+    settingsPath,
+    enabled: Boolean(pick(settings, ['enableAPI', 'enableApi', 'apiEnabled'])),
+    port: isNaN(port) ? DEFAULT_API_PORT : port,
+    authToken: authToken ? String(authToken) : null
+  };
+}
+
+function readObsidianRegistry(homeDir) {
+  const vaults = [];
+  OBSIDIAN_REGISTRY_FILES.forEach(relative => {
+    try {
+      const registry = JSON.parse(fs.readFileSync(path.join(homeDir, relative), 'utf8'));
+      Object.values(registry.vaults || {}).forEach(vault => {
+        if (vault && vault.path) vaults.push(vault.path);
+      });
+    } catch (error) {
+      // No Obsidian registry on this platform
+    }
+  });
+  return vaults;
+}
+
+function listSubdirectories(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+      .map(entry => path.join(dirPath, entry.name));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Find vaults with the TaskNotes plugin installed: those Obsidian knows
+ * about, plus vaults up to two levels below the common folders in the home
+ * directory. Returns absolute vault paths without duplicates.
+ */
+function findVaults(homeDir = os.homedir()) {
+  const found = new Set();
+  const consider = (dirPath) => {
+    const resolved = path.resolve(dirPath);
+    if (!found.has(resolved) && isVault(resolved) && hasTaskNotes(resolved)) {
+      found.add(resolved);
+    }
+  };
+
+  readObsidianRegistry(homeDir).forEach(consider);
+
+  COMMON_VAULT_DIRS.forEach(relative => {
+    const base = path.join(homeDir, relative);
+    if (!isDirectory(base)) return;
+
+    consider(base);
+    listSubdirectories(base).forEach(child => {
+      consider(child);
+      // The home directory itself is too broad to search two levels deep
+      if (relative) {
+        listSubdirectories(child).forEach(consider);
+      }
+    });
+  });
+
+  return Array.from(found);
+}
+
+module.exports = {
+  PLUGIN_SETTINGS,
+  expandPath,
+  readPluginSettings,
+  readVaultSettings,
+  findVaults
+};
@@ -0,0 +1,128 @@
+/**
+ * Tests for vault discovery and TaskNotes plugin settings
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readVaultSettings, findVaults } = require('./vault');
+
+describe('vault', () => {
+  let home;
+
+  const createVault = (relative, settings) => {
+    const vaultPath = path.join(home, relative);
+    fs.mkdirSync(path.join(vaultPath, '.obsidian'), { recursive: true });
+    if (settings) {
+      const pluginDir = path.join(vaultPath, '.obsidian', 'plugins', 'tasknotes');
+      fs.mkdirSync(pluginDir, { recursive: true });
+      fs.writeFileSync(path.join(pluginDir, 'data.json'), JSON.stringify(settings));
+    }
+    return vaultPath;
+  };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-vault-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  describe('readVaultSettings', () => {
+    it('should read the API port, token and enabled state', () => {
+      const vaultPath = createVault('Work', { enableAPI: true, apiPort: 8081, apiAuthToken: 'secret', defaultTaskStatus: 'open' });
+
+      expect(readVaultSettings(vaultPath)).toEqual({
+        vaultPath,
+        settingsPath: path.join(vaultPath, '.obsidian', 'plugins', 'tasknotes', 'data.json'),
+        enabled: true,
+        port: 8081,
+        authToken: 'secret'
+      });
+    });
+
+    it('should fall back to the default port without a token', () => {
+      const vaultPath = createVault('Personal', { enableAPI: false });
+      expect(readVaultSettings(vaultPath)).toMatchObject({ enabled: false, port: 8080, authToken: null });
+    });
+
+    it('should explain what is missing', () => {
+      expect(() => readVaultSettings(home)).toThrow('is not an Obsidian vault');
+
+      const vaultPath = createVault('Plain');
+      expect(() => readVaultSettings(vaultPath)).toThrow('TaskNotes plugin settings not found');
+    });
+  });
+
+  describe('findVaults', () => {
+    it('should find TaskNotes vaults in common folders', () => {
+      const work = createVault('Documents/Obsidian/Work', { enableAPI: true });
+      const notes = createVault('Notes', { enableAPI: true });
+      createVault('Documents/Plain');
+
+      expect(findVaults(home).sort()).toEqual([notes, work].sort());
+    });
+
+    it('should include vaults from the Obsidian registry', () => {
+      const elsewhere = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-vault-elsewhere-'));
+      try {
+        fs.mkdirSync(path.join(elsewhere, '.obsidian', 'plugins', 'tasknotes'), { recursive: true });
+        fs.writeFileSync(path.join(elsewhere, '.obsidian', 'plugins', 'tasknotes', 'data.json'), '{}');
+
+        fs.mkdirSync(path.join(home, '.config', 'obsidian'), { recursive: true });
+        fs.writeFileSync(path.join(home, '.config', 'obsidian', 'obsidian.json'), JSON.stringify({
+          vaults: { abc123: { path: elsewhere, ts: 1 } }
+        }));
+
+        expect(findVaults(home)).toEqual([elsewhere]);
+      } finally {
+        fs.rmSync(elsewhere, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('TaskNotesAPI.autoDiscover', () => {
+    let TaskNotesAPI;
+    let config;
+
+    const loadApi = (userConfig) => {
+      jest.spyOn(os, 'homedir').mockReturnValue(home);
+      fs.mkdirSync(path.join(home, '.tasknotes-cli'), { recursive: true });
+      fs.writeFileSync(path.join(home, '.tasknotes-cli', 'config.json'), JSON.stringify(userConfig));
+      jest.isolateModules(() => {
+        TaskNotesAPI = require('./api');
+        config = require('./config');
+      });
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only try the vault of a named profile', async () => {
+      const work = createVault('Work', { enableAPI: true, apiPort: 8091, apiAuthToken: 'work-token' });
+      createVault('Personal', { enableAPI: true, apiPort: 8092, apiAuthToken: 'personal-token' });
+      loadApi({ profiles: { work: { port: 8090, vaultPath: work } } });
+      config.setSessionProfile('work');
+
+      const tried = [];
+      jest.spyOn(TaskNotesAPI.prototype, 'send').mockImplementation(function () {
+        tried.push(this.config.port);
+        return this.config.port === 8092 ? Promise.resolve({ status: 'ok' }) : Promise.reject(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+      });
+
+      await expect(new TaskNotesAPI({ backend: 'api' }).autoDiscover()).rejects.toThrow('Could not auto-discover');
+      expect(tried).toEqual([8091]);
+      expect(config.getProfiles().work).toEqual({ port: 8090, vaultPath: work });
+    });
+
+    it('should not search other vaults for a profile without one', async () => {
+      createVault('Personal', { enableAPI: true, apiPort: 8092 });
+      loadApi({ profiles: { work: { port: 8090 } } });
+      config.setSessionProfile('work');
+
+      await expect(new TaskNotesAPI({ backend: 'api' }).autoDiscover()).rejects.toThrow('Profile work has no vault folder');
+    });
+  });
+});